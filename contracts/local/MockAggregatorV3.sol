@@ -5,6 +5,7 @@ pragma solidity ^0.8.20;
 contract MockAggregatorV3 {
     int256 private _answer;
     uint8 private _decimals = 8; // Default Chainlink commonly uses 8 decimals
+    uint256 private _updatedAt; // 0 = always fresh (block.timestamp)
 
     constructor(int256 initialAnswer) {
         _answer = initialAnswer;
@@ -18,6 +19,11 @@ contract MockAggregatorV3 {
         _answer = newAnswer;
     }
 
+    /// @notice Freeze updatedAt to simulate a stale feed (0 restores always-fresh behaviour)
+    function setUpdatedAt(uint256 updatedAt) external {
+        _updatedAt = updatedAt;
+    }
+
     function decimals() external view returns (uint8) {
         return _decimals;
     }
@@ -33,6 +39,6 @@ contract MockAggregatorV3 {
             uint80 answeredInRound
         )
     {
-        return (0, _answer, 0, block.timestamp, 0);
+        return (0, _answer, 0, _updatedAt == 0 ? block.timestamp : _updatedAt, 0);
     }
 }
@@ -11,6 +11,7 @@ contract MockPyth {
     }
 
     mapping(bytes32 => Price) private prices;
+    mapping(bytes32 => uint256) private frozenPublishTime; // 0 = always fresh (block.timestamp)
 
     function setPrice(bytes32 id, int64 price, int32 expo) external {
         prices[id] = Price({
@@ -21,11 +22,21 @@ contract MockPyth {
         });
     }
 
+    /// @notice Freeze publishTime to simulate a stale feed (0 restores always-fresh behaviour)
+    function setPublishTime(bytes32 id, uint256 publishTime) external {
+        frozenPublishTime[id] = publishTime;
+    }
+
+    /// @notice Set the confidence interval (setPrice resets it to 0)
+    function setConf(bytes32 id, uint64 conf) external {
+        prices[id].conf = conf;
+    }
+
     function getPriceUnsafe(bytes32 id) external view returns (Price memory) {
         Price memory p = prices[id];
         require(p.price != 0, "Price not set");
-        // Always return current block.timestamp to prevent staleness in local testing
-        p.publishTime = block.timestamp;
+        // Return current block.timestamp to prevent staleness in local testing, unless frozen
+        p.publishTime = frozenPublishTime[id] == 0 ? block.timestamp : frozenPublishTime[id];
         return p;
     }
 }
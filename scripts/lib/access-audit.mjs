@@ -0,0 +1,206 @@
+/**
+ * Access-Control Audit
+ *
+ * Rebuilds who holds privileges in a deployment and compares it to an expected
+ * permissions file (see scripts/main/permissions.json):
+ *   roles       holders of every AccessControl role on BTD/BTB, replayed from the
+ *               RoleGranted/RoleRevoked logs and confirmed with hasRole()
+ *   owners      owner() and pendingOwner() of the Ownable/Ownable2Step contracts
+ *   governor    ConfigGov.governor()
+ *
+ * Accounts in the file are deployment ids ("Minter"), aliases from its "accounts"
+ * section or the caller ("deployer"), raw addresses, or null for "nobody" (renounced).
+ * An unexpected privileged account is an error; an expected one that is missing is a
+ * warning (e.g. init has not granted it yet).
+ */
+
+import fs from "fs";
+import { keccak256, parseAbi, stringToHex, zeroAddress, zeroHash } from "viem";
+import { healthIssue, warn } from "./health.mjs";
+
+export const ROLES = {
+  DEFAULT_ADMIN_ROLE: zeroHash,
+  MINTER_ROLE: keccak256(stringToHex("MINTER_ROLE")),
+};
+
+// Contracts whose roles are audited
+export const ACCESS_CONTROLLED = ["BTD", "BTB"];
+
+// Ownable contracts and whether they use Ownable2Step (pendingOwner)
+export const OWNABLE = {
+  ConfigCore: false,
+  ConfigGov: true,
+  FarmingPool: true,
+  IdealUSDManager: true,
+  InterestPool: true,
+  Minter: true,
+  PriceOracle: true,
+  Treasury: true,
+};
+
+const roleEvents = parseAbi([
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+]);
+
+const accessControlAbi = parseAbi([
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+]);
+
+const ownableAbi = parseAbi([
+  "function owner() view returns (address)",
+  "function pendingOwner() view returns (address)",
+]);
+
+const configGovAbi = parseAbi([
+  "function governor() view returns (address)",
+]);
+
+const roleName = (hash) => Object.keys(ROLES).find((name) => ROLES[name] === hash) ?? hash;
+
+/**
+ * Load and validate an expected-permissions file
+ */
+export function loadExpectedPermissions(file) {
+  const expected = JSON.parse(fs.readFileSync(file, "utf8"));
+  for (const [contract, roles] of Object.entries(expected.roles ?? {})) {
+    for (const [role, holders] of Object.entries(roles)) {
+      if (!ROLES[role] && !/^0x[0-9a-fA-F]{64}$/.test(role)) {
+        throw new Error(`${file}: unknown role "${role}" on ${contract} (use a name from ${Object.keys(ROLES).join(", ")} or a role hash)`);
+      }
+      if (!Array.isArray(holders)) throw new Error(`${file}: roles.${contract}.${role} must be an array`);
+    }
+  }
+  for (const contract of Object.keys(expected.owners ?? {})) {
+    if (OWNABLE[contract] === undefined) throw new Error(`${file}: ${contract} is not an audited Ownable contract`);
+  }
+  return expected;
+}
+
+/**
+ * Replay RoleGranted/RoleRevoked logs into the current holders of every role
+ * @returns {Promise<Map<string, Set<string>>>} role hash -> lowercase holder addresses
+ */
+export async function readRoleHolders(client, address, { fromBlock = 0n, toBlock, maxRange = 5000n }) {
+  const logs = [];
+  for (let start = BigInt(fromBlock); start <= toBlock; start += BigInt(maxRange)) {
+    const end = start + BigInt(maxRange) - 1n < toBlock ? start + BigInt(maxRange) - 1n : toBlock;
+    logs.push(...(await client.getLogs({ address, events: roleEvents, fromBlock: start, toBlock: end })));
+  }
+  logs.sort((a, b) => (a.blockNumber === b.blockNumber ? a.logIndex - b.logIndex : a.blockNumber < b.blockNumber ? -1 : 1));
+
+  const holders = new Map();
+  for (const log of logs) {
+    const { role, account } = log.args;
+    if (!holders.has(role)) holders.set(role, new Set());
+    if (log.eventName === "RoleGranted") holders.get(role).add(account.toLowerCase());
+    else holders.get(role).delete(account.toLowerCase());
+  }
+  return holders;
+}
+
+/**
+ * owner() and, for Ownable2Step contracts, pendingOwner()
+ */
+export async function readOwnership(client, address, twoStep, blockNumber) {
+  const read = (functionName) => client.readContract({ address, abi: ownableAbi, functionName, blockNumber });
+  return {
+    owner: await read("owner"),
+    pendingOwner: twoStep ? await read("pendingOwner") : null,
+  };
+}
+
+/**
+ * Run the audit into a health report (see scripts/lib/health.mjs)
+ * @param {object} expected Parsed permissions file
+ * @param {object} options { accounts, fromBlock, toBlock, maxRange } accounts are extra aliases,
+ *                         e.g. { deployer: "0x..." }; the file's own "accounts" take precedence
+ */
+export async function auditPermissions(report, client, addr, expected, { accounts = {}, fromBlock = 0n, toBlock, maxRange }) {
+  const group = "Access Control";
+  const aliases = { ...accounts, ...expected.accounts };
+
+  // Resolve a name from the file; undefined when it cannot be resolved
+  const resolve = (name) => {
+    if (name === null) return zeroAddress;
+    if (/^0x[0-9a-fA-F]{40}$/.test(name)) return name.toLowerCase();
+    return (addr[name] ?? aliases[name])?.toLowerCase();
+  };
+  const names = new Map([[zeroAddress, "nobody"]]);
+  for (const [name, address] of [...Object.entries(addr), ...Object.entries(aliases)]) {
+    if (address) names.set(address.toLowerCase(), name);
+  }
+  const describe = (address) => (names.has(address) ? `${names.get(address)} (${address.slice(0, 10)}...)` : address);
+  const resolveAll = (list) => {
+    const unresolved = list.filter((name) => resolve(name) === undefined);
+    if (unresolved.length > 0) {
+      throw warn(`cannot resolve ${unresolved.join(", ")} (add it to "accounts" in the permissions file)`);
+    }
+    return list.map(resolve);
+  };
+
+  for (const contract of ACCESS_CONTROLLED) {
+    const address = addr[contract];
+    if (!address) continue;
+    let holders;
+    try {
+      holders = await readRoleHolders(client, address, { fromBlock, toBlock, maxRange });
+    } catch (error) {
+      await report.check(group, `${contract} roles`, async () => {
+        throw new Error(`cannot read role logs: ${error.shortMessage || error.message}`);
+      });
+      continue;
+    }
+
+    const expectedRoles = expected.roles?.[contract] ?? {};
+    const roleHashes = new Set([...holders.keys(), ...Object.keys(expectedRoles).map((role) => ROLES[role] ?? role)]);
+    for (const hash of roleHashes) {
+      const name = roleName(hash);
+      await report.check(group, `${contract} ${name}`, async () => {
+        const wanted = resolveAll(expectedRoles[name] ?? []);
+        // Logs give the candidates; hasRole() at the audited block is the authority
+        const candidates = new Set([...(holders.get(hash) ?? []), ...wanted]);
+        const actual = [];
+        for (const account of candidates) {
+          if (await client.readContract({ address, abi: accessControlAbi, functionName: "hasRole", args: [hash, account], blockNumber: toBlock })) {
+            actual.push(account);
+          }
+        }
+        const unexpected = actual.filter((account) => !wanted.includes(account));
+        const missing = wanted.filter((account) => !actual.includes(account));
+        const problems = [
+          unexpected.length > 0 ? `unexpected holder(s): ${unexpected.map(describe).join(", ")}` : null,
+          missing.length > 0 ? `missing holder(s): ${missing.map(describe).join(", ")}` : null,
+        ].filter(Boolean);
+        if (unexpected.length > 0) throw healthIssue("error", problems.join("; "));
+        if (missing.length > 0) throw warn(problems.join("; "));
+        return actual.length > 0 ? actual.map((account) => names.get(account) ?? account).join(", ") : "none";
+      });
+    }
+  }
+
+  for (const [contract, twoStep] of Object.entries(OWNABLE)) {
+    if (!addr[contract] || !(contract in (expected.owners ?? {}))) continue;
+    await report.check(group, `${contract} owner`, async () => {
+      const [wantedOwner] = resolveAll([expected.owners[contract]]);
+      const [wantedPending] = resolveAll([expected.pendingOwners?.[contract] ?? null]);
+      const { owner, pendingOwner } = await readOwnership(client, addr[contract], twoStep, toBlock);
+      if (owner.toLowerCase() !== wantedOwner) {
+        throw healthIssue("error", `owner is ${describe(owner.toLowerCase())}, expected ${describe(wantedOwner)}`);
+      }
+      if (pendingOwner !== null && pendingOwner.toLowerCase() !== wantedPending) {
+        throw healthIssue("error", `pending ownership transfer to ${describe(pendingOwner.toLowerCase())}`);
+      }
+      return describe(wantedOwner);
+    });
+  }
+
+  if (addr.ConfigGov && expected.governor !== undefined) {
+    await report.check(group, "ConfigGov governor", async () => {
+      const [wanted] = resolveAll([expected.governor]);
+      const governor = (await client.readContract({ address: addr.ConfigGov, abi: configGovAbi, functionName: "governor", blockNumber: toBlock })).toLowerCase();
+      if (governor !== wanted) throw healthIssue("error", `governor is ${describe(governor)}, expected ${describe(wanted)}`);
+      return describe(governor);
+    });
+  }
+}
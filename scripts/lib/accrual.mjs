@@ -0,0 +1,98 @@
+/**
+ * Accrual Snapshot
+ *
+ * Captures the time-dependent protocol state (BRS emission, staking interest,
+ * vault share prices, IUSD) so two snapshots can be diffed to show what accrued
+ * over a period of chain time, e.g. after the guardian fast-forwards.
+ */
+
+import { formatUnits, parseAbi } from "viem";
+
+const ONE = 10n ** 18n;
+
+const farmingAbi = parseAbi([
+  "function minted() view returns (uint256)",
+  "function currentRewardPerSecond() view returns (uint256)",
+]);
+
+const interestPoolAbi = parseAbi([
+  "function btdPool() view returns (address token, uint256 totalStaked, uint256 accInterestPerShare, uint256 lastAccrual, uint256 annualRateBps)",
+  "function btbPool() view returns (address token, uint256 totalStaked, uint256 accInterestPerShare, uint256 lastAccrual, uint256 annualRateBps)",
+]);
+
+const vaultAbi = parseAbi([
+  "function convertToAssets(uint256 shares) view returns (uint256)",
+]);
+
+const erc20Abi = parseAbi([
+  "function totalSupply() view returns (uint256)",
+]);
+
+const iusdAbi = parseAbi([
+  "function getCurrentIUSD() view returns (uint256)",
+]);
+
+/**
+ * Read the accrual-relevant state at the latest block
+ * Getters that revert are recorded as null.
+ */
+export async function readAccrualSnapshot(client, addr) {
+  const read = (address, abi, functionName, args = []) =>
+    client.readContract({ address, abi, functionName, args }).catch(() => null);
+
+  const [block, minted, btdPool, btbPool, stBTDPrice, stBTBPrice, btdSupply, btbSupply, iusd] = await Promise.all([
+    client.getBlock({ blockTag: "latest" }),
+    read(addr.FarmingPool, farmingAbi, "minted"),
+    read(addr.InterestPool, interestPoolAbi, "btdPool"),
+    read(addr.InterestPool, interestPoolAbi, "btbPool"),
+    read(addr.stBTD, vaultAbi, "convertToAssets", [ONE]),
+    read(addr.stBTB, vaultAbi, "convertToAssets", [ONE]),
+    read(addr.BTD, erc20Abi, "totalSupply"),
+    read(addr.BTB, erc20Abi, "totalSupply"),
+    read(addr.IdealUSDManager, iusdAbi, "getCurrentIUSD"),
+  ]);
+
+  return {
+    block: Number(block.number),
+    timestamp: Number(block.timestamp),
+    minted,
+    btdRateBps: btdPool ? btdPool[4] : null,
+    btbRateBps: btbPool ? btbPool[4] : null,
+    btdAccInterest: btdPool ? btdPool[2] : null,
+    btbAccInterest: btbPool ? btbPool[2] : null,
+    stBTDPrice,
+    stBTBPrice,
+    btdSupply,
+    btbSupply,
+    iusd,
+  };
+}
+
+/**
+ * Compare two snapshots; returns display rows { label, before, after, change }
+ */
+export function diffAccrual(before, after) {
+  const num = (value) => (value === null ? null : Number(formatUnits(value, 18)));
+  const pct = (value) => (value === null ? null : Number(value) / 100);
+  const row = (label, from, to, unit = "") => ({
+    label,
+    before: from,
+    after: to,
+    change: from === null || to === null ? null : to - from,
+    unit,
+  });
+  return [
+    row("Blocks", before.block, after.block),
+    row("Chain time (days)", 0, (after.timestamp - before.timestamp) / 86400),
+    row("BRS minted", num(before.minted), num(after.minted), "BRS"),
+    row("BTD supply", num(before.btdSupply), num(after.btdSupply), "BTD"),
+    row("BTB supply", num(before.btbSupply), num(after.btbSupply), "BTB"),
+    row("BTD interest/share", num(before.btdAccInterest), num(after.btdAccInterest)),
+    row("BTB interest/share", num(before.btbAccInterest), num(after.btbAccInterest)),
+    row("BTD rate", pct(before.btdRateBps), pct(after.btdRateBps), "%"),
+    row("BTB rate", pct(before.btbRateBps), pct(after.btbRateBps), "%"),
+    row("stBTD share price", num(before.stBTDPrice), num(after.stBTDPrice), "BTD"),
+    row("stBTB share price", num(before.stBTBPrice), num(after.stBTBPrice), "BTB"),
+    row("IUSD", num(before.iusd), num(after.iusd), "USD"),
+  ];
+}
@@ -0,0 +1,58 @@
+/**
+ * Uniswap V2 Swap Math
+ *
+ * Exact bigint versions of the UniswapV2Library formulas (0.3% fee) plus the
+ * amount needed to move a pair's spot price to a target. Prices are expressed
+ * as a ratio of raw reserves so callers handle token decimals explicitly.
+ */
+
+const FEE_NUMERATOR = 997n;
+const FEE_DENOMINATOR = 1000n;
+
+/**
+ * Integer square root (floor)
+ */
+export function sqrt(value) {
+  if (value < 0n) throw new Error("sqrt of negative number");
+  if (value < 2n) return value;
+  let x = value;
+  let y = (x + 1n) / 2n;
+  while (y < x) {
+    x = y;
+    y = (x + value / x) / 2n;
+  }
+  return x;
+}
+
+/**
+ * UniswapV2Library.getAmountOut
+ */
+export function getAmountOut(amountIn, reserveIn, reserveOut) {
+  if (amountIn <= 0n) return 0n;
+  if (reserveIn <= 0n || reserveOut <= 0n) throw new Error("Insufficient liquidity");
+  const amountInWithFee = amountIn * FEE_NUMERATOR;
+  return (amountInWithFee * reserveOut) / (reserveIn * FEE_DENOMINATOR + amountInWithFee);
+}
+
+/**
+ * UniswapV2Library.getAmountIn
+ */
+export function getAmountIn(amountOut, reserveIn, reserveOut) {
+  if (amountOut <= 0n) return 0n;
+  if (reserveIn <= 0n || reserveOut <= amountOut) throw new Error("Insufficient liquidity");
+  return (reserveIn * amountOut * FEE_DENOMINATOR) / ((reserveOut - amountOut) * FEE_NUMERATOR) + 1n;
+}
+
+/**
+ * Input amount that moves reserveIn/reserveOut to targetNum/targetDen
+ * Returns { amountIn: 0n, amountOut: 0n } when the price has to move the other way.
+ * The 0.3% fee stays in the pool, so the resulting ratio lands marginally past the target.
+ */
+export function swapToRatio(reserveIn, reserveOut, targetNum, targetDen) {
+  const k = reserveIn * reserveOut;
+  const targetReserveIn = sqrt((k * targetNum) / targetDen);
+  if (targetReserveIn <= reserveIn) return { amountIn: 0n, amountOut: 0n };
+  const netIn = targetReserveIn - reserveIn;
+  const amountIn = (netIn * FEE_DENOMINATOR + FEE_NUMERATOR - 1n) / FEE_NUMERATOR;
+  return { amountIn, amountOut: getAmountOut(amountIn, reserveIn, reserveOut) };
+}
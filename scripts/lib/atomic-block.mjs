@@ -0,0 +1,98 @@
+/**
+ * Single-Block Transaction Batches
+ *
+ * Oracle syncs touch several feeds (Chainlink, Pyth, Redstone). Sent one by one under
+ * automine, every update lands in its own block and PriceOracle briefly sees diverged
+ * sources, so user transactions mined in between can fail the deviation check.
+ *
+ * sendInOneBlock() queues a batch so it is mined together:
+ *   Hardhat  automine is switched off, the transactions are queued with consecutive
+ *            nonces, exactly one block is mined with evm_mine and the previous
+ *            automine setting is restored
+ *   other    (e.g. Sepolia) the transactions are broadcast back to back with consecutive
+ *            nonces so they normally share a block; the result reports whether they did.
+ *            Pass { sender } (scripts/lib/tx-sender.mjs) to use its nonces, fees and replacement;
+ *            it sends and confirms the batch one transaction at a time, so the batch then
+ *            spans several blocks (atomic: false)
+ *
+ * Interval mining (as set by the guardian) cannot be read back, so it is left running;
+ * if it happens to mine in the middle of a batch the result has atomic: false.
+ */
+
+/**
+ * Whether the node lets us control mining (Hardhat / anvil style JSON-RPC)
+ */
+async function readAutomine(publicClient) {
+  try {
+    return await publicClient.request({ method: "hardhat_getAutomine", params: [] });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Send `requests` (writeContract parameters) so they are mined in a single block
+ * @param {object} [options] { sender } transaction sender used when mining cannot be controlled
+ * @returns {Promise<{ blockNumber: bigint, blocks: bigint[], hashes: string[], atomic: boolean, mined: boolean }>}
+ *          blockNumber is the block of the last transaction; mined is true when we mined the block ourselves
+ */
+export async function sendInOneBlock(publicClient, walletClient, requests, { sender } = {}) {
+  if (requests.length === 0) throw new Error("sendInOneBlock: empty batch");
+  const account = walletClient.account;
+  const automine = await readAutomine(publicClient);
+  const controlled = automine !== null;
+
+  if (!controlled && sender) {
+    // One at a time: a failed concurrent send would reset the sender's nonce under the others
+    const receipts = [];
+    for (const request of requests) receipts.push(await sender.send(request));
+    const blocks = receipts.map((receipt) => receipt.blockNumber);
+    return {
+      blockNumber: blocks.reduce((a, b) => (b > a ? b : a)),
+      blocks,
+      hashes: receipts.map((receipt) => receipt.transactionHash),
+      atomic: blocks.every((block) => block === blocks[0]),
+      mined: false,
+    };
+  }
+
+  const hashes = [];
+  let failure = null;
+  if (controlled) {
+    await publicClient.request({ method: "evm_setAutomine", params: [false] });
+  }
+  try {
+    let nonce = await publicClient.getTransactionCount({ address: account.address, blockTag: "pending" });
+    for (const request of requests) {
+      try {
+        hashes.push(await walletClient.writeContract({ ...request, account, nonce }));
+        nonce++;
+      } catch (error) {
+        // Stop queueing; whatever is already queued still gets mined below
+        failure = error;
+        break;
+      }
+    }
+    if (controlled && hashes.length > 0) {
+      await publicClient.request({ method: "evm_mine", params: [] });
+    }
+  } finally {
+    if (controlled) {
+      await publicClient.request({ method: "evm_setAutomine", params: [automine] });
+    }
+  }
+
+  const receipts = await Promise.all(hashes.map((hash) => publicClient.waitForTransactionReceipt({ hash })));
+  if (failure) throw failure;
+  const reverted = receipts.find((receipt) => receipt.status !== "success");
+  if (reverted) throw new Error(`Transaction ${reverted.transactionHash} reverted in block ${reverted.blockNumber}`);
+
+  const blocks = receipts.map((receipt) => receipt.blockNumber);
+  return {
+    blockNumber: blocks[blocks.length - 1],
+    blocks,
+    hashes,
+    atomic: blocks.every((block) => block === blocks[0]),
+    mined: controlled,
+  };
+}
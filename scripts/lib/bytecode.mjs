@@ -0,0 +1,94 @@
+/**
+ * Bytecode Comparison
+ *
+ * Compares on-chain runtime code with a compiled artifact's deployedBytecode.
+ * Both sides are normalized first so that only real code differences remain:
+ *   metadata     the trailing CBOR blob (source hash, compiler version) is dropped;
+ *                its length is the last two bytes of the code
+ *   immutables   immutableReferences ranges are zeroed (set by the constructor)
+ *   libraries    deployedLinkReferences ranges are zeroed (placeholders in the artifact)
+ * EIP-1967 proxies are followed to their implementation before comparing.
+ */
+
+import fs from "fs";
+import path from "path";
+
+// bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+export const EIP1967_IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+const strip0x = (hex) => (hex.startsWith("0x") ? hex.slice(2) : hex).toLowerCase();
+
+/**
+ * Drop the trailing CBOR metadata; code without a plausible metadata blob is returned as is
+ */
+export function stripMetadata(hex) {
+  const code = strip0x(hex);
+  if (code.length < 4) return code;
+  const length = parseInt(code.slice(-4), 16);
+  const start = code.length - 4 - length * 2;
+  // Solidity metadata is a CBOR map (0xa1..0xa5)
+  if (length === 0 || start < 0 || !/^a[1-5]$/.test(code.slice(start, start + 2))) return code;
+  return code.slice(0, start);
+}
+
+/**
+ * Zero the given byte ranges ({ start, length }, as in immutableReferences)
+ */
+export function maskRanges(hex, ranges) {
+  let code = strip0x(hex);
+  for (const { start, length } of ranges) {
+    code = code.slice(0, start * 2) + "0".repeat(length * 2) + code.slice((start + length) * 2);
+  }
+  return code;
+}
+
+// Every range an artifact leaves open: immutables and linked library addresses
+function openRanges(artifact) {
+  const ranges = Object.values(artifact.immutableReferences ?? {}).flat();
+  for (const libraries of Object.values(artifact.deployedLinkReferences ?? {})) {
+    ranges.push(...Object.values(libraries).flat());
+  }
+  return ranges;
+}
+
+/**
+ * Normalize runtime code against an artifact (see the header for what is ignored)
+ */
+export function normalizeCode(hex, artifact) {
+  return stripMetadata(maskRanges(hex, openRanges(artifact)));
+}
+
+/**
+ * Compare on-chain runtime code with an artifact
+ * @returns {{ match: boolean, reason: string|null }} reason names the first difference
+ */
+export function compareCode(onChain, artifact) {
+  // Link placeholders (__$...$__) are 20 bytes wide like the addresses they stand for
+  const expected = normalizeCode(artifact.deployedBytecode.replace(/__\$[0-9a-fA-F]{34}\$__/g, "0".repeat(40)), artifact);
+  const actual = normalizeCode(onChain, artifact);
+  if (actual === expected) return { match: true, reason: null };
+
+  if (actual.length !== expected.length) {
+    return { match: false, reason: `code size ${actual.length / 2} bytes, artifact ${expected.length / 2} bytes` };
+  }
+  let offset = 0;
+  while (actual[offset] === expected[offset]) offset++;
+  return { match: false, reason: `first difference at byte ${Math.floor(offset / 2)}` };
+}
+
+/**
+ * Implementation address of an EIP-1967 proxy, or null when the slot is empty
+ */
+export async function readImplementation(client, address, blockNumber) {
+  const slot = await client.getStorageAt({ address, slot: EIP1967_IMPLEMENTATION_SLOT, blockNumber });
+  if (!slot || BigInt(slot) === 0n) return null;
+  return `0x${strip0x(slot).slice(-40)}`;
+}
+
+/**
+ * Load a compiled Hardhat artifact, or null when it is not there
+ */
+export function loadArtifact(artifactsDir, sourceName, contractName) {
+  const file = path.join(artifactsDir, sourceName, `${contractName}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
@@ -0,0 +1,212 @@
+/**
+ * Collateral Monitor
+ *
+ * Reads the Minter's solvency figures and classifies the system into the
+ * redemption regimes described in the README:
+ *   A: CR >= 100%                               -> BTD redeems fully in WBTC
+ *   B: CR < 100% and BTB price >= BTB floor     -> WBTC + newly minted BTB
+ *   C: CR < 100% and BTB price <  BTB floor     -> WBTC + BTB + BRS compensation
+ * ConfigGov.minBTBPrice() is denominated in BTD; the floor in USD is
+ * minBTBPrice * BTD price / 1e18, as RedeemLogic computes it.
+ *
+ * Also provides threshold alert rules that are evaluated against every snapshot
+ * and report each crossing (trigger and resolve) exactly once.
+ */
+
+import fs from "fs";
+import { formatUnits, parseAbi } from "viem";
+
+const ONE = 10n ** 18n;
+
+const minterAbi = parseAbi([
+  "function getCollateralRatio() view returns (uint256)",
+  "function totalWBTC() view returns (uint256)",
+  "function totalBTD() view returns (uint256)",
+  "function totalStBTDEquivalent() view returns (uint256)",
+]);
+
+const priceOracleAbi = parseAbi([
+  "function getBTBPrice() view returns (uint256)",
+  "function getBTDPrice() view returns (uint256)",
+]);
+
+const configGovAbi = parseAbi([
+  "function minBTBPrice() view returns (uint256)",
+]);
+
+export const REGIMES = {
+  A: "full WBTC redemption",
+  B: "WBTC + BTB",
+  C: "WBTC + BTB + BRS",
+};
+
+// Default rules: warn before the peg is at risk, and whenever BTB trades below its floor
+export const DEFAULT_ALERT_RULES = [
+  { name: "CR below 110%", metric: "cr", below: 1.1 },
+  { name: "CR below 100%", metric: "cr", below: 1.0 },
+  { name: "BTB below minBTBPrice", metric: "btbPrice", below: "minBTBPriceUSD" },
+];
+
+/**
+ * BTB floor in USD: minBTBPrice (in BTD) x BTD price, as RedeemLogic computes it (18 decimals)
+ * Returns null when either input is unavailable or zero
+ */
+export function minBTBPriceInUSD(minBTBPrice, btdPrice) {
+  if (!minBTBPrice || !btdPrice) return null;
+  return (minBTBPrice * btdPrice) / ONE;
+}
+
+/**
+ * Determine the redemption regime from CR, BTB price (USD) and the BTD-denominated
+ * minBTBPrice (all 18 decimals)
+ * Returns null when CR is unavailable (e.g. oracle reverting)
+ */
+export function redemptionRegime(cr, btbPrice, minBTBPrice, btdPrice) {
+  if (cr === null || cr === undefined) return null;
+  if (cr >= ONE) return "A";
+  const floor = minBTBPriceInUSD(minBTBPrice, btdPrice);
+  if (btbPrice === null || btbPrice === undefined || floor === null) return null;
+  return btbPrice >= floor ? "B" : "C";
+}
+
+/**
+ * Read CR, reserves and liabilities in one batch
+ * Reverting getters are reported as null instead of failing the whole snapshot
+ */
+export async function readCollateralSnapshot(client, addr) {
+  const read = (address, abi, functionName) =>
+    client.readContract({ address, abi, functionName }).catch(() => null);
+
+  const [cr, totalWBTC, totalBTD, totalStBTD, btbPrice, btdPrice, minBTBPrice] = await Promise.all([
+    read(addr.Minter, minterAbi, "getCollateralRatio"),
+    read(addr.Minter, minterAbi, "totalWBTC"),
+    read(addr.Minter, minterAbi, "totalBTD"),
+    read(addr.Minter, minterAbi, "totalStBTDEquivalent"),
+    read(addr.PriceOracle, priceOracleAbi, "getBTBPrice"),
+    read(addr.PriceOracle, priceOracleAbi, "getBTDPrice"),
+    read(addr.ConfigGov, configGovAbi, "minBTBPrice"),
+  ]);
+
+  return {
+    cr,
+    totalWBTC,
+    totalBTD,
+    totalStBTD,
+    btbPrice,
+    btdPrice,
+    minBTBPrice,
+    minBTBPriceUSD: minBTBPriceInUSD(minBTBPrice, btdPrice),
+    regime: redemptionRegime(cr, btbPrice, minBTBPrice, btdPrice),
+  };
+}
+
+/**
+ * Convert a snapshot into plain numbers for alert evaluation (1.0 = 100% / $1)
+ * minBTBPrice stays in BTD; compare USD prices with minBTBPriceUSD
+ */
+export function snapshotMetrics(snapshot) {
+  const toNumber = (value, decimals = 18) =>
+    value === null || value === undefined ? null : Number(formatUnits(value, decimals));
+  return {
+    cr: toNumber(snapshot.cr),
+    btbPrice: toNumber(snapshot.btbPrice),
+    minBTBPrice: toNumber(snapshot.minBTBPrice),
+    minBTBPriceUSD: toNumber(snapshot.minBTBPriceUSD),
+    totalWBTC: toNumber(snapshot.totalWBTC, 8),
+    totalBTD: toNumber(snapshot.totalBTD),
+    totalStBTD: toNumber(snapshot.totalStBTD),
+  };
+}
+
+/**
+ * Keeps a rolling window of CR samples to report direction and magnitude of change
+ */
+export function createTrendTracker(windowSize = 30) {
+  const samples = [];
+  return {
+    push(value) {
+      if (value === null || value === undefined) return;
+      samples.push(value);
+      if (samples.length > windowSize) samples.shift();
+    },
+    // Change between oldest and newest sample in the window (same unit as samples)
+    delta() {
+      if (samples.length < 2) return 0;
+      return samples[samples.length - 1] - samples[0];
+    },
+    size() {
+      return samples.length;
+    },
+  };
+}
+
+/**
+ * Load alert rules from a JSON file
+ * Format: [{ "name": "...", "metric": "cr", "below": 1.1 }, { "metric": "btbPrice", "below": "minBTBPriceUSD" }]
+ * Thresholds may be a number or the name of another metric.
+ */
+export function loadAlertRules(file) {
+  const rules = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(rules)) {
+    throw new Error(`Alert rules in ${file} must be an array`);
+  }
+  for (const rule of rules) {
+    if (!rule.metric || (rule.below === undefined && rule.above === undefined)) {
+      throw new Error(`Invalid alert rule ${JSON.stringify(rule)}: needs "metric" and "below" or "above"`);
+    }
+    rule.name = rule.name || `${rule.metric} ${rule.below !== undefined ? "below" : "above"} ${rule.below ?? rule.above}`;
+  }
+  return rules;
+}
+
+/**
+ * Create an alert monitor that tracks the active state of each rule
+ * evaluate() returns only the crossings since the previous evaluation.
+ */
+export function createAlertMonitor(rules) {
+  const active = new Map();
+
+  const resolveThreshold = (threshold, metrics) =>
+    typeof threshold === "string" ? metrics[threshold] : threshold;
+
+  return {
+    evaluate(metrics) {
+      const crossings = [];
+      for (const rule of rules) {
+        const value = metrics[rule.metric];
+        const isBelow = rule.below !== undefined;
+        const threshold = resolveThreshold(isBelow ? rule.below : rule.above, metrics);
+        // Missing data never changes alert state
+        if (value === null || value === undefined || threshold === null || threshold === undefined) continue;
+
+        const triggered = isBelow ? value < threshold : value > threshold;
+        const wasActive = active.get(rule.name) === true;
+        if (triggered !== wasActive) {
+          active.set(rule.name, triggered);
+          crossings.push({ rule, state: triggered ? "triggered" : "resolved", value, threshold });
+        }
+      }
+      return crossings;
+    },
+    activeRules() {
+      return rules.filter((rule) => active.get(rule.name) === true);
+    },
+  };
+}
+
+/**
+ * Append a crossing to the alert log (one line per crossing)
+ */
+export function logCrossing(file, crossing, block) {
+  const { rule, state, value, threshold } = crossing;
+  const line = [
+    new Date().toISOString(),
+    `block=${block.number}`,
+    `blockTime=${new Date(Number(block.timestamp) * 1000).toISOString()}`,
+    state.toUpperCase(),
+    `"${rule.name}"`,
+    `${rule.metric}=${value}`,
+    `threshold=${threshold}`,
+  ].join(" ");
+  fs.appendFileSync(file, line + "\n");
+}
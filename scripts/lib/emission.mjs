@@ -0,0 +1,179 @@
+/**
+ * BRS Emission Schedule
+ *
+ * Mirrors FarmingPool._currentRewardPerSec():
+ *   rate(era) = (1,050,000,000e18 / ERA_PERIOD) >> era,  era = (t - startTime) / ERA_PERIOD
+ * so every 4-year era emits half of the previous one and the total converges on the
+ * 2.1B BRS that is pre-funded into the pool (Constants.BRS_MAX_SUPPLY).
+ *
+ * The projection assumes every second is emitted. On-chain `minted` only grows while
+ * pools have stake, so the gap between the two shows emission that was never minted.
+ */
+
+import { formatUnits, parseAbi } from "viem";
+
+// Constants.sol
+export const ERA_PERIOD = 4 * 365 * 24 * 3600;
+export const BRS_MAX_SUPPLY = 2_100_000_000n * 10n ** 18n;
+const INITIAL_ERA_EMISSION = 1_050_000_000n * 10n ** 18n;
+const ERA = BigInt(ERA_PERIOD);
+
+export const MILESTONES = [50, 90, 99];
+
+const farmingAbi = parseAbi([
+  "function startTime() view returns (uint256)",
+  "function minted() view returns (uint256)",
+  "function currentRewardPerSecond() view returns (uint256)",
+]);
+
+/**
+ * Reward per second (18 decimals) during an era
+ */
+export function rateForEra(era) {
+  return (INITIAL_ERA_EMISSION / ERA) >> BigInt(era);
+}
+
+/**
+ * Era index at a timestamp (0 before startTime)
+ */
+export function eraAt(startTime, timestamp) {
+  const elapsed = Number(timestamp) - Number(startTime);
+  return elapsed <= 0 ? 0 : Math.floor(elapsed / ERA_PERIOD);
+}
+
+/**
+ * Timestamp at which the era after the current one begins
+ */
+export function nextHalvingTime(startTime, timestamp) {
+  return Number(startTime) + (eraAt(startTime, timestamp) + 1) * ERA_PERIOD;
+}
+
+/**
+ * Cumulative emission from startTime until `timestamp`, capped at the max supply
+ */
+export function projectedMinted(startTime, timestamp) {
+  const elapsed = BigInt(Math.max(0, Number(timestamp) - Number(startTime)));
+  let total = 0n;
+  let era = 0;
+  let remaining = elapsed;
+  while (remaining > 0n) {
+    const rate = rateForEra(era);
+    if (rate === 0n) break;
+    const span = remaining < ERA ? remaining : ERA;
+    total += rate * span;
+    remaining -= span;
+    era++;
+  }
+  return total > BRS_MAX_SUPPLY ? BRS_MAX_SUPPLY : total;
+}
+
+/**
+ * Timestamp at which cumulative emission reaches `pct` percent of the max supply
+ * Returns null if the halving schedule never gets there.
+ */
+export function milestoneTime(startTime, pct) {
+  const target = (BRS_MAX_SUPPLY * BigInt(Math.round(pct * 100))) / 10000n;
+  let cumulative = 0n;
+  for (let era = 0; ; era++) {
+    const rate = rateForEra(era);
+    if (rate === 0n) return null;
+    const eraEmission = rate * ERA;
+    if (cumulative + eraEmission >= target) {
+      const offset = (target - cumulative + rate - 1n) / rate;
+      return Number(startTime) + era * ERA_PERIOD + Number(offset);
+    }
+    cumulative += eraEmission;
+  }
+}
+
+/**
+ * Build the projection for a given chain state
+ * @param {object} state { startTime, minted, rate, timestamp } as read from chain
+ * @param {number} [epochs] Number of eras listed in the schedule
+ */
+export function projectEmissions({ startTime, minted, rate, timestamp }, epochs = 8) {
+  const now = Number(timestamp);
+  const era = eraAt(startTime, now);
+  const schedule = [];
+  let cumulative = 0n;
+  for (let i = 0; i < epochs; i++) {
+    const eraRate = rateForEra(i);
+    const emission = eraRate * ERA;
+    cumulative += emission;
+    schedule.push({
+      era: i,
+      start: Number(startTime) + i * ERA_PERIOD,
+      end: Number(startTime) + (i + 1) * ERA_PERIOD,
+      rate: eraRate,
+      emission,
+      cumulative,
+      cumulativePct: Number((cumulative * 10000n) / BRS_MAX_SUPPLY) / 100,
+    });
+  }
+
+  const projected = projectedMinted(startTime, now);
+  const nextHalving = nextHalvingTime(startTime, now);
+  return {
+    startTime: Number(startTime),
+    timestamp: now,
+    era,
+    expectedRate: rateForEra(era),
+    // currentRewardPerSecond() is 0 while no pool has allocation points
+    rate,
+    nextHalving,
+    secondsToHalving: nextHalving - now,
+    schedule,
+    milestones: MILESTONES.map((pct) => ({ pct, timestamp: milestoneTime(startTime, pct) })),
+    projectedMinted: projected,
+    actualMinted: minted,
+    unmintedEmission: projected > minted ? projected - minted : 0n,
+    actualPct: Number((minted * 10000n) / BRS_MAX_SUPPLY) / 100,
+    projectedPct: Number((projected * 10000n) / BRS_MAX_SUPPLY) / 100,
+  };
+}
+
+/**
+ * Read startTime, minted and the current rate at the latest block
+ */
+export async function readEmissionState(client, addr) {
+  const read = (functionName) => client.readContract({ address: addr.FarmingPool, abi: farmingAbi, functionName });
+  const [block, startTime, minted, rate] = await Promise.all([
+    client.getBlock({ blockTag: "latest" }),
+    read("startTime"),
+    read("minted"),
+    read("currentRewardPerSecond"),
+  ]);
+  return { block: Number(block.number), timestamp: Number(block.timestamp), startTime, minted, rate };
+}
+
+/**
+ * Plain-number view of a projection, suitable for JSON output
+ */
+export function emissionReportJson(projection) {
+  const brs = (value) => Number(formatUnits(value, 18));
+  const iso = (timestamp) => (timestamp === null ? null : new Date(timestamp * 1000).toISOString());
+  return {
+    startTime: iso(projection.startTime),
+    timestamp: iso(projection.timestamp),
+    era: projection.era,
+    rate: brs(projection.rate),
+    expectedRate: brs(projection.expectedRate),
+    nextHalving: iso(projection.nextHalving),
+    secondsToHalving: projection.secondsToHalving,
+    projectedMinted: brs(projection.projectedMinted),
+    actualMinted: brs(projection.actualMinted),
+    unmintedEmission: brs(projection.unmintedEmission),
+    projectedPct: projection.projectedPct,
+    actualPct: projection.actualPct,
+    milestones: projection.milestones.map(({ pct, timestamp }) => ({ pct, date: iso(timestamp) })),
+    schedule: projection.schedule.map((epoch) => ({
+      era: epoch.era,
+      start: iso(epoch.start),
+      end: iso(epoch.end),
+      ratePerSecond: brs(epoch.rate),
+      emission: brs(epoch.emission),
+      cumulative: brs(epoch.cumulative),
+      cumulativePct: epoch.cumulativePct,
+    })),
+  };
+}
@@ -0,0 +1,264 @@
+/**
+ * Protocol Event Feed
+ *
+ * Polls the core contracts for user-facing events and keeps the most recent
+ * ones decoded and formatted for display:
+ *   Minter          BTDMinted, BTDRedeemed, BTBRedeemed
+ *   FarmingPool     Deposit, Withdraw, Claim
+ *   InterestPool    Staked, Withdrawn, InterestClaimed, BTD/BTB rate updates
+ *   IdealUSDManager IUSDUpdated
+ *   Treasury        LazyBuybackExecuted
+ *
+ * Amounts are formatted with the decimals of the token they refer to
+ * (8 for WBTC, 6 for USDC/USDT, 18 otherwise).
+ */
+
+import { formatUnits, parseAbi } from "viem";
+
+const minterEvents = parseAbi([
+  "event BTDMinted(address indexed user, uint256 wbtcAmount, uint256 btdAmount, uint256 fee)",
+  "event BTDRedeemed(address indexed user, uint256 btdAmount, uint256 wbtcAmount, uint256 btbAmount, uint256 brsAmount)",
+  "event BTBRedeemed(address indexed user, uint256 btbAmount, uint256 btdAmount)",
+]);
+
+const farmingEvents = parseAbi([
+  "event Deposit(address indexed user, uint256 indexed pid, uint256 amount)",
+  "event Withdraw(address indexed user, uint256 indexed pid, uint256 amount)",
+  "event Claim(address indexed user, uint256 indexed pid, uint256 amount)",
+]);
+
+const interestEvents = parseAbi([
+  "event Staked(address indexed user, address indexed token, uint256 amount)",
+  "event Withdrawn(address indexed user, address indexed token, uint256 amount)",
+  "event InterestClaimed(address indexed user, address indexed token, uint256 amount)",
+  "event BTDAnnualRateUpdated(uint256 oldRateBps, uint256 newRateBps)",
+  "event BTBAnnualRateUpdated(uint256 oldRateBps, uint256 newRateBps, uint256 price, int256 dailyChangeBps)",
+]);
+
+const iusdEvents = parseAbi([
+  "event IUSDUpdated(uint256 indexed timestamp, uint256 oldValue, uint256 newValue, uint256 currentPCE, uint256 previousPCE, uint256 actualRate, uint256 targetRate, uint256 adjustmentFactor)",
+]);
+
+const treasuryEvents = parseAbi([
+  "event LazyBuybackExecuted(address indexed triggeredBy, uint256 btdSpent, uint256 brsReceived, uint256 gasCompensation)",
+]);
+
+const farmingAbi = parseAbi([
+  "function poolInfo(uint256 pid) view returns (address lpToken, uint256 allocPoint, uint256 lastRewardTime, uint256 accRewardPerShare, uint256 totalStaked, uint8 kind)",
+]);
+
+// Contracts watched by the feed, keyed by deployment id
+const SOURCES = [
+  { contract: "Minter", events: minterEvents },
+  { contract: "FarmingPool", events: farmingEvents },
+  { contract: "InterestPool", events: interestEvents },
+  { contract: "IdealUSDManager", events: iusdEvents },
+  { contract: "Treasury", events: treasuryEvents },
+];
+
+// Token symbols and decimals for every deployment id that is an ERC20
+const TOKEN_DECIMALS = {
+  WBTC: 8,
+  USDC: 6,
+  USDT: 6,
+  WETH: 18,
+  BRS: 18,
+  BTD: 18,
+  BTB: 18,
+  stBTD: 18,
+  stBTB: 18,
+};
+
+const PAIR_LABELS = {
+  PairWBTCUSDC: "WBTC/USDC LP",
+  PairBTDUSDC: "BTD/USDC LP",
+  PairBTBBTD: "BTB/BTD LP",
+  PairBRSBTD: "BRS/BTD LP",
+};
+
+/**
+ * Build an address -> { symbol, decimals } map from a deployment address map
+ */
+export function tokenDirectory(addr) {
+  const directory = new Map();
+  for (const [symbol, decimals] of Object.entries(TOKEN_DECIMALS)) {
+    if (addr[symbol]) directory.set(addr[symbol].toLowerCase(), { symbol, decimals });
+  }
+  // Uniswap V2 LP tokens always have 18 decimals
+  for (const [id, symbol] of Object.entries(PAIR_LABELS)) {
+    if (addr[id]) directory.set(addr[id].toLowerCase(), { symbol, decimals: 18 });
+  }
+  return directory;
+}
+
+/**
+ * Format a raw amount with up to `precision` fraction digits
+ */
+export function formatAmount(value, decimals, precision = 4) {
+  const num = Number(formatUnits(BigInt(value), decimals));
+  return num.toLocaleString("en-US", { maximumFractionDigits: Math.min(precision, decimals) });
+}
+
+const bps = (value) => `${(Number(value) / 100).toFixed(2)}%`;
+
+/**
+ * Turn a decoded log into { actor, summary } using the token directory
+ * `farmToken(pid)` resolves the staking token of a farming pool.
+ */
+function describe(log, tokens, farmToken) {
+  const { eventName, args } = log;
+  const amount = (value, symbol) => `${formatAmount(value, TOKEN_DECIMALS[symbol] ?? 18)} ${symbol}`;
+  const tokenAmount = (value, token) => {
+    const info = tokens.get(token.toLowerCase()) ?? { symbol: token.slice(0, 10), decimals: 18 };
+    return `${formatAmount(value, info.decimals)} ${info.symbol}`;
+  };
+
+  switch (eventName) {
+    case "BTDMinted":
+      return {
+        actor: args.user,
+        summary: `minted ${amount(args.btdAmount, "BTD")} for ${amount(args.wbtcAmount, "WBTC")} (fee ${amount(args.fee, "BTD")})`,
+      };
+    case "BTDRedeemed": {
+      const parts = [amount(args.wbtcAmount, "WBTC")];
+      if (args.btbAmount > 0n) parts.push(amount(args.btbAmount, "BTB"));
+      if (args.brsAmount > 0n) parts.push(amount(args.brsAmount, "BRS"));
+      return { actor: args.user, summary: `redeemed ${amount(args.btdAmount, "BTD")} for ${parts.join(" + ")}` };
+    }
+    case "BTBRedeemed":
+      return { actor: args.user, summary: `redeemed ${amount(args.btbAmount, "BTB")} for ${amount(args.btdAmount, "BTD")}` };
+    case "Deposit":
+    case "Withdraw": {
+      const token = farmToken(args.pid);
+      const staked = token ? tokenAmount(args.amount, token) : formatAmount(args.amount, 18);
+      return { actor: args.user, summary: `${eventName === "Deposit" ? "deposited" : "withdrew"} ${staked} (pool ${args.pid})` };
+    }
+    case "Claim":
+      return { actor: args.user, summary: `claimed ${amount(args.amount, "BRS")} (pool ${args.pid})` };
+    case "Staked":
+      return { actor: args.user, summary: `staked ${tokenAmount(args.amount, args.token)}` };
+    case "Withdrawn":
+      return { actor: args.user, summary: `withdrew ${tokenAmount(args.amount, args.token)} principal` };
+    case "InterestClaimed":
+      return { actor: args.user, summary: `claimed ${tokenAmount(args.amount, args.token)} interest` };
+    case "BTDAnnualRateUpdated":
+      return { actor: null, summary: `BTD rate ${bps(args.oldRateBps)} -> ${bps(args.newRateBps)}` };
+    case "BTBAnnualRateUpdated":
+      return {
+        actor: null,
+        summary: `BTB rate ${bps(args.oldRateBps)} -> ${bps(args.newRateBps)} (price $${formatAmount(args.price, 18)}, ${bps(args.dailyChangeBps)}/day)`,
+      };
+    case "IUSDUpdated":
+      return {
+        actor: null,
+        summary: `IUSD ${formatAmount(args.oldValue, 18, 6)} -> ${formatAmount(args.newValue, 18, 6)}`,
+      };
+    case "LazyBuybackExecuted":
+      return {
+        actor: args.triggeredBy,
+        summary: `buyback ${amount(args.btdSpent, "BTD")} -> ${amount(args.brsReceived, "BRS")} (gas refund ${formatAmount(args.gasCompensation, 18, 6)} ETH)`,
+      };
+    default:
+      return { actor: null, summary: eventName };
+  }
+}
+
+/**
+ * Create an event feed bound to a deployment
+ * @param {object} options
+ * @param {object} options.client viem public client
+ * @param {object} options.addr Deployment address map (prefix stripped)
+ * @param {number} [options.size] Number of events kept in memory
+ * @param {number} [options.lookback] Blocks scanned before the first poll
+ * @param {number} [options.maxRange] Maximum block range per getLogs request
+ */
+export function createEventFeed({ client, addr, size = 20, lookback = 500, maxRange = 2000 }) {
+  const tokens = tokenDirectory(addr);
+  const sources = SOURCES.filter((source) => addr[source.contract]);
+  const contractByAddress = new Map(sources.map((source) => [addr[source.contract].toLowerCase(), source.contract]));
+  const events = sources.flatMap((source) => source.events);
+  const farmTokens = new Map();
+  const feed = [];
+  let nextBlock = null;
+
+  const loadFarmTokens = async (logs) => {
+    const pids = [...new Set(logs.filter((log) => log.args.pid !== undefined).map((log) => log.args.pid))];
+    await Promise.all(
+      pids
+        .filter((pid) => !farmTokens.has(pid))
+        .map(async (pid) => {
+          const [lpToken] = await client.readContract({
+            address: addr.FarmingPool,
+            abi: farmingAbi,
+            functionName: "poolInfo",
+            args: [pid],
+          });
+          farmTokens.set(pid, lpToken);
+        })
+    );
+  };
+
+  return {
+    /**
+     * Fetch and decode events up to `toBlock` (inclusive)
+     * Returns only the events that are new since the previous poll, oldest first.
+     */
+    async poll(toBlock) {
+      const latest = BigInt(toBlock);
+      if (nextBlock === null) {
+        nextBlock = latest > BigInt(lookback) ? latest - BigInt(lookback) : 0n;
+      }
+      if (nextBlock > latest || sources.length === 0) return [];
+
+      const logs = [];
+      while (nextBlock <= latest) {
+        const end = nextBlock + BigInt(maxRange) - 1n < latest ? nextBlock + BigInt(maxRange) - 1n : latest;
+        const chunk = await client.getLogs({
+          address: sources.map((source) => addr[source.contract]),
+          events,
+          fromBlock: nextBlock,
+          toBlock: end,
+          strict: true,
+        });
+        logs.push(...chunk);
+        nextBlock = end + 1n;
+      }
+      await loadFarmTokens(logs.filter((log) => log.eventName === "Deposit" || log.eventName === "Withdraw"));
+
+      const fresh = logs
+        .filter((log) => contractByAddress.has(log.address.toLowerCase()))
+        .sort((a, b) => (a.blockNumber === b.blockNumber ? a.logIndex - b.logIndex : a.blockNumber < b.blockNumber ? -1 : 1))
+        .map((log) => ({
+          block: Number(log.blockNumber),
+          logIndex: log.logIndex,
+          tx: log.transactionHash,
+          contract: contractByAddress.get(log.address.toLowerCase()),
+          event: log.eventName,
+          args: log.args,
+          ...describe(log, tokens, (pid) => farmTokens.get(pid)),
+        }));
+
+      for (const entry of fresh) {
+        feed.unshift(entry);
+        if (feed.length > size) feed.pop();
+      }
+      return fresh;
+    },
+
+    /**
+     * Forget everything after `block` (e.g. after evm_revert) so re-mined blocks are read again
+     */
+    rewind(block) {
+      const last = BigInt(block);
+      if (nextBlock !== null && nextBlock > last + 1n) nextBlock = last + 1n;
+      while (feed.length > 0 && BigInt(feed[0].block) > last) feed.shift();
+    },
+
+    /**
+     * Most recent events, newest first
+     */
+    recent(count = size) {
+      return feed.slice(0, count);
+    },
+  };
+}
@@ -0,0 +1,210 @@
+/**
+ * Farming Pool Analytics
+ *
+ * Per-pool TVL, BRS emission and APR for FarmingPool:
+ *   emission(pid) = currentRewardPerSecond * allocPoint / totalAllocPoint
+ *   stakers receive emission * (1 - sum(fundShares) / SHARE_BASE), the rest goes to the funds
+ *   (shares of zero fund addresses stay with the stakers)
+ *   TVL(pid)      = totalStaked * price(stake token)
+ *   APR(pid)      = staker emission per year * BRS price / TVL
+ *
+ * Single-token pools are valued with PriceOracle.getPrice(token); LP pools from the
+ * pair reserves (each side valued with getPrice, or twice the known side if only
+ * one side has a price) divided by the LP total supply.
+ */
+
+import { formatUnits, parseAbi, zeroAddress } from "viem";
+import { tokenDirectory } from "./events.mjs";
+
+const ONE = 10n ** 18n;
+const SECONDS_PER_DAY = 86400n;
+const SECONDS_PER_YEAR = 365n * SECONDS_PER_DAY;
+
+const farmingAbi = parseAbi([
+  "function poolLength() view returns (uint256)",
+  "function poolInfo(uint256 pid) view returns (address lpToken, uint256 allocPoint, uint256 lastRewardTime, uint256 accRewardPerShare, uint256 totalStaked, uint8 kind)",
+  "function poolKind(uint256 pid) view returns (uint8)",
+  "function totalAllocPoint() view returns (uint256)",
+  "function currentRewardPerSecond() view returns (uint256)",
+  "function fundAddrs(uint256 index) view returns (address)",
+  "function fundShares(uint256 index) view returns (uint256)",
+  "function SHARE_BASE() view returns (uint256)",
+]);
+
+const priceOracleAbi = parseAbi([
+  "function getPrice(address token) view returns (uint256)",
+]);
+
+const pairAbi = parseAbi([
+  "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function totalSupply() view returns (uint256)",
+]);
+
+const erc20Abi = parseAbi([
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+]);
+
+export const POOL_KINDS = ["Single", "LP"];
+
+/**
+ * Read every farming pool and compute TVL, BRS/day and APR
+ * Prices that revert are reported as null, and so is anything derived from them.
+ */
+export async function readFarmingPools(client, addr) {
+  const tokens = tokenDirectory(addr);
+  const prices = new Map();
+
+  const read = (address, abi, functionName, args = []) => client.readContract({ address, abi, functionName, args });
+
+  const priceOf = async (token) => {
+    const key = token.toLowerCase();
+    if (!prices.has(key)) {
+      prices.set(key, await read(addr.PriceOracle, priceOracleAbi, "getPrice", [token]).catch(() => null));
+    }
+    return prices.get(key);
+  };
+
+  const tokenInfo = async (token) => {
+    const known = tokens.get(token.toLowerCase());
+    if (known) return known;
+    const [symbol, decimals] = await Promise.all([
+      read(token, erc20Abi, "symbol").catch(() => token.slice(0, 10)),
+      read(token, erc20Abi, "decimals").catch(() => 18),
+    ]);
+    const info = { symbol, decimals: Number(decimals) };
+    tokens.set(token.toLowerCase(), info);
+    return info;
+  };
+
+  // USD value (18 decimals) of one whole LP token
+  const lpPrice = async (pair) => {
+    const [[reserve0, reserve1], token0, token1, supply] = await Promise.all([
+      read(pair, pairAbi, "getReserves"),
+      read(pair, pairAbi, "token0"),
+      read(pair, pairAbi, "token1"),
+      read(pair, pairAbi, "totalSupply"),
+    ]);
+    if (supply === 0n) return null;
+    const [info0, info1, price0, price1] = await Promise.all([
+      tokenInfo(token0),
+      tokenInfo(token1),
+      priceOf(token0),
+      priceOf(token1),
+    ]);
+    const value0 = price0 === null ? null : (reserve0 * price0) / 10n ** BigInt(info0.decimals);
+    const value1 = price1 === null ? null : (reserve1 * price1) / 10n ** BigInt(info1.decimals);
+    if (value0 === null && value1 === null) return null;
+    const reserveValue = value0 === null ? value1 * 2n : value1 === null ? value0 * 2n : value0 + value1;
+    return (reserveValue * ONE) / supply;
+  };
+
+  const [poolLength, totalAllocPoint, rewardPerSecond, shareBase, brsPrice] = await Promise.all([
+    read(addr.FarmingPool, farmingAbi, "poolLength"),
+    read(addr.FarmingPool, farmingAbi, "totalAllocPoint"),
+    read(addr.FarmingPool, farmingAbi, "currentRewardPerSecond"),
+    read(addr.FarmingPool, farmingAbi, "SHARE_BASE"),
+    priceOf(addr.BRS),
+  ]);
+
+  // fundAddrs is a dynamic array without a length getter; read until it reverts.
+  // Like FarmingPool, only shares of non-zero fund addresses are diverted from stakers
+  let fundShareSum = 0n;
+  for (let i = 0n; i < 10n; i++) {
+    const fund = await read(addr.FarmingPool, farmingAbi, "fundAddrs", [i]).catch(() => null);
+    if (fund === null) break;
+    if (fund === zeroAddress) continue;
+    fundShareSum += await read(addr.FarmingPool, farmingAbi, "fundShares", [i]).catch(() => 0n);
+  }
+  const stakerRewardPerSecond = (rewardPerSecond * (shareBase - fundShareSum)) / shareBase;
+
+  const pools = [];
+  for (let pid = 0n; pid < poolLength; pid++) {
+    const [[lpToken, allocPoint, , , totalStaked], kind] = await Promise.all([
+      read(addr.FarmingPool, farmingAbi, "poolInfo", [pid]),
+      read(addr.FarmingPool, farmingAbi, "poolKind", [pid]),
+    ]);
+    const info = await tokenInfo(lpToken);
+    const price = POOL_KINDS[kind] === "LP" ? await lpPrice(lpToken).catch(() => null) : await priceOf(lpToken);
+
+    const brsPerSecond = totalAllocPoint === 0n ? 0n : (stakerRewardPerSecond * allocPoint) / totalAllocPoint;
+    const tvl = price === null ? null : (totalStaked * price) / 10n ** BigInt(info.decimals);
+    const yearlyRewardValue = brsPrice === null ? null : (brsPerSecond * SECONDS_PER_YEAR * brsPrice) / ONE;
+    const apr = tvl === null || tvl === 0n || yearlyRewardValue === null ? null : Number((yearlyRewardValue * 10000n) / tvl) / 100;
+
+    pools.push({
+      pid: Number(pid),
+      token: lpToken,
+      symbol: info.symbol,
+      decimals: info.decimals,
+      kind: POOL_KINDS[kind] ?? String(kind),
+      allocPoint: Number(allocPoint),
+      sharePct: totalAllocPoint === 0n ? 0 : Number((allocPoint * 10000n) / totalAllocPoint) / 100,
+      totalStaked,
+      price,
+      tvl,
+      brsPerDay: brsPerSecond * SECONDS_PER_DAY,
+      apr,
+    });
+  }
+
+  return {
+    totalAllocPoint: Number(totalAllocPoint),
+    rewardPerSecond,
+    stakerSharePct: Number(((shareBase - fundShareSum) * 10000n) / shareBase) / 100,
+    brsPrice,
+    totalTvl: pools.reduce((sum, pool) => sum + (pool.tvl ?? 0n), 0n),
+    pools,
+  };
+}
+
+/**
+ * Plain-number view of a farming report, suitable for JSON output
+ */
+export function farmingReportJson(report) {
+  const toNumber = (value, decimals = 18) => (value === null ? null : Number(formatUnits(value, decimals)));
+  return {
+    totalAllocPoint: report.totalAllocPoint,
+    rewardPerSecond: toNumber(report.rewardPerSecond),
+    stakerSharePct: report.stakerSharePct,
+    brsPrice: toNumber(report.brsPrice),
+    totalTvl: toNumber(report.totalTvl),
+    pools: report.pools.map((pool) => ({
+      pid: pool.pid,
+      token: pool.token,
+      symbol: pool.symbol,
+      kind: pool.kind,
+      allocPoint: pool.allocPoint,
+      sharePct: pool.sharePct,
+      totalStaked: toNumber(pool.totalStaked, pool.decimals),
+      price: toNumber(pool.price),
+      tvl: toNumber(pool.tvl),
+      brsPerDay: toNumber(pool.brsPerDay),
+      apr: pool.apr,
+    })),
+  };
+}
+
+/**
+ * Render a farming report as fixed-width table rows (no colors, no trailing newline)
+ */
+export function formatFarmingTable(report) {
+  const usd = (value) =>
+    value === null ? "n/a" : "$" + Number(formatUnits(value, 18)).toLocaleString("en-US", { maximumFractionDigits: 0 });
+  const brs = (value) => Number(formatUnits(value, 18)).toLocaleString("en-US", { maximumFractionDigits: 0 });
+  // [width, align] per column; columns are separated by a space so wide values never merge
+  const columns = [[3, "left"], [13, "left"], [6, "left"], [5, "right"], [7, "right"], [15, "right"], [13, "right"], [12, "right"]];
+  const row = (cells) =>
+    cells
+      .map((cell, i) => (columns[i][1] === "left" ? String(cell).padEnd(columns[i][0]) : String(cell).padStart(columns[i][0])))
+      .join(" ");
+  const lines = [row(["pid", "token", "kind", "alloc", "share", "TVL", "BRS/day", "APR"])];
+  for (const pool of report.pools) {
+    const apr = pool.apr === null ? "n/a" : `${pool.apr.toLocaleString("en-US", { maximumFractionDigits: 2 })}%`;
+    lines.push(row([pool.pid, pool.symbol, pool.kind, pool.allocPoint, `${pool.sharePct.toFixed(2)}%`, usd(pool.tvl), brs(pool.brsPerDay), apr]));
+  }
+  lines.push(`Total TVL ${usd(report.totalTvl)}  |  BRS ${report.brsPrice === null ? "n/a" : `$${Number(formatUnits(report.brsPrice, 18)).toLocaleString("en-US", { maximumFractionDigits: 6 })}`}  |  stakers receive ${report.stakerSharePct}% of emission`);
+  return lines;
+}
@@ -0,0 +1,157 @@
+/**
+ * Health Checks
+ *
+ * Collects named checks with a severity so one run can be printed for a human,
+ * written as JSON, or handed to CI as JUnit XML:
+ *   ok       the check passed
+ *   warning  degraded but expected at times (e.g. TWAP still warming up)
+ *   error    the deployment is broken (e.g. no code at an address)
+ *
+ * A check function returns a short detail string when it passes and throws when it
+ * does not. Thrown errors count as the check's severity (error unless configured);
+ * throw warn("...") to report a warning instead.
+ */
+
+export const SEVERITIES = ["ok", "warning", "error"];
+
+const GLYPHS = { ok: "✓", warning: "⚠", error: "✗" };
+
+/**
+ * Error that carries its own severity
+ */
+export function healthIssue(severity, message) {
+  if (!SEVERITIES.includes(severity)) throw new Error(`Unknown severity "${severity}"`);
+  const error = new Error(message);
+  error.severity = severity;
+  return error;
+}
+
+export const warn = (message) => healthIssue("warning", message);
+
+const rank = (severity) => SEVERITIES.indexOf(severity);
+
+/**
+ * Highest severity among the results ("ok" when there are none)
+ */
+export function worstSeverity(results) {
+  return results.reduce((worst, result) => (rank(result.severity) > rank(worst) ? result.severity : worst), "ok");
+}
+
+/**
+ * Process exit code for a severity (Nagios style: 0 ok, 1 warning, 2 error)
+ */
+export function exitCodeFor(severity) {
+  return rank(severity);
+}
+
+/**
+ * Create a report that checks are run into
+ * @param {object} meta { network, block, timestamp } stored with the report
+ * @param {function} [onResult] Called with each result as it completes (live text output)
+ */
+export function createHealthReport(meta, onResult = () => {}) {
+  const results = [];
+  return {
+    meta,
+    results,
+    /**
+     * Run one check
+     * @param {string} group Section the check belongs to, e.g. "Core Contracts"
+     * @param {string} name Check name, e.g. "Minter"
+     * @param {function} fn Async function returning a detail string
+     * @param {object} [options] { severity } used when fn throws a plain error (default "error")
+     */
+    async check(group, name, fn, { severity = "error" } = {}) {
+      const started = Date.now();
+      let result;
+      try {
+        result = { group, name, severity: "ok", detail: String(await fn()) };
+      } catch (error) {
+        const detail = error.shortMessage || error.message || String(error);
+        result = { group, name, severity: error.severity ?? severity, detail };
+      }
+      result.durationMs = Date.now() - started;
+      results.push(result);
+      onResult(result);
+      return result;
+    },
+  };
+}
+
+/**
+ * Count of results per severity
+ */
+export function summarize(results) {
+  const summary = Object.fromEntries(SEVERITIES.map((severity) => [severity, 0]));
+  for (const result of results) summary[result.severity]++;
+  return summary;
+}
+
+/**
+ * One text line for a result
+ */
+export function formatHealthLine(result) {
+  return `  ${GLYPHS[result.severity]} ${result.name}: ${result.detail}`;
+}
+
+/**
+ * Plain JSON form of a report
+ */
+export function healthReportJson(report) {
+  return {
+    ...report.meta,
+    severity: worstSeverity(report.results),
+    summary: summarize(report.results),
+    checks: report.results,
+  };
+}
+
+const xmlEscape = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * JUnit XML form of a report: one testsuite per group, one testcase per check.
+ * Errors are <failure>s; warnings pass but carry the detail in <system-out> so CI
+ * annotations show them without failing the build.
+ */
+export function healthReportJUnit(report) {
+  const suiteName = `health.${report.meta.network}`;
+  const groups = new Map();
+  for (const result of report.results) {
+    if (!groups.has(result.group)) groups.set(result.group, []);
+    groups.get(result.group).push(result);
+  }
+  const seconds = (results) => (results.reduce((sum, result) => sum + result.durationMs, 0) / 1000).toFixed(3);
+  const failures = (results) => results.filter((result) => result.severity === "error").length;
+
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  lines.push(
+    `<testsuites name="${xmlEscape(suiteName)}" tests="${report.results.length}" failures="${failures(report.results)}" time="${seconds(report.results)}">`
+  );
+  for (const [group, results] of groups) {
+    lines.push(
+      `  <testsuite name="${xmlEscape(group)}" tests="${results.length}" failures="${failures(results)}" time="${seconds(results)}">`
+    );
+    for (const result of results) {
+      const open = `    <testcase classname="${xmlEscape(`${suiteName}.${group}`)}" name="${xmlEscape(result.name)}" time="${(result.durationMs / 1000).toFixed(3)}"`;
+      if (result.severity === "error") {
+        lines.push(`${open}>`);
+        lines.push(`      <failure type="error" message="${xmlEscape(result.detail)}"/>`);
+        lines.push("    </testcase>");
+      } else if (result.severity === "warning") {
+        lines.push(`${open}>`);
+        lines.push(`      <system-out>WARNING: ${xmlEscape(result.detail)}</system-out>`);
+        lines.push("    </testcase>");
+      } else {
+        lines.push(`${open}/>`);
+      }
+    }
+    lines.push("  </testsuite>");
+  }
+  lines.push("</testsuites>");
+  return lines.join("\n") + "\n";
+}
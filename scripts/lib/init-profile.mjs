@@ -0,0 +1,222 @@
+/**
+ * Init Profiles
+ *
+ * Declarative system initialization for init-full-system.mjs and init-sepolia.mjs.
+ * A profile file (default scripts/main/init-profiles.json) maps names to profiles:
+ *
+ *   btcUsd            BTC/USD price for the mock feeds, or "chainlink" to use the feed's answer
+ *   mint              { BTD, BTB } minted to the deployer for the LP seeds
+ *   liquidity         pair id -> { token: amount } seeded into the pair; "price" values the
+ *                     stablecoin side of a WBTC pair at btcUsd
+ *   vaults            { stBTD, stBTB } first deposit into each vault
+ *   pools             [{ token, kind: "lp"|"single", allocPoint, stake }] FarmingPool pools in
+ *                     pid order; stake is an amount, "all" (the seeded LP) or null
+ *   recipients        test accounts funded with recipientAmounts ({ WBTC, USDC, USDT, ETH })
+ *   marketMaker       inventory topped up for the market-maker account ({ BTD, BTB, USDC, BRS });
+ *                     BTD/BTB are minted, the rest comes from the deployer (local only)
+ *
+ * Amounts are decimal strings in token units. resolveInitProfile() converts them and
+ * checks them against the Constants.sol limits FarmingPool enforces, so a bad profile
+ * fails before the first transaction instead of halfway through init.
+ */
+
+import fs from "fs";
+import path from "path";
+import { isAddress, parseUnits } from "viem";
+
+export const DEFAULT_PROFILE_FILE = path.join(process.cwd(), "scripts/main/init-profiles.json");
+
+// Uniswap V2 MINIMUM_LIQUIDITY, burned on the first mint of a pair
+export const MINIMUM_LIQUIDITY = 1000n;
+
+// Constants.sol MIN_* / MAX_* per token class (see FarmingPool._validateTokenAmount)
+export const TOKEN_LIMITS = {
+  btc: { decimals: 8, min: 1n, max: 10_000n * 10n ** 8n },
+  eth: { decimals: 18, min: 10n ** 10n, max: 100_000n * 10n ** 18n },
+  stable6: { decimals: 6, min: 1000n, max: 1_000_000_000n * 10n ** 6n },
+  stable18: { decimals: 18, min: 10n ** 15n, max: 1_000_000_000n * 10n ** 18n },
+};
+
+const TOKEN_CLASS = {
+  WBTC: "btc",
+  WETH: "eth",
+  ETH: "eth",
+  USDC: "stable6",
+  USDT: "stable6",
+  BTD: "stable18",
+  BTB: "stable18",
+  BRS: "stable18",
+  stBTD: "stable18",
+  stBTB: "stable18",
+};
+
+const POOL_KINDS = { single: 0, lp: 1 };
+const VAULT_ASSETS = { stBTD: "BTD", stBTB: "BTB" };
+
+function sqrt(value) {
+  if (value < 2n) return value;
+  let x = value;
+  let y = (x + 1n) / 2n;
+  while (y < x) {
+    x = y;
+    y = (x + value / x) / 2n;
+  }
+  return x;
+}
+
+/**
+ * Load a named profile from a profile file
+ */
+export function loadInitProfile(name, file = DEFAULT_PROFILE_FILE) {
+  if (!fs.existsSync(file)) throw new Error(`Init profile file not found at ${file}`);
+  const profiles = JSON.parse(fs.readFileSync(file, "utf8"));
+  const profile = profiles[name];
+  if (!profile) {
+    throw new Error(`Unknown init profile "${name}" in ${file} (expected one of ${Object.keys(profiles).join(", ")})`);
+  }
+  return { name, ...profile };
+}
+
+/**
+ * The profile's BTC/USD price with 8 decimals (feed units), or null for "chainlink"
+ */
+export function profileBtcUsd(profile) {
+  if (profile.btcUsd === "chainlink") return null;
+  try {
+    return parseUnits(String(profile.btcUsd), 8);
+  } catch {
+    throw new Error(`Init profile "${profile.name}": btcUsd must be a price or "chainlink", got "${profile.btcUsd}"`);
+  }
+}
+
+/**
+ * Convert a profile into raw amounts and validate it against the system limits
+ * @param {object} profile From loadInitProfile()
+ * @param {bigint} btcUsd BTC/USD price with 8 decimals (the profile's or the feed's)
+ * @returns {object} plan with bigint amounts; throws listing every violation
+ */
+export function resolveInitProfile(profile, btcUsd) {
+  const problems = [];
+  const amount = (where, token, value) => {
+    const limits = TOKEN_LIMITS[TOKEN_CLASS[token]];
+    if (!limits) {
+      problems.push(`${where}: unknown token "${token}"`);
+      return 0n;
+    }
+    try {
+      return parseUnits(String(value), limits.decimals);
+    } catch {
+      problems.push(`${where}: "${value}" is not a ${token} amount`);
+      return 0n;
+    }
+  };
+  // Amounts FarmingPool validates must sit inside [MIN, MAX] for their token class
+  const checkLimits = (where, token, raw) => {
+    const limits = TOKEN_LIMITS[TOKEN_CLASS[token]];
+    if (!limits) return;
+    if (raw < limits.min) problems.push(`${where}: ${raw} below the ${token} minimum ${limits.min}`);
+    if (raw > limits.max) problems.push(`${where}: ${raw} above the ${token} maximum ${limits.max}`);
+  };
+
+  if (typeof btcUsd !== "bigint" || btcUsd <= 0n) problems.push(`btcUsd: price must be positive`);
+
+  const mint = {};
+  for (const [token, value] of Object.entries(profile.mint ?? {})) {
+    if (!VAULT_ASSETS[`st${token}`]) problems.push(`mint.${token}: only BTD and BTB are minted`);
+    else mint[token] = amount(`mint.${token}`, token, value);
+  }
+
+  const liquidity = [];
+  for (const [pair, seed] of Object.entries(profile.liquidity ?? {})) {
+    const tokens = Object.keys(seed);
+    if (tokens.length !== 2) {
+      problems.push(`liquidity.${pair}: needs exactly two tokens`);
+      continue;
+    }
+    const amounts = {};
+    for (const token of tokens) {
+      if (seed[token] !== "price") amounts[token] = amount(`liquidity.${pair}.${token}`, token, seed[token]);
+    }
+    for (const token of tokens) {
+      if (seed[token] !== "price") continue;
+      const [other] = tokens.filter((t) => t !== token);
+      if (other !== "WBTC" || TOKEN_CLASS[token] !== "stable6" || seed[other] === "price") {
+        problems.push(`liquidity.${pair}.${token}: "price" values USDC/USDT against a WBTC amount`);
+        amounts[token] = 0n;
+        continue;
+      }
+      // WBTC (8 decimals) x BTC/USD (8 decimals) -> 6-decimal stablecoin
+      amounts[token] = (amounts[other] * btcUsd) / 10n ** 10n;
+    }
+    for (const token of tokens) checkLimits(`liquidity.${pair}.${token}`, token, amounts[token]);
+
+    // LP minted to the deployer, and what it is worth in each token (FarmingPool checks both)
+    const [a, b] = tokens.map((token) => amounts[token]);
+    const total = sqrt(a * b);
+    const lp = total > MINIMUM_LIQUIDITY ? total - MINIMUM_LIQUIDITY : 0n;
+    if (lp === 0n) problems.push(`liquidity.${pair}: sqrt(${a} * ${b}) must exceed MINIMUM_LIQUIDITY ${MINIMUM_LIQUIDITY}`);
+    const underlying = Object.fromEntries(tokens.map((token) => [token, total > 0n ? (lp * amounts[token]) / total : 0n]));
+    liquidity.push({ pair, amounts, lp, underlying });
+  }
+
+  // The deployer's BTD/BTB pays for the LP seeds; vault deposits are minted on their own
+  for (const token of Object.keys(mint)) {
+    const used = liquidity.reduce((sum, seed) => sum + (seed.amounts[token] ?? 0n), 0n);
+    if (used > mint[token]) problems.push(`mint.${token}: ${mint[token]} does not cover the ${used} used in liquidity`);
+  }
+
+  const vaults = {};
+  for (const [vault, value] of Object.entries(profile.vaults ?? {})) {
+    if (!VAULT_ASSETS[vault]) {
+      problems.push(`vaults.${vault}: unknown vault (expected ${Object.keys(VAULT_ASSETS).join(", ")})`);
+      continue;
+    }
+    vaults[vault] = amount(`vaults.${vault}`, VAULT_ASSETS[vault], value);
+    checkLimits(`vaults.${vault}`, VAULT_ASSETS[vault], vaults[vault]);
+  }
+
+  const pools = (profile.pools ?? []).map((pool, pid) => {
+    const where = `pools[${pid}] (${pool.token})`;
+    const kind = POOL_KINDS[pool.kind];
+    if (kind === undefined) problems.push(`${where}: kind must be "lp" or "single"`);
+    if (!Number.isInteger(pool.allocPoint) || pool.allocPoint < 0) problems.push(`${where}: allocPoint must be a non-negative integer`);
+    let stake = null;
+    if (pool.kind === "lp") {
+      const seed = liquidity.find((s) => s.pair === pool.token);
+      if (!seed) problems.push(`${where}: LP pools need the pair in "liquidity"`);
+      else if (pool.stake === "all") {
+        stake = seed.lp;
+        for (const [token, value] of Object.entries(seed.underlying)) checkLimits(`${where} underlying ${token}`, token, value);
+      } else if (pool.stake !== null && pool.stake !== undefined) {
+        problems.push(`${where}: LP stakes are "all" or null`);
+      }
+    } else if (pool.kind === "single" && pool.stake !== null && pool.stake !== undefined) {
+      stake = amount(where, pool.token, pool.stake);
+      checkLimits(where, pool.token, stake);
+      if (VAULT_ASSETS[pool.token] && stake > (vaults[pool.token] ?? 0n)) {
+        problems.push(`${where}: stake ${stake} exceeds the ${vaults[pool.token] ?? 0n} ${pool.token} from the vault seed`);
+      }
+    }
+    return { pid, token: pool.token, kind, allocPoint: pool.allocPoint, stake };
+  });
+  if (pools.length > 0 && pools.every((pool) => pool.allocPoint === 0)) problems.push("pools: total allocPoint must be positive");
+
+  const recipients = profile.recipients ?? [];
+  for (const recipient of recipients) {
+    if (!isAddress(recipient)) problems.push(`recipients: "${recipient}" is not an address`);
+  }
+  const recipientAmounts = {};
+  for (const [token, value] of Object.entries(profile.recipientAmounts ?? {})) {
+    recipientAmounts[token] = amount(`recipientAmounts.${token}`, token, value);
+  }
+
+  const marketMaker = {};
+  for (const [token, value] of Object.entries(profile.marketMaker ?? {})) {
+    marketMaker[token] = amount(`marketMaker.${token}`, token, value);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Init profile "${profile.name}" is invalid:\n  - ${problems.join("\n  - ")}`);
+  }
+  return { name: profile.name, btcUsd, mint, liquidity, vaults, pools, recipients, recipientAmounts, marketMaker };
+}
@@ -0,0 +1,81 @@
+/**
+ * Init Steps
+ *
+ * Runs system initialization as an ordered list of named steps so a failed run can be
+ * repeated or resumed without redoing work:
+ *   done(ctx)  on-chain check; a truthy result skips the step (a string is shown as detail)
+ *   run(ctx)   sends the step's transactions
+ * ctx.checkpointed is true when an earlier run recorded the step as completed, for steps
+ * that leave no on-chain marker.
+ *
+ * Progress is written to a checkpoint file after every step. The file carries a
+ * deployment marker (e.g. an address); a checkpoint from another deployment is ignored.
+ */
+
+import fs from "fs";
+
+/**
+ * Read a checkpoint; a missing file or another deployment's checkpoint starts fresh
+ */
+export function loadCheckpoint(file, marker) {
+  if (!fs.existsSync(file)) return { marker, steps: {} };
+  const checkpoint = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (checkpoint.marker !== marker) return { marker, steps: {} };
+  return { ...checkpoint, steps: checkpoint.steps ?? {} };
+}
+
+function saveCheckpoint(file, checkpoint) {
+  // Write then rename, so an interrupted run never leaves a truncated file
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(checkpoint, null, 2) + "\n");
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Pick the steps to run from --from-step / --only-step
+ */
+export function selectSteps(steps, { fromStep, onlyStep } = {}) {
+  const names = steps.map((step) => step.name);
+  if (fromStep && onlyStep) throw new Error("Use either INIT_FROM_STEP or INIT_ONLY_STEP (--from-step or --only-step), not both");
+  const wanted = onlyStep ?? fromStep;
+  if (!wanted) return steps;
+  const index = names.indexOf(wanted);
+  if (index === -1) throw new Error(`Unknown init step "${wanted}" (expected one of ${names.join(", ")})`);
+  return onlyStep ? [steps[index]] : steps.slice(index);
+}
+
+/**
+ * Run the selected steps, skipping completed ones and checkpointing after each
+ * @param {object[]} steps [{ name, description, done, run }] in execution order
+ * @param {object} options { checkpointFile, marker, fromStep, onlyStep, extra } extra is
+ *                         stored in the checkpoint (e.g. the profile name)
+ * @returns {Promise<object>} the final checkpoint
+ */
+export async function runSteps(steps, { checkpointFile, marker, fromStep, onlyStep, extra = {} }) {
+  const selected = selectSteps(steps, { fromStep, onlyStep });
+  const checkpoint = { ...loadCheckpoint(checkpointFile, marker), ...extra };
+
+  for (const step of selected) {
+    const ctx = { checkpointed: checkpoint.steps[step.name]?.status === "done" };
+    const record = (status, detail) => {
+      checkpoint.steps[step.name] = { status, at: new Date().toISOString(), ...(detail ? { detail } : {}) };
+      saveCheckpoint(checkpointFile, checkpoint);
+    };
+
+    try {
+      const done = await step.done(ctx);
+      if (done) {
+        console.log(`=> [${step.name}] already done${typeof done === "string" ? `: ${done}` : ""}, skipping`);
+        record("done", typeof done === "string" ? done : "skipped");
+        continue;
+      }
+      console.log(`=> [${step.name}] ${step.description}...`);
+      await step.run(ctx);
+      record("done");
+    } catch (error) {
+      record("failed", error.shortMessage || error.message);
+      throw new Error(`Init step "${step.name}" failed: ${error.shortMessage || error.message}\n` +
+        `Fix the cause and rerun; completed steps are skipped (or resume from it with INIT_FROM_STEP=${step.name}).`, { cause: error });
+    }
+  }
+  return checkpoint;
+}
@@ -0,0 +1,184 @@
+/**
+ * Accounting Invariants
+ *
+ * Economic checks for the health check. Every value is read at one block, so the
+ * numbers in a violation describe a single consistent state:
+ *   Treasury WBTC     WBTC.balanceOf(Treasury) == Minter.totalWBTC()
+ *   BRS reserve       BRS has its fixed 2.1B supply, FarmingPool.minted stays within it,
+ *                     and BRS outside the farm's reward reserve is covered by what it minted
+ *   InterestPool      totalStaked(token) <= token.balanceOf(InterestPool) for BTD and BTB
+ *   Vaults            stBTD/stBTB totalAssets >= totalSupply * share price
+ *   CR                Minter.getCollateralRatio() matches a recomputation from raw balances
+ *                     and PriceOracle prices (CollateralMath.collateralRatio)
+ */
+
+import { formatUnits, parseAbi } from "viem";
+import { healthIssue } from "./health.mjs";
+
+const ONE = 10n ** 18n;
+
+// Constants.BRS_MAX_SUPPLY
+export const BRS_MAX_SUPPLY = 2_100_000_000n * ONE;
+// Allowed difference between the on-chain and recomputed CR
+export const CR_TOLERANCE_BPS = 1n;
+
+const erc20Abi = parseAbi([
+  "function balanceOf(address account) view returns (uint256)",
+  "function totalSupply() view returns (uint256)",
+]);
+
+const minterAbi = parseAbi([
+  "function totalWBTC() view returns (uint256)",
+  "function getCollateralRatio() view returns (uint256)",
+]);
+
+const farmingAbi = parseAbi([
+  "function minted() view returns (uint256)",
+  "function poolLength() view returns (uint256)",
+  "function poolInfo(uint256 pid) view returns (address lpToken, uint256 allocPoint, uint256 lastRewardTime, uint256 accRewardPerShare, uint256 totalStaked, uint8 kind)",
+]);
+
+const interestPoolAbi = parseAbi([
+  "function totalStaked(address token) view returns (uint256)",
+]);
+
+const vaultAbi = parseAbi([
+  "function totalSupply() view returns (uint256)",
+  "function totalAssets() view returns (uint256)",
+  "function convertToAssets(uint256 shares) view returns (uint256)",
+]);
+
+const priceOracleAbi = parseAbi([
+  "function getWBTCPrice() view returns (uint256)",
+  "function getIUSDPrice() view returns (uint256)",
+]);
+
+// Exact amounts: a violation can be a single wei
+const fmt = (value, decimals = 18) => formatUnits(value, decimals);
+
+/**
+ * Collateral ratio as CollateralMath.collateralRatio computes it (18 decimals, 1e18 = 100%)
+ */
+export function collateralRatio(wbtcBalance, wbtcPrice, btdSupply, stBTDEquivalent, iusdPrice) {
+  const totalBTD = btdSupply + stBTDEquivalent;
+  if (wbtcBalance === 0n || totalBTD === 0n) return ONE;
+  const collateralValue = (wbtcBalance * wbtcPrice) / 10n ** 8n;
+  const liabilityValue = (totalBTD * iusdPrice) / ONE;
+  return (collateralValue * ONE) / liabilityValue;
+}
+
+/**
+ * Run the invariant checks into a health report (see scripts/lib/health.mjs)
+ * @param {object} report Report from createHealthReport()
+ * @param {object} options { blockNumber, priceSeverity, brsReserved } priceSeverity applies when an
+ *                         oracle read fails (e.g. "warning" while the TWAP warms up); brsReserved is
+ *                         the BRS the deployment kept out of FarmingPool (see brsReservedOutsideFarm)
+ */
+export async function checkInvariants(report, client, addr, { blockNumber, priceSeverity = "error", brsReserved } = {}) {
+  const group = "Invariants";
+  const read = (address, abi, functionName, args = []) => {
+    if (!address) throw new Error(`Address for ${functionName} not found`);
+    return client.readContract({ address, abi, functionName, args, blockNumber });
+  };
+
+  await report.check(group, "Treasury WBTC = Minter.totalWBTC", async () => {
+    const [balance, totalWBTC] = await Promise.all([
+      read(addr.WBTC, erc20Abi, "balanceOf", [addr.Treasury]),
+      read(addr.Minter, minterAbi, "totalWBTC"),
+    ]);
+    if (balance !== totalWBTC) {
+      throw new Error(`Treasury holds ${fmt(balance, 8)} WBTC but Minter.totalWBTC() is ${fmt(totalWBTC, 8)} (diff ${fmt(balance - totalWBTC, 8)})`);
+    }
+    return `${fmt(balance, 8)} WBTC`;
+  });
+
+  await report.check(group, "BRS supply and FarmingPool reserve", async () => {
+    const [supply, minted, balance, poolCount] = await Promise.all([
+      read(addr.BRS, erc20Abi, "totalSupply"),
+      read(addr.FarmingPool, farmingAbi, "minted"),
+      read(addr.BRS, erc20Abi, "balanceOf", [addr.FarmingPool]),
+      read(addr.FarmingPool, farmingAbi, "poolLength"),
+    ]);
+    if (supply !== BRS_MAX_SUPPLY) {
+      throw new Error(`BRS totalSupply is ${fmt(supply)}, expected ${fmt(BRS_MAX_SUPPLY)}`);
+    }
+    if (minted > BRS_MAX_SUPPLY) {
+      throw new Error(`FarmingPool.minted ${fmt(minted)} exceeds the ${fmt(BRS_MAX_SUPPLY)} BRS supply`);
+    }
+
+    // BRS staked in single-token BRS pools sits in the same balance but is not reward reserve
+    let staked = 0n;
+    for (let pid = 0n; pid < poolCount; pid++) {
+      const info = await read(addr.FarmingPool, farmingAbi, "poolInfo", [pid]);
+      if (info[0].toLowerCase() === addr.BRS.toLowerCase()) staked += info[4];
+    }
+    const reserve = balance - staked;
+    // Every BRS outside the reserve was either emitted (counted in minted) or never funded
+    const outside = BRS_MAX_SUPPLY - reserve;
+    const unexplained = outside - minted - brsReserved;
+    if (unexplained > 0n) {
+      throw new Error(
+        `minted ${fmt(minted)} + reserve ${fmt(reserve)} + reserved ${fmt(brsReserved)} = ${fmt(minted + reserve + brsReserved)} BRS, ${fmt(unexplained)} short of ${fmt(BRS_MAX_SUPPLY)}`
+      );
+    }
+    // A surplus over the supply is BRS emitted but not claimed yet
+    return `minted ${fmt(minted)} + reserve ${fmt(reserve)} BRS covers the ${fmt(BRS_MAX_SUPPLY)} supply`;
+  });
+
+  for (const symbol of ["BTD", "BTB"]) {
+    await report.check(group, `InterestPool ${symbol} staked <= balance`, async () => {
+      const [staked, balance] = await Promise.all([
+        read(addr.InterestPool, interestPoolAbi, "totalStaked", [addr[symbol]]),
+        read(addr[symbol], erc20Abi, "balanceOf", [addr.InterestPool]),
+      ]);
+      if (staked > balance) {
+        throw new Error(`totalStaked ${fmt(staked)} ${symbol} exceeds balance ${fmt(balance)} (short ${fmt(staked - balance)})`);
+      }
+      return `staked ${fmt(staked)} / balance ${fmt(balance)} ${symbol}`;
+    });
+  }
+
+  for (const vault of ["stBTD", "stBTB"]) {
+    await report.check(group, `${vault} assets >= supply x share price`, async () => {
+      const [supply, assets, sharePrice] = await Promise.all([
+        read(addr[vault], vaultAbi, "totalSupply"),
+        read(addr[vault], vaultAbi, "totalAssets"),
+        read(addr[vault], vaultAbi, "convertToAssets", [ONE]),
+      ]);
+      const backing = (supply * sharePrice) / ONE;
+      if (assets < backing) {
+        throw new Error(
+          `totalAssets ${fmt(assets)} < totalSupply ${fmt(supply)} x share price ${fmt(sharePrice)} = ${fmt(backing)} (short ${fmt(backing - assets)})`
+        );
+      }
+      return `assets ${fmt(assets)} >= ${fmt(backing)} (share price ${fmt(sharePrice)})`;
+    });
+  }
+
+  await report.check(
+    group,
+    "CR recomputed from oracle prices",
+    async () => {
+      const [cr, wbtcBalance, wbtcPrice, btdSupply, stBTDAssets, iusdPrice] = await Promise.all([
+        read(addr.Minter, minterAbi, "getCollateralRatio"),
+        read(addr.WBTC, erc20Abi, "balanceOf", [addr.Treasury]),
+        read(addr.PriceOracle, priceOracleAbi, "getWBTCPrice"),
+        read(addr.BTD, erc20Abi, "totalSupply"),
+        read(addr.BTD, erc20Abi, "balanceOf", [addr.stBTD]),
+        read(addr.PriceOracle, priceOracleAbi, "getIUSDPrice"),
+      ]);
+      const expected = collateralRatio(wbtcBalance, wbtcPrice, btdSupply, stBTDAssets, iusdPrice);
+      const diff = cr > expected ? cr - expected : expected - cr;
+      if (diff * 10000n > expected * CR_TOLERANCE_BPS) {
+        // A mismatch is an error even when oracle failures are only warnings
+        throw healthIssue(
+          "error",
+          `Minter CR ${fmt(cr * 100n)}% vs recomputed ${fmt(expected * 100n)}% ` +
+            `(WBTC ${fmt(wbtcBalance, 8)} @ $${fmt(wbtcPrice)}, BTD ${fmt(btdSupply)} + stBTD ${fmt(stBTDAssets)} @ IUSD ${fmt(iusdPrice)})`
+        );
+      }
+      return `${fmt(cr * 100n)}% (recomputed ${fmt(expected * 100n)}%)`;
+    },
+    { severity: priceSeverity }
+  );
+}
@@ -0,0 +1,311 @@
+/**
+ * Keeper - Lazy Maintenance Scheduler
+ *
+ * The protocol relies on permissionless "lazy" calls that normally piggyback on
+ * user transactions. The keeper drives them on fixed cadences measured in chain
+ * time, so it keeps pace with the guardian's accelerated clock:
+ *   iusd       IdealUSDManager.tryUpdateIUSD()
+ *   rates      InterestPool.tryUpdateRates()
+ *   twapAll    PriceOracle.updateTWAPAll()
+ *   twapPairs  UniswapV2TWAPOracle.updateIfNeeded(pair) for each system pair
+ *   buyback    Treasury.tryLazyBuyback()
+ *
+ * Every call is simulated first: a call that would be a no-op is recorded as
+ * "skipped", one that would revert as "reverted" with the decoded reason, and
+ * only the remaining calls are sent as transactions.
+ */
+
+import fs from "fs";
+import { parseAbi, parseEventLogs } from "viem";
+import { revertReason } from "./revert.mjs";
+import { parseDuration } from "./time.mjs";
+
+const iusdManagerAbi = parseAbi([
+  "function tryUpdateIUSD() returns (bool)",
+]);
+
+const interestPoolAbi = parseAbi([
+  "function tryUpdateRates() returns (bool btdUpdated, bool btbUpdated)",
+]);
+
+const priceOracleAbi = parseAbi([
+  "function updateTWAPAll()",
+]);
+
+const twapOracleAbi = parseAbi([
+  "function updateIfNeeded(address pair) returns (bool)",
+  "function needsUpdate(address pair) view returns (bool)",
+]);
+
+const treasuryAbi = parseAbi([
+  "function tryLazyBuyback() returns (bool)",
+  "event LazyBuybackExecuted(address indexed triggeredBy, uint256 btdSpent, uint256 brsReceived, uint256 gasCompensation)",
+]);
+
+const configCoreAbi = parseAbi([
+  "function POOL_WBTC_USDC() view returns (address)",
+  "function POOL_BTD_USDC() view returns (address)",
+  "function POOL_BTB_BTD() view returns (address)",
+  "function POOL_BRS_BTD() view returns (address)",
+]);
+
+// Chain-time cadences; the contracts enforce their own minimum intervals on top
+export const DEFAULT_CADENCES = {
+  iusd: "1d",
+  rates: "1h",
+  twapAll: "30m",
+  twapPairs: "30m",
+  buyback: "1h",
+};
+
+/**
+ * Load cadences from a JSON file, e.g. { "rates": "6h", "buyback": false }
+ * Missing jobs keep their default; false or 0 disables a job.
+ */
+export function loadCadences(file) {
+  const overrides = file ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  const cadences = {};
+  for (const [job, value] of Object.entries({ ...DEFAULT_CADENCES, ...overrides })) {
+    if (!(job in DEFAULT_CADENCES)) {
+      throw new Error(`Unknown keeper job "${job}" (expected one of ${Object.keys(DEFAULT_CADENCES).join(", ")})`);
+    }
+    cadences[job] = value === false ? 0 : parseDuration(value);
+  }
+  return cadences;
+}
+
+// Job definitions: each returns the list of calls to attempt for one run
+const JOBS = {
+  iusd: ({ addr }) => [
+    {
+      target: "IdealUSDManager.tryUpdateIUSD",
+      address: addr.IdealUSDManager,
+      abi: iusdManagerAbi,
+      functionName: "tryUpdateIUSD",
+      isNoop: (updated) => !updated,
+      noopReason: "update interval not elapsed or PCE update failed",
+    },
+  ],
+  rates: ({ addr }) => [
+    {
+      target: "InterestPool.tryUpdateRates",
+      address: addr.InterestPool,
+      abi: interestPoolAbi,
+      functionName: "tryUpdateRates",
+      isNoop: ([btdUpdated, btbUpdated]) => !btdUpdated && !btbUpdated,
+      noopReason: "rates already updated within the last day",
+    },
+  ],
+  twapAll: ({ addr, pools, publicClient }) => [
+    {
+      target: "PriceOracle.updateTWAPAll",
+      address: addr.PriceOracle,
+      abi: priceOracleAbi,
+      functionName: "updateTWAPAll",
+      // updateTWAPAll has no return value, so ask the TWAP oracle whether any pair is due
+      precheck: async () => {
+        const due = await Promise.all(
+          pools.map((pool) =>
+            publicClient.readContract({
+              address: addr.TWAPOracle,
+              abi: twapOracleAbi,
+              functionName: "needsUpdate",
+              args: [pool.address],
+            })
+          )
+        );
+        return due.some(Boolean) ? null : "no pair due for a TWAP observation";
+      },
+    },
+  ],
+  twapPairs: ({ addr, pools }) =>
+    pools.map((pool) => ({
+      target: `UniswapV2TWAPOracle.updateIfNeeded(${pool.name})`,
+      address: addr.TWAPOracle,
+      abi: twapOracleAbi,
+      functionName: "updateIfNeeded",
+      args: [pool.address],
+      isNoop: (updated) => !updated,
+      noopReason: "last observation younger than TWAP period",
+    })),
+  buyback: ({ addr }) => [
+    {
+      target: "Treasury.tryLazyBuyback",
+      address: addr.Treasury,
+      abi: treasuryAbi,
+      functionName: "tryLazyBuyback",
+      isNoop: (executed) => !executed,
+      noopReason: "cooldown, BTD balance or random trigger not met",
+      // The trigger is pseudo-random per block, so the mined block may differ from the simulation
+      confirm: (receipt) =>
+        parseEventLogs({ abi: treasuryAbi, eventName: "LazyBuybackExecuted", logs: receipt.logs }).length > 0,
+      unconfirmedReason: "random trigger not met in mined block",
+    },
+  ],
+};
+
+/**
+ * Create a keeper bound to a deployment
+ * @param {object} options
+ * @param {object} options.publicClient viem public client
+ * @param {object} options.walletClient viem wallet client with an account (pays gas)
+ * @param {object} options.addr Deployment address map (prefix stripped)
+ * @param {object} options.cadences Seconds of chain time per job (0 = disabled)
+ * @param {string} [options.logFile] Append-only outcome log
+ * @param {Function} [options.onOutcome] Called with every outcome record
+ */
+export function createKeeper({ publicClient, walletClient, addr, cadences, logFile, onOutcome }) {
+  const lastRun = {};
+  const lastOutcome = {};
+  const history = [];
+  let pools = null;
+  let busy = false;
+
+  const loadPools = async () => {
+    const read = (functionName) =>
+      publicClient.readContract({ address: addr.ConfigCore, abi: configCoreAbi, functionName });
+    const [wbtcUsdc, btdUsdc, btbBtd, brsBtd] = await Promise.all([
+      read("POOL_WBTC_USDC"),
+      read("POOL_BTD_USDC"),
+      read("POOL_BTB_BTD"),
+      read("POOL_BRS_BTD"),
+    ]);
+    return [
+      { name: "WBTC/USDC", address: wbtcUsdc },
+      { name: "BTD/USDC", address: btdUsdc },
+      { name: "BTB/BTD", address: btbBtd },
+      { name: "BRS/BTD", address: brsBtd },
+    ];
+  };
+
+  const attempt = async (call) => {
+    if (call.precheck) {
+      const skipReason = await call.precheck();
+      if (skipReason) return { outcome: "skipped", reason: skipReason };
+    }
+
+    let simulation;
+    try {
+      simulation = await publicClient.simulateContract({
+        account: walletClient.account,
+        address: call.address,
+        abi: call.abi,
+        functionName: call.functionName,
+        args: call.args ?? [],
+      });
+    } catch (err) {
+      return { outcome: "reverted", reason: revertReason(err) };
+    }
+    if (call.isNoop && call.isNoop(simulation.result)) {
+      return { outcome: "skipped", reason: call.noopReason };
+    }
+
+    try {
+      const hash = await walletClient.writeContract(simulation.request);
+      const receipt = await publicClient.waitForTransactionReceipt({ hash });
+      if (receipt.status !== "success") {
+        return { outcome: "reverted", reason: "transaction reverted", hash };
+      }
+      if (call.confirm && !call.confirm(receipt)) {
+        return { outcome: "skipped", reason: call.unconfirmedReason, hash };
+      }
+      return { outcome: "executed", hash, txBlock: receipt.blockNumber, gasUsed: receipt.gasUsed };
+    } catch (err) {
+      return { outcome: "reverted", reason: revertReason(err) };
+    }
+  };
+
+  const record = (entry) => {
+    lastOutcome[entry.job] = entry;
+    history.unshift(entry);
+    if (history.length > 50) history.pop();
+    if (logFile) {
+      const fields = [
+        entry.time,
+        `block=${entry.block}`,
+        `chainTime=${new Date(entry.chainTime * 1000).toISOString()}`,
+        `job=${entry.job}`,
+        `target=${entry.target}`,
+        `outcome=${entry.outcome}`,
+      ];
+      if (entry.hash) fields.push(`tx=${entry.hash}`);
+      if (entry.gasUsed !== undefined) fields.push(`gas=${entry.gasUsed}`);
+      if (entry.reason) fields.push(`reason="${entry.reason}"`);
+      fs.appendFileSync(logFile, fields.join(" ") + "\n");
+    }
+    onOutcome?.(entry);
+  };
+
+  const runJob = async (job, block) => {
+    if (!pools) pools = await loadPools();
+    const chainTime = Number(block.timestamp);
+    lastRun[job] = chainTime;
+
+    const calls = JOBS[job]({ addr, pools, publicClient });
+    for (const call of calls) {
+      const result = await attempt(call);
+      record({
+        time: new Date().toISOString(),
+        block: Number(block.number),
+        chainTime,
+        job,
+        target: call.target,
+        ...result,
+      });
+    }
+  };
+
+  const enabledJobs = () => Object.keys(JOBS).filter((job) => cadences[job] > 0);
+
+  return {
+    /**
+     * Run every job whose cadence has elapsed since its last run (in chain time)
+     * Overlapping ticks are dropped so transactions never race on the nonce.
+     */
+    async tick(block) {
+      if (busy) return;
+      busy = true;
+      try {
+        const chainTime = Number(block.timestamp);
+        for (const job of enabledJobs()) {
+          if (lastRun[job] === undefined || chainTime - lastRun[job] >= cadences[job]) {
+            await runJob(job, block);
+          }
+        }
+      } finally {
+        busy = false;
+      }
+    },
+
+    /**
+     * Run every enabled job now, regardless of cadence
+     */
+    async runAll(block) {
+      if (busy) return;
+      busy = true;
+      try {
+        for (const job of enabledJobs()) {
+          await runJob(job, block);
+        }
+      } finally {
+        busy = false;
+      }
+    },
+
+    /**
+     * Per-job status for display: cadence, last outcome and seconds until next run
+     */
+    status(chainTime) {
+      return enabledJobs().map((job) => ({
+        job,
+        cadence: cadences[job],
+        last: lastOutcome[job] ?? null,
+        dueIn: lastRun[job] === undefined ? 0 : Math.max(0, lastRun[job] + cadences[job] - chainTime),
+      }));
+    },
+
+    recent(count = 5) {
+      return history.slice(0, count);
+    },
+  };
+}
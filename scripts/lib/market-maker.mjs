@@ -0,0 +1,232 @@
+/**
+ * Market Maker
+ *
+ * Keeps the BTD/USDC, BTB/BTD and BRS/BTD pairs inside per-pair price bands by
+ * swapping against them from the maker's own inventory. Prices are quote per base
+ * with 18 decimals (BTD in USDC, BTB in BTD, BRS in BTD). Target modes:
+ *   iusd        BTD tracks IdealUSDManager.getCurrentIUSD()
+ *   discount    fixed discount below par, e.g. BTB at 0.95 BTD (discountBps: 500)
+ *   fixed       constant price
+ *   randomWalk  price that drifts by a normal step of volatilityBps per cycle, clamped to [min, max]
+ *
+ * A pair is left alone while its spot price is within bandBps of the target; outside
+ * the band it is swapped back to the target (or as far as the inventory allows).
+ */
+
+import fs from "fs";
+import { formatUnits, parseAbi } from "viem";
+import { getAmountOut, swapToRatio } from "./amm.mjs";
+
+const ONE = 10n ** 18n;
+
+export const DEFAULT_PAIRS = {
+  "BTD/USDC": { pair: "PairBTDUSDC", base: "BTD", quote: "USDC", target: "iusd", bandBps: 50 },
+  "BTB/BTD": { pair: "PairBTBBTD", base: "BTB", quote: "BTD", target: "discount", discountBps: 500, bandBps: 100 },
+  "BRS/BTD": {
+    pair: "PairBRSBTD",
+    base: "BRS",
+    quote: "BTD",
+    target: "randomWalk",
+    start: null, // current pool price
+    volatilityBps: 200,
+    min: 0.1,
+    max: 10,
+    bandBps: 200,
+  },
+};
+
+const TARGET_MODES = ["iusd", "discount", "fixed", "randomWalk"];
+
+export const pairAbi = parseAbi([
+  "function getReserves() view returns (uint112, uint112, uint32)",
+  "function token0() view returns (address)",
+  "function swap(uint256 amount0Out, uint256 amount1Out, address to, bytes data)",
+]);
+
+export const erc20Abi = parseAbi([
+  "function balanceOf(address account) view returns (uint256)",
+  "function decimals() view returns (uint8)",
+  "function transfer(address to, uint256 amount) returns (bool)",
+]);
+
+const iusdAbi = parseAbi([
+  "function getCurrentIUSD() view returns (uint256)",
+]);
+
+/**
+ * Merge a JSON config file over the defaults; pairs set to null are disabled
+ */
+export function loadMarketMakerConfig(file) {
+  const overrides = file ? JSON.parse(fs.readFileSync(file, "utf8")).pairs ?? {} : {};
+  const pairs = {};
+  for (const [label, defaults] of Object.entries(DEFAULT_PAIRS)) {
+    if (overrides[label] === null) continue;
+    const config = { ...defaults, ...overrides[label], label };
+    if (!TARGET_MODES.includes(config.target)) {
+      throw new Error(`${label}: unknown target "${config.target}" (expected ${TARGET_MODES.join(", ")})`);
+    }
+    if (config.target === "fixed" && !(config.price > 0)) throw new Error(`${label}: fixed target needs a price`);
+    if (!(config.bandBps >= 0)) throw new Error(`${label}: bandBps must be >= 0`);
+    pairs[label] = config;
+  }
+  for (const label of Object.keys(overrides)) {
+    if (!DEFAULT_PAIRS[label]) throw new Error(`Unknown pair "${label}" (expected ${Object.keys(DEFAULT_PAIRS).join(", ")})`);
+  }
+  return pairs;
+}
+
+const toWad = (value) => BigInt(Math.round(value * 1e9)) * 10n ** 9n;
+
+// Standard normal sample (Box-Muller)
+function gaussian(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Create the per-pair target state; call next() once per cycle
+ * @param {object} initialPrices Spot prices (18 decimals) used as the start of random walks without `start`
+ */
+export function createTargets(pairs, initialPrices = {}, random = Math.random) {
+  const walks = {};
+  for (const [label, config] of Object.entries(pairs)) {
+    if (config.target !== "randomWalk") continue;
+    const spot = initialPrices[label] ? Number(formatUnits(initialPrices[label], 18)) : 1;
+    walks[label] = Math.min(config.max, Math.max(config.min, config.start ?? spot));
+  }
+  return {
+    /**
+     * Target prices (18 decimals) for this cycle
+     * @param {bigint} iusd Current IUSD (18 decimals), used by the iusd mode
+     */
+    next(iusd) {
+      const targets = {};
+      for (const [label, config] of Object.entries(pairs)) {
+        if (config.target === "iusd") targets[label] = iusd;
+        if (config.target === "discount") targets[label] = (ONE * BigInt(10000 - config.discountBps)) / 10000n;
+        if (config.target === "fixed") targets[label] = toWad(config.price);
+        if (config.target === "randomWalk") {
+          const step = gaussian(random) * (config.volatilityBps / 10000);
+          walks[label] = Math.min(config.max, Math.max(config.min, walks[label] * Math.exp(step)));
+          targets[label] = toWad(walks[label]);
+        }
+      }
+      return targets;
+    },
+  };
+}
+
+/**
+ * Read reserves oriented as base/quote plus the spot price (quote per base, 18 decimals)
+ */
+export async function readPairState(client, addr, config, decimals) {
+  const pairAddress = addr[config.pair];
+  const [[reserve0, reserve1], token0] = await Promise.all([
+    client.readContract({ address: pairAddress, abi: pairAbi, functionName: "getReserves" }),
+    client.readContract({ address: pairAddress, abi: pairAbi, functionName: "token0" }),
+  ]);
+  const baseIsToken0 = token0.toLowerCase() === addr[config.base].toLowerCase();
+  const reserveBase = baseIsToken0 ? reserve0 : reserve1;
+  const reserveQuote = baseIsToken0 ? reserve1 : reserve0;
+  const price =
+    reserveBase === 0n
+      ? null
+      : (reserveQuote * ONE * 10n ** BigInt(decimals[config.base])) / (reserveBase * 10n ** BigInt(decimals[config.quote]));
+  return { pairAddress, baseIsToken0, reserveBase, reserveQuote, price };
+}
+
+/**
+ * Decide the trade that brings a pair back to its target
+ * Returns null while the price is inside the band, otherwise
+ * { side: "buy"|"sell", deviationBps, tokenIn, tokenOut, amountIn, amountOut, clipped }.
+ * "buy" means buying the base token with quote (price too low). When the inventory
+ * cannot cover the full trade it is clipped to the balance (amountIn may then be 0).
+ */
+export function planTrade(state, target, config, decimals, balances) {
+  if (state.price === null || target === 0n) return null;
+  const deviationBps = Number(((state.price - target) * 10000n) / target);
+  if (Math.abs(deviationBps) <= config.bandBps) return null;
+
+  // Raw reserve ratio quote/base at the target price
+  const num = target * 10n ** BigInt(decimals[config.quote]);
+  const den = ONE * 10n ** BigInt(decimals[config.base]);
+  const buy = state.price < target;
+  const [tokenIn, tokenOut, reserveIn, reserveOut] = buy
+    ? [config.quote, config.base, state.reserveQuote, state.reserveBase]
+    : [config.base, config.quote, state.reserveBase, state.reserveQuote];
+  let { amountIn, amountOut } = buy
+    ? swapToRatio(reserveIn, reserveOut, num, den)
+    : swapToRatio(reserveIn, reserveOut, den, num);
+  if (amountIn === 0n || amountOut === 0n) return null;
+
+  const available = balances[tokenIn] ?? 0n;
+  const clipped = amountIn > available;
+  if (clipped) {
+    amountIn = available;
+    amountOut = getAmountOut(amountIn, reserveIn, reserveOut);
+  }
+  return { side: buy ? "buy" : "sell", deviationBps, tokenIn, tokenOut, amountIn, amountOut, clipped };
+}
+
+/**
+ * Send a planned trade: transfer the input to the pair, then call swap
+ */
+export async function executeTrade({ client, wallet, addr }, state, trade) {
+  const send = async (request) => client.waitForTransactionReceipt({ hash: await wallet.writeContract(request) });
+  const baseOut = trade.side === "buy" ? trade.amountOut : 0n;
+  const quoteOut = trade.side === "buy" ? 0n : trade.amountOut;
+  await send({ address: addr[trade.tokenIn], abi: erc20Abi, functionName: "transfer", args: [state.pairAddress, trade.amountIn] });
+  return send({
+    address: state.pairAddress,
+    abi: pairAbi,
+    functionName: "swap",
+    args: [
+      state.baseIsToken0 ? baseOut : quoteOut,
+      state.baseIsToken0 ? quoteOut : baseOut,
+      wallet.account.address,
+      "0x",
+    ],
+  });
+}
+
+/**
+ * USD marks derived from the pairs themselves: USDC = $1, BTD from BTD/USDC, BTB and BRS via BTD
+ */
+export function markPrices(states) {
+  const btd = states["BTD/USDC"]?.price ?? ONE;
+  const viaBtd = (label) => (states[label]?.price ? (states[label].price * btd) / ONE : null);
+  return { USDC: ONE, BTD: btd, BTB: viaBtd("BTB/BTD"), BRS: viaBtd("BRS/BTD") };
+}
+
+/**
+ * USD value (18 decimals) of a set of balances at the given marks; unpriced tokens count as 0
+ */
+export function inventoryValue(balances, marks, decimals) {
+  let total = 0n;
+  for (const [symbol, balance] of Object.entries(balances)) {
+    if (!marks[symbol]) continue;
+    total += (balance * marks[symbol]) / 10n ** BigInt(decimals[symbol]);
+  }
+  return total;
+}
+
+/**
+ * PnL of the maker: mark-to-market change since start and the part caused by trading
+ * (current inventory vs simply holding the starting inventory, both at current marks)
+ */
+export function computePnl(initial, current, marks, decimals) {
+  const value = inventoryValue(current.balances, marks, decimals);
+  const startValue = inventoryValue(initial.balances, initial.marks, decimals);
+  const holdValue = inventoryValue(initial.balances, marks, decimals);
+  return { value, startValue, holdValue, totalPnl: value - startValue, tradingPnl: value - holdValue };
+}
+
+/**
+ * Current IUSD, or $1 when the manager is not readable
+ */
+export async function readIUSD(client, addr) {
+  return client
+    .readContract({ address: addr.IdealUSDManager, abi: iusdAbi, functionName: "getCurrentIUSD" })
+    .catch(() => ONE);
+}
@@ -0,0 +1,92 @@
+/**
+ * Prometheus Metrics
+ *
+ * Minimal metrics registry and HTTP exporter for the guardian and other
+ * long-running scripts. Renders the Prometheus text exposition format
+ * (version 0.0.4) from a plain Node http server, no external services needed.
+ *
+ * Usage:
+ *   const registry = createRegistry();
+ *   const price = registry.gauge("bitres_price_usd", "Oracle price in USD", ["token"]);
+ *   price.set(102000, { token: "WBTC" });
+ *   startMetricsServer(registry, 9464);   // GET http://localhost:9464/metrics
+ */
+
+import http from "http";
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+const labelKey = (labelNames, labels = {}) =>
+  labelNames.map((name) => `${name}="${escapeLabel(labels[name] ?? "")}"`).join(",");
+
+const formatValue = (value) => {
+  if (Number.isNaN(value)) return "NaN";
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+};
+
+function createMetric(type, name, help, labelNames) {
+  const series = new Map();
+  return {
+    type,
+    name,
+    help,
+    set(value, labels) {
+      series.set(labelKey(labelNames, labels), Number(value));
+    },
+    inc(labels, amount = 1) {
+      const key = labelKey(labelNames, labels);
+      series.set(key, (series.get(key) ?? 0) + amount);
+    },
+    // Drop a series, e.g. when its source reverts and the last value would be misleading
+    remove(labels) {
+      series.delete(labelKey(labelNames, labels));
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+      for (const [key, value] of series) {
+        lines.push(`${name}${key ? `{${key}}` : ""} ${formatValue(value)}`);
+      }
+      return lines.join("\n");
+    },
+  };
+}
+
+/**
+ * Create an empty registry
+ */
+export function createRegistry() {
+  const metrics = [];
+  const register = (type, name, help, labelNames = []) => {
+    const metric = createMetric(type, name, help, labelNames);
+    metrics.push(metric);
+    return metric;
+  };
+  return {
+    gauge: (name, help, labelNames) => register("gauge", name, help, labelNames),
+    counter: (name, help, labelNames) => register("counter", name, help, labelNames),
+    render: () => metrics.map((metric) => metric.render()).join("\n\n") + "\n",
+  };
+}
+
+/**
+ * Serve the registry on GET /metrics
+ * Resolves once the server is listening; the server is unref'd so it never keeps a script alive by itself.
+ */
+export function startMetricsServer(registry, port, host = "0.0.0.0") {
+  const server = http.createServer((req, res) => {
+    if (req.method === "GET" && req.url.split("?")[0] === "/metrics") {
+      res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+      res.end(registry.render());
+      return;
+    }
+    res.writeHead(404, { "Content-Type": "text/plain" });
+    res.end("Not found. Metrics are served on /metrics\n");
+  });
+  server.unref();
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
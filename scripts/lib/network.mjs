@@ -0,0 +1,145 @@
+/**
+ * Network Selection
+ *
+ * Resolves chain, RPC endpoint and Ignition deployment for the networks the
+ * scripts run against:
+ *   local    Hardhat node, FullSystemLocal# deployment (chain-31337), evm_* available
+ *   sepolia  Sepolia testnet, FullSystemSepolia# deployment (chain-11155111), read-only
+ *
+ * RPC_URL overrides the local endpoint; Sepolia uses SEPOLIA_RPC_URL with the same
+ * fallback as hardhat.config.ts. Both are read from .env, as under `hardhat run`.
+ */
+
+import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
+import { hardhat, sepolia } from "viem/chains";
+
+// quiet: dotenv 17 otherwise logs to stdout, which would break --json output
+dotenv.config({ quiet: true });
+
+export const NETWORKS = {
+  local: {
+    name: "local",
+    label: "Local Network",
+    chain: { ...hardhat, id: 31337 },
+    chainId: 31337,
+    prefix: "FullSystemLocal#",
+    rpcUrl: () => process.env.RPC_URL || "http://localhost:8545",
+    readOnly: false,
+    // BRS the deployer keeps out of FarmingPool (reservedForLP in FullSystem.ts)
+    brsReservedOutsideFarm: 10n ** 18n,
+  },
+  sepolia: {
+    name: "sepolia",
+    label: "Sepolia Testnet",
+    chain: sepolia,
+    chainId: 11155111,
+    prefix: "FullSystemSepolia#",
+    rpcUrl: () => process.env.SEPOLIA_RPC_URL || "https://rpc.sepolia.org",
+    readOnly: true,
+    // reservedForInit in FullSystemSepolia.ts
+    brsReservedOutsideFarm: 2n * 10n ** 18n,
+  },
+};
+
+/**
+ * Look up a network by name
+ */
+export function getNetwork(name = "local") {
+  const network = NETWORKS[name];
+  if (!network) {
+    throw new Error(`Unknown network "${name}" (expected one of ${Object.keys(NETWORKS).join(", ")})`);
+  }
+  return network;
+}
+
+/**
+ * Path of the Ignition address file for a network
+ */
+export function deploymentFile(network) {
+  return path.join(process.cwd(), `ignition/deployments/chain-${network.chainId}/deployed_addresses.json`);
+}
+
+/**
+ * Load the deployment address map with the module prefix stripped (e.g. addr.Minter)
+ */
+export function loadAddresses(network) {
+  const file = deploymentFile(network);
+  if (!fs.existsSync(file)) {
+    throw new Error(`deployed_addresses.json not found at ${file}. Run Ignition deployment first.`);
+  }
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const map = {};
+  for (const [k, v] of Object.entries(raw)) {
+    map[k.replace(network.prefix, "")] = v;
+  }
+  return map;
+}
+
+/**
+ * BRS the deployment funded FarmingPool with (the TransferBRSToFarmingPool call in the
+ * Ignition journal), or null when the journal is not available
+ */
+export function loadFarmFunding(network) {
+  const file = path.join(path.dirname(deploymentFile(network)), "journal.jsonl");
+  if (!fs.existsSync(file)) return null;
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    const entry = JSON.parse(line);
+    if (entry.type === "CALL_EXECUTION_STATE_INITIALIZE" && entry.futureId === `${network.prefix}TransferBRSToFarmingPool`) {
+      return BigInt(entry.args[1].value);
+    }
+  }
+  return null;
+}
+
+/**
+ * Deployer account and first block of the Ignition deployment, read from its journal
+ * Fields are null when the journal is not available (e.g. a copied address file).
+ */
+export function loadDeploymentInfo(network) {
+  const file = path.join(path.dirname(deploymentFile(network)), "journal.jsonl");
+  const info = { deployer: null, fromBlock: null };
+  if (!fs.existsSync(file)) return info;
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    const entry = JSON.parse(line);
+    if (!info.deployer && entry.type === "DEPLOYMENT_EXECUTION_STATE_INITIALIZE" && entry.from) {
+      info.deployer = entry.from;
+    }
+    const block = entry.type === "TRANSACTION_CONFIRM" ? entry.receipt?.blockNumber : undefined;
+    if (block !== undefined && (info.fromBlock === null || block < info.fromBlock)) {
+      info.fromBlock = block;
+    }
+  }
+  return info;
+}
+
+/**
+ * What each deployment id is, read from the Ignition journal and artifacts
+ * @returns {object} id (prefix stripped) -> { contractName, sourceName, external } where
+ *          external marks contractAt entries (contracts Ignition did not deploy);
+ *          empty when the journal is not available
+ */
+export function loadDeploymentContracts(network) {
+  const dir = path.dirname(deploymentFile(network));
+  const file = path.join(dir, "journal.jsonl");
+  const contracts = {};
+  if (!fs.existsSync(file)) return contracts;
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    const entry = JSON.parse(line);
+    const external = entry.type === "CONTRACT_AT_EXECUTION_STATE_INITIALIZE";
+    if (!external && entry.type !== "DEPLOYMENT_EXECUTION_STATE_INITIALIZE") continue;
+
+    // Fully qualified names carry the source; plain ones are resolved from the stored artifact
+    let [sourceName, contractName] = entry.contractName.includes(":") ? entry.contractName.split(":") : [null, entry.contractName];
+    const artifactFile = path.join(dir, "artifacts", `${entry.artifactId ?? entry.futureId}.json`);
+    if (!sourceName && fs.existsSync(artifactFile)) {
+      ({ sourceName, contractName } = JSON.parse(fs.readFileSync(artifactFile, "utf8")));
+    }
+    contracts[entry.futureId.replace(network.prefix, "")] = { contractName, sourceName, external };
+  }
+  return contracts;
+}
@@ -0,0 +1,276 @@
+/**
+ * Oracle Diagnostics
+ *
+ * Reads every input of PriceOracle.getWBTCPrice() on its own and replays the
+ * contract's checks in order, so a revert can be pinned on one source:
+ *   1. Chainlink WBTC/BTC and BTC/USD   FeedValidation.readAggregator (answer, round, MAX_STALENESS)
+ *   2. Pyth WBTC/USD                    price > 0, publishTime age <= PYTH_MAX_STALENESS,
+ *                                       conf * PYTH_MAX_CONF_RATIO <= price
+ *   3. Chainlink vs Pyth                within maxDeviationBps
+ *   4. Uniswap (TWAP or spot) vs the Chainlink/Pyth average, within maxDeviationBps
+ * The first failing step is the revert reason getWBTCPrice() reports.
+ */
+
+import { formatUnits, parseAbi } from "viem";
+import { revertReason } from "./revert.mjs";
+
+const ONE = 10n ** 18n;
+const Q112 = 2n ** 112n;
+
+// FeedValidation.MAX_STALENESS and PriceOracle's Pyth constants
+export const LIMITS = {
+  chainlinkMaxStaleness: 7200,
+  pythMaxStaleness: 60,
+  pythMaxConfRatio: 100n,
+};
+
+const priceOracleAbi = parseAbi([
+  "function maxDeviationBps() view returns (uint256)",
+  "function useTWAP() view returns (bool)",
+  "function twapOracle() view returns (address)",
+  "function pythWbtcPriceId() view returns (bytes32)",
+  "function getWBTCPrice() view returns (uint256)",
+]);
+
+const configGovAbi = parseAbi([
+  "function chainlinkBtcUsd() view returns (address)",
+  "function chainlinkWbtcBtc() view returns (address)",
+  "function pythWbtc() view returns (address)",
+]);
+
+const configCoreAbi = parseAbi([
+  "function POOL_WBTC_USDC() view returns (address)",
+]);
+
+const aggregatorAbi = parseAbi([
+  "function decimals() view returns (uint8)",
+  "function latestRoundData() view returns (uint80, int256, uint256, uint256, uint80)",
+]);
+
+const pythAbi = parseAbi([
+  "function getPriceUnsafe(bytes32 id) view returns ((int64 price, uint64 conf, int32 expo, uint256 publishTime))",
+]);
+
+const pairAbi = parseAbi([
+  "function getReserves() view returns (uint112, uint112, uint32)",
+  "function token0() view returns (address)",
+]);
+
+const twapAbi = parseAbi([
+  "function getTWAP(address pair) view returns (uint256)",
+  "function isTWAPReady(address pair) view returns (bool)",
+]);
+
+const erc20Abi = parseAbi([
+  "function decimals() view returns (uint8)",
+]);
+
+// Scale a value with `decimals` decimals to 18
+const to18 = (value, decimals) =>
+  decimals <= 18 ? value * 10n ** BigInt(18 - decimals) : value / 10n ** BigInt(decimals - 18);
+
+/**
+ * Deviation in bps the way OracleMath.deviationWithin measures it (relative to `base`)
+ */
+export function deviationBps(base, other) {
+  if (!base || !other) return null;
+  const diff = base > other ? base - other : other - base;
+  return Number((diff * 10000n) / base);
+}
+
+/**
+ * Whether `other` deviates from `base` by more than maxBps, exactly as OracleMath.deviationWithin
+ * decides it (deviationBps rounds down, so it is only for display)
+ */
+export function exceedsDeviation(base, other, maxBps) {
+  const diff = base > other ? base - other : other - base;
+  return diff * 10000n > base * BigInt(maxBps);
+}
+
+/**
+ * Read every getWBTCPrice() input at one block; failing reads carry `error`
+ */
+export async function readOracleInputs(client, addr, blockNumber) {
+  const read = (address, abi, functionName, args = []) =>
+    client.readContract({ address, abi, functionName, args, blockNumber });
+  const attempt = async (fn) => {
+    try {
+      return await fn();
+    } catch (error) {
+      return { error: revertReason(error) };
+    }
+  };
+
+  const block = await client.getBlock({ blockNumber });
+  const now = Number(block.timestamp);
+  const [maxDeviationBps, useTWAP, twapOracle, pythPriceId] = await Promise.all([
+    read(addr.PriceOracle, priceOracleAbi, "maxDeviationBps"),
+    read(addr.PriceOracle, priceOracleAbi, "useTWAP"),
+    read(addr.PriceOracle, priceOracleAbi, "twapOracle"),
+    read(addr.PriceOracle, priceOracleAbi, "pythWbtcPriceId"),
+  ]);
+
+  const readFeed = (getter) =>
+    attempt(async () => {
+      const address = await read(addr.ConfigGov, configGovAbi, getter);
+      const [decimals, [roundId, answer, , updatedAt, answeredInRound]] = await Promise.all([
+        read(address, aggregatorAbi, "decimals"),
+        read(address, aggregatorAbi, "latestRoundData"),
+      ]);
+      return {
+        address,
+        decimals,
+        roundId,
+        answer,
+        updatedAt: Number(updatedAt),
+        answeredInRound,
+        age: now - Number(updatedAt),
+        price: answer > 0n ? to18(answer, decimals) : null,
+      };
+    });
+
+  const pyth = await attempt(async () => {
+    const address = await read(addr.ConfigGov, configGovAbi, "pythWbtc");
+    const data = await read(address, pythAbi, "getPriceUnsafe", [pythPriceId]);
+    const scale = (value) => (data.expo + 18 >= 0 ? value * 10n ** BigInt(data.expo + 18) : value / 10n ** BigInt(-(data.expo + 18)));
+    return {
+      address,
+      raw: data.price,
+      conf: data.conf,
+      expo: data.expo,
+      publishTime: Number(data.publishTime),
+      age: now - Number(data.publishTime),
+      price: data.price > 0n ? scale(data.price) : null,
+      confPrice: scale(BigInt(data.conf)),
+      confBps: data.price > 0n ? Number((BigInt(data.conf) * 10000n) / BigInt(data.price)) : null,
+    };
+  });
+
+  const pool = await attempt(async () => {
+    const address = await read(addr.ConfigCore, configCoreAbi, "POOL_WBTC_USDC");
+    const [[reserve0, reserve1], token0, wbtcDecimals, usdcDecimals] = await Promise.all([
+      read(address, pairAbi, "getReserves"),
+      read(address, pairAbi, "token0"),
+      read(addr.WBTC, erc20Abi, "decimals"),
+      read(addr.USDC, erc20Abi, "decimals"),
+    ]);
+    const wbtcIsToken0 = token0.toLowerCase() === addr.WBTC.toLowerCase();
+    const [reserveWbtc, reserveUsdc] = wbtcIsToken0 ? [reserve0, reserve1] : [reserve1, reserve0];
+    // USDC per WBTC, 18 decimals
+    const scale = 10n ** BigInt(18 + wbtcDecimals - usdcDecimals);
+    const spot = reserveWbtc > 0n ? (reserveUsdc * scale) / reserveWbtc : null;
+
+    const twap = await attempt(async () => {
+      const ready = await read(twapOracle, twapAbi, "isTWAPReady", [address]);
+      if (!ready) return { ready, price: null };
+      // getTWAP is token1/token0 in Q112
+      const q = await read(twapOracle, twapAbi, "getTWAP", [address]);
+      return { ready, price: wbtcIsToken0 ? (q * scale) / Q112 : (Q112 * scale) / q };
+    });
+    return { address, reserveWbtc, reserveUsdc, spot, twap };
+  });
+
+  const actual = await attempt(async () => ({ price: await read(addr.PriceOracle, priceOracleAbi, "getWBTCPrice") }));
+
+  return {
+    block: block.number,
+    timestamp: now,
+    maxDeviationBps: Number(maxDeviationBps),
+    useTWAP,
+    chainlinkWbtcBtc: await readFeed("chainlinkWbtcBtc"),
+    chainlinkBtcUsd: await readFeed("chainlinkBtcUsd"),
+    pyth,
+    pool,
+    actual,
+  };
+}
+
+// FeedValidation.readAggregator, returning the revert reason or null
+function feedProblem(feed) {
+  if (feed.error) return feed.error;
+  if (feed.answer <= 0n) return "Invalid feed price";
+  if (feed.updatedAt === 0) return "Incomplete round data";
+  if (feed.answeredInRound < feed.roundId) return "Stale round data";
+  if (feed.age > LIMITS.chainlinkMaxStaleness) return "Price data too old";
+  return null;
+}
+
+function pythProblem(pyth) {
+  if (pyth.error) return pyth.error;
+  if (pyth.raw <= 0n) return "Invalid Pyth price";
+  if (pyth.age > LIMITS.pythMaxStaleness) return "Pyth price stale";
+  if (BigInt(pyth.conf) * LIMITS.pythMaxConfRatio > BigInt(pyth.raw)) return "Pyth confidence too wide";
+  return null;
+}
+
+/**
+ * Replay getWBTCPrice() on the inputs
+ * @returns {{ steps: object[], deviations: object[], verdict: string|null, prices: object }}
+ *          steps in contract order with { name, ok, reason, detail }; verdict is the first
+ *          failing reason (null when getWBTCPrice() should succeed)
+ */
+export function diagnoseOracle(inputs) {
+  const steps = [];
+  const step = (name, reason, detail) => steps.push({ name, ok: reason === null, reason, detail });
+  const maxBps = inputs.maxDeviationBps;
+
+  const wbtcBtc = inputs.chainlinkWbtcBtc;
+  const btcUsd = inputs.chainlinkBtcUsd;
+  const feedDetail = (feed) => (feed.error ? null : `age ${feed.age}s / ${LIMITS.chainlinkMaxStaleness}s`);
+  step("Chainlink WBTC/BTC", feedProblem(wbtcBtc), feedDetail(wbtcBtc));
+  step("Chainlink BTC/USD", feedProblem(btcUsd), feedDetail(btcUsd));
+
+  const pyth = inputs.pyth;
+  step(
+    "Pyth WBTC/USD",
+    pythProblem(pyth),
+    pyth.error ? null : `age ${pyth.age}s / ${LIMITS.pythMaxStaleness}s, conf ${pyth.confBps} bps / ${Number(10000n / LIMITS.pythMaxConfRatio)} bps`
+  );
+
+  const chainlink = wbtcBtc.price && btcUsd.price ? (wbtcBtc.price * btcUsd.price) / ONE : null;
+  const pythPrice = pyth.error ? null : pyth.price;
+  const clPythBps = deviationBps(chainlink, pythPrice);
+  step(
+    "Chainlink vs Pyth",
+    clPythBps === null ? "missing input" : exceedsDeviation(chainlink, pythPrice, maxBps) ? "Chainlink/Pyth price mismatch" : null,
+    clPythBps === null ? null : `${clPythBps} bps / ${maxBps} bps`
+  );
+
+  const reference = chainlink && pythPrice ? (chainlink + pythPrice) / 2n : null;
+  const pool = inputs.pool;
+  const twap = pool.error ? null : pool.twap;
+  let uniswap = null;
+  let uniReason = null;
+  if (pool.error) uniReason = pool.error;
+  else if (!inputs.useTWAP) uniswap = pool.spot;
+  else if (twap.error) uniReason = twap.error;
+  else if (!twap.ready) uniReason = "TWAP not ready";
+  else uniswap = twap.price;
+  const uniBps = deviationBps(uniswap, reference);
+  if (!uniReason && uniBps === null) uniReason = "missing input";
+  if (!uniReason && exceedsDeviation(uniswap, reference, maxBps)) uniReason = "Uniswap/Oracle price mismatch";
+  step(`Uniswap ${inputs.useTWAP ? "TWAP" : "spot"} vs reference`, uniReason, uniBps === null ? null : `${uniBps} bps / ${maxBps} bps`);
+
+  // Every pair of sources, so an outlier stands out even when a check short-circuits
+  const prices = {
+    chainlink,
+    pyth: pythPrice,
+    twap: twap && !twap.error ? twap.price : null,
+    spot: pool.error ? null : pool.spot,
+    reference,
+  };
+  const names = Object.keys(prices);
+  const deviations = [];
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) {
+      const [a, b] = [prices[names[i]], prices[names[j]]];
+      const bps = deviationBps(a, b);
+      if (bps !== null) deviations.push({ a: names[i], b: names[j], bps, withinLimit: !exceedsDeviation(a, b, maxBps) });
+    }
+  }
+
+  return { steps, deviations, prices, verdict: steps.find((s) => !s.ok)?.reason ?? null };
+}
+
+export const formatUsd = (value) =>
+  value === null || value === undefined ? "n/a" : `$${Number(formatUnits(value, 18)).toLocaleString("en-US", { maximumFractionDigits: 2 })}`;
@@ -0,0 +1,175 @@
+/**
+ * Oracle Fault Injection
+ *
+ * Loads a JSON scenario file, pushes the local mock feeds into a faulty state and
+ * records which PriceOracle getters revert and why. Scenario file format:
+ *
+ *   {
+ *     "scenarios": [
+ *       { "name": "chainlink +3%", "faults": [{ "type": "diverge", "pct": 3 }],
+ *         "expect": { "getWBTCPrice": "Chainlink/Pyth price mismatch" } }
+ *     ]
+ *   }
+ *
+ * Fault types (feeds: chainlinkBtcUsd, chainlinkWbtcBtc, pyth):
+ *   diverge  { pct, feed = "chainlinkBtcUsd" }  move one BTC/USD source by pct percent
+ *   stale    { feed, age }                      freeze the feed's timestamp `age` seconds ago
+ *   answer   { feed, value }                    raw answer in feed units (0 or negative)
+ *   depeg    { ratio }                          ChainlinkWBTCBTC answer, e.g. 0.95
+ *
+ * `expect` is optional: getter -> "ok" or a substring of the expected revert reason.
+ */
+
+import fs from "fs";
+import { parseAbi } from "viem";
+import { revertReason } from "./revert.mjs";
+
+export const PYTH_PRICE_ID = "0x505954485f575442430000000000000000000000000000000000000000000000";
+const FEED_DECIMALS = 8;
+
+export const FAULT_FEEDS = ["chainlinkBtcUsd", "chainlinkWbtcBtc", "pyth"];
+export const FAULT_TYPES = ["diverge", "stale", "answer", "depeg"];
+
+export const ORACLE_GETTERS = [
+  "getChainlinkBTCUSD",
+  "getWBTCPrice",
+  "getBTDPrice",
+  "getBTBPrice",
+  "getBRSPrice",
+  "getStBTDPrice",
+  "getStBTBPrice",
+  "getIUSDPrice",
+  "getUSDCPrice",
+  "getUSDTPrice",
+];
+
+const oracleAbi = parseAbi(ORACLE_GETTERS.map((name) => `function ${name}() view returns (uint256)`));
+
+const aggregatorAbi = parseAbi([
+  "function setAnswer(int256 answer)",
+  "function setUpdatedAt(uint256 updatedAt)",
+  "function latestRoundData() view returns (uint80, int256, uint256, uint256, uint80)",
+]);
+
+const pythAbi = parseAbi([
+  "function setPrice(bytes32 id, int64 price, int32 expo)",
+  "function setPublishTime(bytes32 id, uint256 publishTime)",
+  "function getPriceUnsafe(bytes32 id) view returns ((int64 price, uint64 conf, int32 expo, uint256 publishTime))",
+]);
+
+const FEED_ADDRESS_KEYS = {
+  chainlinkBtcUsd: "ChainlinkBTCUSD",
+  chainlinkWbtcBtc: "ChainlinkWBTCBTC",
+  pyth: "MockPyth",
+};
+
+function validateFault(fault, where) {
+  if (!FAULT_TYPES.includes(fault.type)) {
+    throw new Error(`${where}: unknown fault type "${fault.type}" (expected ${FAULT_TYPES.join(", ")})`);
+  }
+  const feed = fault.feed ?? (fault.type === "depeg" ? "chainlinkWbtcBtc" : "chainlinkBtcUsd");
+  if (!FAULT_FEEDS.includes(feed)) {
+    throw new Error(`${where}: unknown feed "${feed}" (expected ${FAULT_FEEDS.join(", ")})`);
+  }
+  if (fault.type === "diverge" && !Number.isFinite(fault.pct)) throw new Error(`${where}: diverge needs a numeric pct`);
+  if (fault.type === "diverge" && feed === "chainlinkWbtcBtc") throw new Error(`${where}: diverge applies to a BTC/USD feed`);
+  if (fault.type === "stale" && !(fault.age > 0)) throw new Error(`${where}: stale needs a positive age in seconds`);
+  if (fault.type === "answer" && !Number.isInteger(fault.value)) throw new Error(`${where}: answer needs an integer value`);
+  if (fault.type === "depeg" && !(fault.ratio > 0)) throw new Error(`${where}: depeg needs a positive ratio`);
+  if (fault.type === "depeg" && feed !== "chainlinkWbtcBtc") throw new Error(`${where}: depeg applies to chainlinkWbtcBtc`);
+  return { ...fault, feed };
+}
+
+/**
+ * Load and validate a scenario file; throws on malformed entries
+ */
+export function loadFaultScenarios(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  const scenarios = Array.isArray(data) ? data : data.scenarios;
+  if (!Array.isArray(scenarios) || scenarios.length === 0) throw new Error(`${file}: no scenarios`);
+  return scenarios.map((scenario, i) => {
+    const where = `${file} scenario ${i + 1}`;
+    if (!Array.isArray(scenario.faults)) throw new Error(`${where}: faults must be an array`);
+    for (const getter of Object.keys(scenario.expect ?? {})) {
+      if (!ORACLE_GETTERS.includes(getter)) throw new Error(`${where}: unknown getter "${getter}" in expect`);
+    }
+    return {
+      name: scenario.name ?? `scenario ${i + 1}`,
+      faults: scenario.faults.map((fault, j) => validateFault(fault, `${where} fault ${j + 1}`)),
+      expect: scenario.expect ?? {},
+    };
+  });
+}
+
+/**
+ * Apply one fault to the mock feeds
+ * @param {object} ctx { publicClient, send, addr } where send(request) waits for the receipt
+ * @returns {string} Description of what was changed
+ */
+export async function applyFault({ publicClient, send, addr }, fault) {
+  const feedAddress = addr[FEED_ADDRESS_KEYS[fault.feed]];
+  if (!feedAddress) throw new Error(`${FEED_ADDRESS_KEYS[fault.feed]} is not deployed`);
+  const isPyth = fault.feed === "pyth";
+
+  if (fault.type === "stale") {
+    const block = await publicClient.getBlock({ blockTag: "latest" });
+    const frozenAt = block.timestamp - BigInt(fault.age);
+    await send(
+      isPyth
+        ? { address: feedAddress, abi: pythAbi, functionName: "setPublishTime", args: [PYTH_PRICE_ID, frozenAt] }
+        : { address: feedAddress, abi: aggregatorAbi, functionName: "setUpdatedAt", args: [frozenAt] }
+    );
+    return `${fault.feed} frozen ${fault.age}s ago`;
+  }
+
+  let answer;
+  if (fault.type === "depeg") {
+    answer = BigInt(Math.round(fault.ratio * 10 ** FEED_DECIMALS));
+  } else if (fault.type === "answer") {
+    answer = BigInt(fault.value);
+  } else {
+    const current = isPyth
+      ? (await publicClient.readContract({ address: feedAddress, abi: pythAbi, functionName: "getPriceUnsafe", args: [PYTH_PRICE_ID] })).price
+      : (await publicClient.readContract({ address: feedAddress, abi: aggregatorAbi, functionName: "latestRoundData" }))[1];
+    answer = (BigInt(current) * BigInt(Math.round((100 + fault.pct) * 100))) / 10000n;
+  }
+
+  await send(
+    isPyth
+      ? { address: feedAddress, abi: pythAbi, functionName: "setPrice", args: [PYTH_PRICE_ID, answer, -FEED_DECIMALS] }
+      : { address: feedAddress, abi: aggregatorAbi, functionName: "setAnswer", args: [answer] }
+  );
+  return `${fault.feed} answer ${answer}`;
+}
+
+/**
+ * Call every PriceOracle getter and record value or revert reason
+ * @returns {Promise<Object<string, {ok: boolean, value?: bigint, error?: string}>>}
+ */
+export async function probeOracle(publicClient, oracleAddress) {
+  const results = {};
+  for (const functionName of ORACLE_GETTERS) {
+    try {
+      const value = await publicClient.readContract({ address: oracleAddress, abi: oracleAbi, functionName });
+      results[functionName] = { ok: true, value };
+    } catch (err) {
+      results[functionName] = { ok: false, error: revertReason(err) };
+    }
+  }
+  return results;
+}
+
+/**
+ * Compare probe results with a scenario's expectations; returns the mismatches
+ */
+export function checkExpectations(expect, results) {
+  const failures = [];
+  for (const [getter, expected] of Object.entries(expect)) {
+    const result = results[getter];
+    const matched = expected === "ok" ? result.ok : !result.ok && result.error.includes(expected);
+    if (!matched) {
+      failures.push({ getter, expected, actual: result.ok ? "ok" : result.error });
+    }
+  }
+  return failures;
+}
@@ -0,0 +1,37 @@
+/**
+ * JSON Lines Output
+ *
+ * Structured output for headless runs (process managers, CI logs, post-processing).
+ * Every record is a single line:
+ *   {"ts":"2025-01-01T00:00:00.000Z","block":123,"event":"refresh", ...fields}
+ * BigInts are written as decimal strings so no precision is lost.
+ */
+
+const replacer = (_key, value) => (typeof value === "bigint" ? value.toString() : value);
+
+/**
+ * Serialize one record
+ * @param {string} event Event type, e.g. "refresh", "time_advance", "oracle_update", "error"
+ * @param {number|bigint|null} block Block number the record refers to (null if unknown)
+ * @param {object} fields Event payload
+ */
+export function toJsonLine(event, block, fields = {}) {
+  return JSON.stringify(
+    {
+      ts: new Date().toISOString(),
+      block: block === null || block === undefined ? null : Number(block),
+      event,
+      ...fields,
+    },
+    replacer
+  );
+}
+
+/**
+ * Create an emitter that writes one JSON line per call
+ */
+export function createJsonLogger(stream = process.stdout) {
+  return (event, block, fields) => {
+    stream.write(toJsonLine(event, block, fields) + "\n");
+  };
+}
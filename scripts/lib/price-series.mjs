@@ -0,0 +1,75 @@
+/**
+ * Price Series Loader
+ *
+ * Reads a (timestamp, price) series for replays from CSV or JSON:
+ *   CSV   header row with a time column (timestamp|date|time) and a price column (price|close)
+ *   JSON  [{ "timestamp": ..., "price": ... }] or [[timestamp, price], ...]
+ * Timestamps may be unix seconds, unix milliseconds or date strings.
+ * Points are returned sorted by time as { timestamp (seconds), price (number, USD) }.
+ */
+
+import fs from "fs";
+import path from "path";
+
+const TIME_COLUMNS = ["timestamp", "date", "time"];
+const PRICE_COLUMNS = ["price", "close"];
+
+function parseTimestamp(value, where) {
+  if (typeof value === "number" || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+    const num = Number(value);
+    // Anything past year 33658 in seconds is really milliseconds
+    return Math.floor(num > 1e12 ? num / 1000 : num);
+  }
+  const parsed = Date.parse(String(value).trim());
+  if (Number.isNaN(parsed)) throw new Error(`Invalid timestamp "${value}" at ${where}`);
+  return Math.floor(parsed / 1000);
+}
+
+function parsePrice(value, where) {
+  const price = Number(String(value).replace(/[$,\s]/g, ""));
+  if (!Number.isFinite(price) || price <= 0) throw new Error(`Invalid price "${value}" at ${where}`);
+  return price;
+}
+
+function parseCsv(text, file) {
+  const rows = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+  if (rows.length === 0) throw new Error(`${file}: no rows`);
+  const header = rows[0].split(",").map((cell) => cell.trim().toLowerCase());
+  const timeIndex = header.findIndex((cell) => TIME_COLUMNS.includes(cell));
+  const priceIndex = header.findIndex((cell) => PRICE_COLUMNS.includes(cell));
+  if (timeIndex === -1 || priceIndex === -1) {
+    throw new Error(`${file}: header needs one of ${TIME_COLUMNS.join("/")} and one of ${PRICE_COLUMNS.join("/")}`);
+  }
+  return rows.slice(1).map((line, i) => {
+    const cells = line.split(",");
+    const where = `${file}:${i + 2}`;
+    return { timestamp: parseTimestamp(cells[timeIndex], where), price: parsePrice(cells[priceIndex], where) };
+  });
+}
+
+function parseJson(text, file) {
+  const data = JSON.parse(text);
+  if (!Array.isArray(data)) throw new Error(`${file}: expected an array of points`);
+  return data.map((point, i) => {
+    const where = `${file}[${i}]`;
+    if (Array.isArray(point)) {
+      return { timestamp: parseTimestamp(point[0], where), price: parsePrice(point[1], where) };
+    }
+    const time = TIME_COLUMNS.map((key) => point[key]).find((value) => value !== undefined);
+    const price = PRICE_COLUMNS.map((key) => point[key]).find((value) => value !== undefined);
+    return { timestamp: parseTimestamp(time, where), price: parsePrice(price, where) };
+  });
+}
+
+/**
+ * Load and sort a price series; throws on malformed rows
+ */
+export function loadPriceSeries(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const points = path.extname(file).toLowerCase() === ".json" ? parseJson(text, file) : parseCsv(text, file);
+  if (points.length === 0) throw new Error(`${file}: no price points`);
+  return points.sort((a, b) => a.timestamp - b.timestamp);
+}
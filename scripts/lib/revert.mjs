@@ -0,0 +1,28 @@
+/**
+ * Revert Decoding
+ *
+ * Extracts a human-readable reason from viem errors so scripts can report
+ * "reverted: Chainlink/Pyth price mismatch" instead of a full stack of causes.
+ */
+
+import { BaseError, ContractFunctionRevertedError } from "viem";
+
+/**
+ * Return the decoded revert reason of a failed call or transaction
+ * Falls back to viem's short message (RPC errors, timeouts) when no revert data is present.
+ */
+export function revertReason(err) {
+  if (err instanceof BaseError) {
+    const reverted = err.walk((e) => e instanceof ContractFunctionRevertedError);
+    if (reverted instanceof ContractFunctionRevertedError) {
+      if (reverted.reason) return reverted.reason;
+      if (reverted.data?.errorName) {
+        const args = (reverted.data.args ?? []).map((a) => a.toString()).join(", ");
+        return `${reverted.data.errorName}(${args})`;
+      }
+      return reverted.signature ? `custom error ${reverted.signature}` : "reverted without reason";
+    }
+    return err.shortMessage;
+  }
+  return err?.message ?? String(err);
+}
@@ -0,0 +1,57 @@
+/**
+ * Time Helpers
+ *
+ * Duration parsing and formatting shared by the guardian and sync services.
+ * All durations are in seconds of chain time.
+ */
+
+const UNITS = {
+  s: 1,
+  m: 60,
+  h: 3600,
+  d: 86400,
+  w: 7 * 86400,
+  mo: 30 * 86400, // 30-day month, matches the guardian's month jump
+  y: 365 * 86400,
+};
+
+/**
+ * Parse "90", "30m", "6h", "1d12h", "3mo" into seconds
+ * Numbers are passed through unchanged.
+ */
+export function parseDuration(value) {
+  if (typeof value === "number") return value;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return parseInt(text, 10);
+
+  const pattern = /(\d+(?:\.\d+)?)(mo|s|m|h|d|w|y)/g;
+  let total = 0;
+  let consumed = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    total += parseFloat(match[1]) * UNITS[match[2]];
+    consumed += match[0].length;
+  }
+  if (consumed === 0 || consumed !== text.length) {
+    throw new Error(`Invalid duration "${value}" (expected e.g. 90, 30m, 6h, 1d, 3mo)`);
+  }
+  return Math.round(total);
+}
+
+/**
+ * Format seconds as a compact "3d 4h 12m" string
+ */
+export function formatDuration(seconds) {
+  let remaining = Math.max(0, Math.floor(seconds));
+  const days = Math.floor(remaining / 86400);
+  remaining %= 86400;
+  const hours = Math.floor(remaining / 3600);
+  remaining %= 3600;
+  const mins = Math.floor(remaining / 60);
+  const secs = remaining % 60;
+
+  if (days > 0) return `${days}d ${hours}h ${mins}m`;
+  if (hours > 0) return `${hours}h ${mins}m`;
+  if (mins > 0) return `${mins}m ${secs}s`;
+  return `${secs}s`;
+}
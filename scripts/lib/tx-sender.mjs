@@ -0,0 +1,288 @@
+/**
+ * Transaction Sender
+ *
+ * Shared send path for the long-running Sepolia scripts. A single dropped or
+ * underpriced transaction used to stall their loops; this sender:
+ *   - tracks the nonce locally (synced from the pending count, resynced after errors)
+ *   - prices transactions as EIP-1559 with maxFee/priorityFee capped by config, starting one
+ *     bump below the caps
+ *   - replaces a transaction that is not mined within replaceAfter seconds with the
+ *     same nonce and fees bumped by feeBumpPct, clamped to the caps (up to maxReplacements
+ *     times, and only while the bump still meets the 10% replacement minimum)
+ *   - retries RPC failures with exponential backoff (reverts are not retried); a retry that
+ *     finds the transaction already known or mined looks its hash up by nonce and journals it
+ *   - appends every sent/replaced/confirmed/failed hash to a JSON-lines journal so a
+ *     restarted daemon can reconcile what happened while it was down
+ *
+ * Configuration comes from the environment (see txSenderConfigFromEnv):
+ *   TX_MAX_FEE_GWEI (50), TX_MAX_PRIORITY_FEE_GWEI (2), TX_REPLACE_AFTER (90 s),
+ *   TX_FEE_BUMP_PCT (15), TX_MAX_REPLACEMENTS (5), TX_RETRIES (4), TX_BACKOFF_MS (2000),
+ *   TX_JOURNAL (sepolia-tx-journal.jsonl)
+ */
+
+import fs from "fs";
+import { BaseError, ContractFunctionRevertedError, WaitForTransactionReceiptTimeoutError, parseGwei } from "viem";
+import { toJsonLine } from "./output.mjs";
+
+/**
+ * Sender configuration from TX_* environment variables
+ */
+export function txSenderConfigFromEnv(env = process.env) {
+  return {
+    maxFeePerGas: parseGwei(env.TX_MAX_FEE_GWEI || "50"),
+    maxPriorityFeePerGas: parseGwei(env.TX_MAX_PRIORITY_FEE_GWEI || "2"),
+    replaceAfterMs: parseInt(env.TX_REPLACE_AFTER || "90", 10) * 1000,
+    feeBumpPct: parseInt(env.TX_FEE_BUMP_PCT || "15", 10),
+    maxReplacements: parseInt(env.TX_MAX_REPLACEMENTS || "5", 10),
+    retries: parseInt(env.TX_RETRIES || "4", 10),
+    backoffMs: parseInt(env.TX_BACKOFF_MS || "2000", 10),
+    journalFile: env.TX_JOURNAL || "sepolia-tx-journal.jsonl",
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Reverts and bad requests will not succeed on retry
+function isRetryable(error) {
+  if (error instanceof BaseError) {
+    if (error.walk((e) => e instanceof ContractFunctionRevertedError)) return false;
+    if (/insufficient funds|nonce too low|already known|replacement transaction underpriced/i.test(error.message)) return false;
+  }
+  return true;
+}
+
+const min = (a, b) => (a < b ? a : b);
+const max = (a, b) => (a > b ? a : b);
+
+// Minimum fee increase (percent) a node accepts for a same-nonce replacement
+const MIN_REPLACEMENT_BUMP_PCT = 10n;
+
+const isAcceptedBump = (previous, next) => next * 100n >= previous * (100n + MIN_REPLACEMENT_BUMP_PCT);
+
+/**
+ * Read a journal file into records (missing file = empty journal)
+ */
+export function readJournal(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+/**
+ * Create a sender bound to one account
+ * @param {object} options { publicClient, walletClient, config = txSenderConfigFromEnv(), log = console.log }
+ */
+export function createTxSender({ publicClient, walletClient, config = txSenderConfigFromEnv(), log = console.log }) {
+  const account = walletClient.account;
+  let nextNonce = null;
+  let nonceSync = null;
+
+  const journal = (event, block, fields) => {
+    fs.appendFileSync(config.journalFile, toJsonLine(event, block, { account: account.address, ...fields }) + "\n");
+  };
+
+  // Run an RPC call with exponential backoff on transient failures
+  async function withRetry(label, fn) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn(attempt);
+      } catch (error) {
+        if (!isRetryable(error) || attempt >= config.retries) throw error;
+        const delay = config.backoffMs * 2 ** attempt;
+        log(`⚠ ${label}: ${error.shortMessage || error.message} - retrying in ${delay / 1000}s`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  async function reserveNonce() {
+    if (nextNonce === null) {
+      nonceSync ??= withRetry("nonce", () =>
+        publicClient.getTransactionCount({ address: account.address, blockTag: "pending" })
+      );
+      const synced = await nonceSync;
+      nonceSync = null;
+      nextNonce ??= synced;
+    }
+    return nextNonce++;
+  }
+
+  // Estimated fees, kept one feeBumpPct step below the caps so at least one replacement fits
+  async function initialFees() {
+    const estimate = await withRetry("fees", () => publicClient.estimateFeesPerGas());
+    const headroom = (cap) => (cap * 100n) / BigInt(100 + config.feeBumpPct);
+    const maxPriorityFeePerGas = min(estimate.maxPriorityFeePerGas, headroom(config.maxPriorityFeePerGas));
+    return { maxFeePerGas: max(min(estimate.maxFeePerGas, headroom(config.maxFeePerGas)), maxPriorityFeePerGas), maxPriorityFeePerGas };
+  }
+
+  // Fees for a replacement: both raised by feeBumpPct and clamped to the caps. Null once
+  // both sit at their caps, or when the clamped bump falls short of the 10% nodes require
+  function bumpedFees(fees) {
+    if (fees.maxFeePerGas >= config.maxFeePerGas && fees.maxPriorityFeePerGas >= config.maxPriorityFeePerGas) return null;
+    const bump = (value) => (value * BigInt(100 + config.feeBumpPct) + 99n) / 100n;
+    const maxPriorityFeePerGas = min(bump(fees.maxPriorityFeePerGas), config.maxPriorityFeePerGas);
+    const maxFeePerGas = max(min(bump(fees.maxFeePerGas), config.maxFeePerGas), maxPriorityFeePerGas);
+    if (!isAcceptedBump(fees.maxPriorityFeePerGas, maxPriorityFeePerGas) || !isAcceptedBump(fees.maxFeePerGas, maxFeePerGas)) {
+      return null;
+    }
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  // Hash of this account's transaction with `nonce`, from the pending block or a block since
+  // fromBlock; polled for up to replaceAfter, null if it does not show up
+  async function findByNonce(nonce, fromBlock) {
+    const deadline = Date.now() + config.replaceAfterMs;
+    let next = fromBlock;
+    const matches = (tx) => tx.from.toLowerCase() === account.address.toLowerCase() && Number(tx.nonce) === Number(nonce);
+    for (;;) {
+      const blocks = [await publicClient.getBlock({ blockTag: "pending", includeTransactions: true }).catch(() => null)];
+      const latest = await publicClient.getBlockNumber();
+      for (; next <= latest; next++) blocks.push(await publicClient.getBlock({ blockNumber: next, includeTransactions: true }));
+      const tx = blocks.flatMap((block) => block?.transactions ?? []).find(matches);
+      if (tx) return tx.hash;
+      if (Date.now() >= deadline) return null;
+      await sleep(config.backoffMs);
+    }
+  }
+
+  // Receipt of whichever of the hashes got mined, if any
+  async function findReceipt(hashes) {
+    for (const hash of hashes) {
+      const receipt = await publicClient.getTransactionReceipt({ hash }).catch(() => null);
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  /**
+   * Send one contract write and wait for it, replacing it if it gets stuck
+   * @param {object} request writeContract parameters (address, abi, functionName, args)
+   * @param {string} [label] Name used in logs and the journal
+   * @returns {Promise<object>} Transaction receipt (throws if the transaction reverted)
+   */
+  async function send(request, label = request.functionName) {
+    // Estimate first so a reverting call never consumes a nonce
+    const gas = await withRetry(label, () => publicClient.estimateContractGas({ ...request, account }));
+    let fees = await initialFees();
+    const nonce = await reserveNonce();
+    const hashes = [];
+
+    const broadcast = async () => {
+      const fromBlock = await withRetry("block", () => publicClient.getBlockNumber());
+      try {
+        const hash = await withRetry(label, async (attempt) => {
+          try {
+            return await walletClient.writeContract({ ...request, account, nonce, gas: (gas * 12n) / 10n, ...fees });
+          } catch (error) {
+            // A retry after an ambiguous failure (e.g. a timeout): the node took the first attempt
+            if (attempt > 0 && /nonce too low|already known/i.test(error.message)) {
+              const sent = await findByNonce(nonce, fromBlock);
+              if (sent) return sent;
+            }
+            throw error;
+          }
+        });
+        hashes.push(hash);
+        return hash;
+      } catch (error) {
+        // The nonce may or may not have been used; read it back before the next send
+        if (hashes.length === 0) nextNonce = null;
+        throw error;
+      }
+    };
+
+    let hash = await broadcast();
+    journal("sent", null, { label, nonce, hash, maxFeePerGas: fees.maxFeePerGas, maxPriorityFeePerGas: fees.maxPriorityFeePerGas });
+
+    let atCap = false;
+    for (let replacements = 0; ; ) {
+      let receipt = null;
+      try {
+        receipt = await publicClient.waitForTransactionReceipt({ hash, timeout: config.replaceAfterMs });
+      } catch (error) {
+        if (!(error instanceof WaitForTransactionReceiptTimeoutError)) throw error;
+        // An earlier version may have been mined while we waited on the latest one
+        receipt = await findReceipt(hashes);
+      }
+
+      if (receipt) {
+        const event = receipt.status === "success" ? "confirmed" : "failed";
+        journal(event, receipt.blockNumber, { label, nonce, hash: receipt.transactionHash, gasUsed: receipt.gasUsed });
+        if (receipt.status !== "success") {
+          throw new Error(`${label} reverted in block ${receipt.blockNumber} (tx ${receipt.transactionHash})`);
+        }
+        return receipt;
+      }
+
+      const next = replacements < config.maxReplacements ? bumpedFees(fees) : null;
+      if (!next) {
+        // One last wait at the final fee level, then hand control back to the caller's loop
+        if (atCap) {
+          throw new Error(`${label} (nonce ${nonce}) stuck at the fee cap; left pending in ${config.journalFile}`);
+        }
+        atCap = true;
+        log(`⚠ ${label} (nonce ${nonce}) still pending, no further replacement possible - waiting`);
+        continue;
+      }
+      replacements++;
+      fees = next;
+      try {
+        hash = await broadcast();
+      } catch (error) {
+        // "nonce too low": one of the earlier versions was mined in the meantime
+        if (/nonce too low|already known/i.test(error.message)) continue;
+        throw error;
+      }
+      log(`↻ ${label} (nonce ${nonce}) not mined after ${config.replaceAfterMs / 1000}s, replaced with maxFee ${fees.maxFeePerGas} wei`);
+      journal("replaced", null, { label, nonce, hash, maxFeePerGas: fees.maxFeePerGas, maxPriorityFeePerGas: fees.maxPriorityFeePerGas });
+    }
+  }
+
+  /**
+   * Reconcile the journal after a restart: look up every hash that was sent but never
+   * recorded as confirmed/failed and record what became of it
+   * @returns {Promise<{ confirmed: number, failed: number, pending: number, dropped: number }>}
+   */
+  async function reconcile() {
+    const records = readJournal(config.journalFile).filter(
+      (record) => record.account?.toLowerCase() === account.address.toLowerCase()
+    );
+    const open = new Map();
+    for (const record of records) {
+      if (record.event === "sent" || record.event === "replaced") {
+        const entry = open.get(record.nonce) ?? { label: record.label, hashes: [] };
+        entry.hashes.push(record.hash);
+        open.set(record.nonce, entry);
+      }
+      if (record.event === "confirmed" || record.event === "failed" || record.event === "dropped") {
+        open.delete(record.nonce);
+      }
+    }
+
+    const summary = { confirmed: 0, failed: 0, pending: 0, dropped: 0 };
+    if (open.size === 0) return summary;
+    const minedCount = await withRetry("nonce", () =>
+      publicClient.getTransactionCount({ address: account.address, blockTag: "latest" })
+    );
+    for (const [nonce, entry] of open) {
+      const receipt = await findReceipt(entry.hashes);
+      if (receipt) {
+        const event = receipt.status === "success" ? "confirmed" : "failed";
+        journal(event, receipt.blockNumber, { label: entry.label, nonce, hash: receipt.transactionHash, reconciled: true });
+        summary[event]++;
+      } else if (nonce < minedCount) {
+        // Nonce used by a transaction this journal does not know about
+        journal("dropped", null, { label: entry.label, nonce, hashes: entry.hashes, reconciled: true });
+        summary.dropped++;
+      } else {
+        summary.pending++;
+      }
+    }
+    return summary;
+  }
+
+  return { send, reconcile, address: account.address };
+}
@@ -0,0 +1,116 @@
+/**
+ * Bytecode Drift Check
+ *
+ * Compares the runtime code at every address in deployed_addresses.json with
+ * the deployedBytecode of the locally compiled artifact, ignoring immutables and
+ * metadata (see scripts/lib/bytecode.mjs). Proxies are followed to their
+ * implementation. Each contract is reported as:
+ *   match     the deployment runs the local source
+ *   mismatch  the code differs (or is missing) - redeploy or rebuild from the deployed commit
+ *   unknown   nothing to compare with: external contract (contractAt), no local artifact,
+ *             or not in the Ignition journal
+ *
+ * Run: npx hardhat build && node scripts/main/bytecode-drift.mjs [--network sepolia]
+ *
+ * Options:
+ *   --network <name>    local (default) or sepolia
+ *   --artifacts <dir>   Hardhat artifacts directory (default: artifacts)
+ *   --json              Print the report as JSON
+ *
+ * Exits with 1 when any contract mismatches.
+ */
+
+import fs from "fs";
+import { createPublicClient, http } from "viem";
+import { compareCode, loadArtifact, readImplementation } from "../lib/bytecode.mjs";
+import { getNetwork, loadAddresses, loadDeploymentContracts } from "../lib/network.mjs";
+
+const args = process.argv.slice(2);
+let networkName = "local";
+let artifactsDir = "artifacts";
+let jsonMode = false;
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--network" && args[i + 1]) {
+    networkName = args[i + 1];
+  }
+  if (args[i] === "--artifacts" && args[i + 1]) {
+    artifactsDir = args[i + 1];
+  }
+  if (args[i] === "--json") {
+    jsonMode = true;
+  }
+}
+
+async function checkContract(client, address, contract, blockNumber) {
+  if (!contract) return { status: "unknown", reason: "not in the Ignition journal" };
+  const name = contract.sourceName ? `${contract.sourceName}:${contract.contractName}` : contract.contractName;
+  if (contract.external) return { status: "unknown", contract: name, reason: "external contract (contractAt)" };
+
+  let codeAddress = address;
+  const implementation = await readImplementation(client, address, blockNumber);
+  if (implementation) {
+    // The proxy's own artifact says nothing about the code it delegates to
+    if (/Proxy/.test(contract.contractName)) {
+      return { status: "unknown", contract: name, implementation, reason: "proxy implementation has no known artifact" };
+    }
+    codeAddress = implementation;
+  }
+
+  const code = await client.getCode({ address: codeAddress, blockNumber });
+  if (!code || code === "0x") {
+    return { status: "mismatch", contract: name, implementation, reason: `no code at ${codeAddress}` };
+  }
+  const artifact = contract.sourceName ? loadArtifact(artifactsDir, contract.sourceName, contract.contractName) : null;
+  if (!artifact) return { status: "unknown", contract: name, implementation, reason: `no artifact in ${artifactsDir}` };
+
+  const { match, reason } = compareCode(code, artifact);
+  return { status: match ? "match" : "mismatch", contract: name, implementation, reason };
+}
+
+async function main() {
+  const network = getNetwork(networkName);
+  const addr = loadAddresses(network);
+  const contracts = loadDeploymentContracts(network);
+  if (!fs.existsSync(artifactsDir)) {
+    throw new Error(`Artifacts directory ${artifactsDir} not found. Run "npx hardhat build" or pass --artifacts.`);
+  }
+  const client = createPublicClient({
+    chain: network.chain,
+    transport: http(network.rpcUrl(), { timeout: 60000 }),
+  });
+  const blockNumber = await client.getBlockNumber();
+
+  const results = [];
+  for (const [id, address] of Object.entries(addr)) {
+    try {
+      results.push({ id, address, ...(await checkContract(client, address, contracts[id], blockNumber)) });
+    } catch (error) {
+      results.push({ id, address, status: "unknown", reason: error.shortMessage || error.message });
+    }
+  }
+
+  const counts = { match: 0, mismatch: 0, unknown: 0 };
+  for (const result of results) counts[result.status]++;
+  process.exitCode = counts.mismatch > 0 ? 1 : 0;
+
+  if (jsonMode) {
+    console.log(JSON.stringify({ network: network.name, block: blockNumber.toString(), artifacts: artifactsDir, counts, results }, null, 2));
+    return;
+  }
+
+  const icon = { match: "✓", mismatch: "✗", unknown: "?" };
+  console.log(`Bytecode drift on ${network.label} at block #${blockNumber} against ${artifactsDir}/`);
+  console.log("-".repeat(70));
+  for (const r of results) {
+    const via = r.implementation ? ` via ${r.implementation}` : "";
+    const detail = r.reason ? ` (${r.reason})` : "";
+    console.log(`  ${icon[r.status]} ${r.id.padEnd(20)} ${r.address}  ${r.status}${via}${detail}`);
+  }
+  console.log("-".repeat(70));
+  console.log(`${counts.match} match, ${counts.mismatch} mismatch, ${counts.unknown} unknown`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
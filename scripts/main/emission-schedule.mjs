@@ -0,0 +1,86 @@
+/**
+ * BRS Emission Schedule
+ *
+ * Projects FarmingPool emissions per era from startTime, shows the next halving
+ * and the dates when 50/90/99% of the 2.1B supply is distributed, and compares
+ * the projection with the on-chain `minted` counter.
+ *
+ * Run: node scripts/main/emission-schedule.mjs
+ *
+ * Options:
+ *   --network <name>  local (default) or sepolia
+ *   --epochs <n>      Number of eras in the schedule (default: 8)
+ *   --json            Print the projection as JSON
+ */
+
+import { createPublicClient, formatUnits, http } from "viem";
+import { emissionReportJson, projectEmissions, readEmissionState } from "../lib/emission.mjs";
+import { getNetwork, loadAddresses } from "../lib/network.mjs";
+import { formatDuration } from "../lib/time.mjs";
+
+const args = process.argv.slice(2);
+let networkName = "local";
+let epochs = 8;
+let jsonMode = false;
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--network" && args[i + 1]) {
+    networkName = args[i + 1];
+  }
+  if (args[i] === "--epochs" && args[i + 1]) {
+    epochs = parseInt(args[i + 1]);
+  }
+  if (args[i] === "--json") {
+    jsonMode = true;
+  }
+}
+
+const formatBRS = (value, digits = 0) =>
+  Number(formatUnits(value, 18)).toLocaleString("en-US", { maximumFractionDigits: digits });
+const formatDate = (timestamp) => (timestamp === null ? "never" : new Date(timestamp * 1000).toISOString().slice(0, 10));
+
+async function main() {
+  const network = getNetwork(networkName);
+  const addr = loadAddresses(network);
+  const client = createPublicClient({
+    chain: network.chain,
+    transport: http(network.rpcUrl(), { timeout: 60000 }),
+  });
+
+  const state = await readEmissionState(client, addr);
+  const projection = projectEmissions(state, epochs);
+
+  if (jsonMode) {
+    console.log(JSON.stringify({ network: network.name, block: state.block, ...emissionReportJson(projection) }, null, 2));
+    return;
+  }
+
+  console.log(`BRS emission on ${network.label} at block #${state.block} (${new Date(state.timestamp * 1000).toISOString()})`);
+  console.log();
+  console.log(`  Start:          ${new Date(projection.startTime * 1000).toISOString()}`);
+  console.log(`  Era:            ${projection.era}  (${formatBRS(projection.expectedRate, 4)} BRS/sec)`);
+  if (projection.rate !== projection.expectedRate) {
+    console.log(`  On-chain rate:  ${formatBRS(projection.rate, 4)} BRS/sec (differs from schedule; no allocation points?)`);
+  }
+  console.log(`  Next halving:   ${new Date(projection.nextHalving * 1000).toISOString()}  (in ${formatDuration(projection.secondsToHalving)})`);
+  console.log();
+  console.log(`  Projected:      ${formatBRS(projection.projectedMinted)} BRS (${projection.projectedPct}%)`);
+  console.log(`  Minted:         ${formatBRS(projection.actualMinted)} BRS (${projection.actualPct}%)`);
+  console.log(`  Never minted:   ${formatBRS(projection.unmintedEmission)} BRS (emission while pools had no stake)`);
+  console.log();
+  for (const { pct, timestamp } of projection.milestones) {
+    console.log(`  ${String(pct).padStart(2)}% distributed: ${formatDate(timestamp)}`);
+  }
+  console.log();
+  console.log(`  ${"era".padEnd(4)}${"start".padEnd(12)}${"end".padEnd(12)}${"BRS/sec".padStart(10)}${"emission".padStart(16)}${"cumulative".padStart(16)}${"%".padStart(8)}`);
+  for (const epoch of projection.schedule) {
+    const marker = epoch.era === projection.era ? " <" : "";
+    console.log(
+      `  ${String(epoch.era).padEnd(4)}${formatDate(epoch.start).padEnd(12)}${formatDate(epoch.end).padEnd(12)}${formatBRS(epoch.rate, 2).padStart(10)}${formatBRS(epoch.emission).padStart(16)}${formatBRS(epoch.cumulative).padStart(16)}${`${epoch.cumulativePct}%`.padStart(8)}${marker}`
+    );
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,73 @@
+/**
+ * Farming APR Report
+ *
+ * Prints TVL, BRS/day and APR for every FarmingPool pool.
+ *
+ * Run: node scripts/main/farming-apr.mjs
+ *
+ * Options:
+ *   --network <name>  local (default) or sepolia
+ *   --json            Print the report as JSON instead of a table
+ *   --out <file>      Also write the JSON report to a file
+ */
+
+import fs from "fs";
+import { createPublicClient, http } from "viem";
+import { farmingReportJson, formatFarmingTable, readFarmingPools } from "../lib/farming.mjs";
+import { getNetwork, loadAddresses } from "../lib/network.mjs";
+
+const args = process.argv.slice(2);
+let networkName = "local";
+let jsonMode = false;
+let outFile = null;
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--network" && args[i + 1]) {
+    networkName = args[i + 1];
+  }
+  if (args[i] === "--json") {
+    jsonMode = true;
+  }
+  if (args[i] === "--out" && args[i + 1]) {
+    outFile = args[i + 1];
+  }
+}
+
+async function main() {
+  const network = getNetwork(networkName);
+  const addr = loadAddresses(network);
+  const client = createPublicClient({
+    chain: network.chain,
+    transport: http(network.rpcUrl(), { timeout: 60000 }),
+  });
+
+  const block = await client.getBlock({ blockTag: "latest" });
+  const report = await readFarmingPools(client, addr);
+  const json = {
+    network: network.name,
+    block: Number(block.number),
+    timestamp: Number(block.timestamp),
+    ...farmingReportJson(report),
+  };
+
+  if (outFile) {
+    fs.writeFileSync(outFile, JSON.stringify(json, null, 2) + "\n");
+  }
+  if (jsonMode) {
+    console.log(JSON.stringify(json, null, 2));
+    return;
+  }
+
+  console.log(`Farming pools on ${network.label} at block #${block.number} (${new Date(Number(block.timestamp) * 1000).toLocaleString()})`);
+  console.log();
+  for (const line of formatFarmingTable(report)) {
+    console.log(line);
+  }
+  if (outFile) {
+    console.log(`\nJSON report written to ${outFile}`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -1,34 +1,116 @@
 /**
- * BRS Guardian - Local Network Monitor & Time Manager
+ * BRS Guardian - Network Monitor & Local Time Manager
  *
  * Features:
  * - Enables interval mining for automatic block production
  * - Supports real-time mode (block time = system time) or accelerated mode
- * - Displays real-time mining stats and BRS distribution
+ * - Displays real-time mining stats and BRS distribution, with the next-halving countdown
+ * - Shows collateral ratio, its trend and the current redemption regime (A/B/C)
+ * - Raises threshold alerts (e.g. CR < 110%) and logs every crossing
+ * - Live feed of protocol events (mint/redeem, farming, staking, rate and IUSD updates, buybacks)
+ * - Optional per-pool farming TVL / BRS per day / APR panel
+ * - Optional keeper mode that drives the protocol's lazy maintenance calls
+ * - Optional Prometheus /metrics endpoint for Grafana dashboards
+ * - Headless JSON-lines output for process managers and CI logs
+ * - Keyboard controls to pause, change speed, jump ahead and snapshot/revert without restarting
+ * - Read-only monitoring of the Sepolia deployment with the same dashboard
+ * - Fast-forward to a target date (with keeper hooks firing), then continue in realtime
  *
  * Run: node scripts/main/guardian.mjs
  *
  * Options:
+ *   --network <name>      local (default) or sepolia; sepolia is read-only (no evm_* calls, no keeper)
+ *   --until <date|+dur>   Fast-forward to an ISO date or by a duration (e.g. +90d), then switch to realtime
+ *   --until-step <dur>    Chain time per mined block while fast-forwarding (default: 1h)
  *   --realtime            Sync block time to real system time (for permit/signature testing)
  *   --speed <multiplier>  Time acceleration (default: 60 = 1 min real = 1 hour chain)
+ *   --alerts <file>       JSON alert rules (default: CR < 110%, CR < 100%, BTB < minBTBPrice)
+ *   --alert-log <file>    Alert crossing log (default: guardian-alerts.log)
+ *   --events <n>          Number of recent protocol events shown (default: 8, 0 disables the feed)
+ *   --farming             Show per-pool farming TVL, BRS/day and APR (also: node scripts/main/farming-apr.mjs)
+ *   --keeper              Run lazy maintenance jobs (IUSD, rates, TWAP, buyback) on chain-time cadences
+ *   --keeper-config <file> JSON job cadences, e.g. { "rates": "6h", "buyback": false }
+ *   --keeper-log <file>   Keeper outcome log (default: guardian-keeper.log)
+ *   --metrics-port <port> Serve Prometheus metrics on http://<host>:<port>/metrics
+ *   --metrics-host <host> Bind address for the metrics server (default: 0.0.0.0)
+ *   --control-log <file>  Log of keyboard control actions (default: guardian-control.log)
+ *   --json                Emit one JSON line per event instead of the dashboard
  *
  * Examples:
  *   node scripts/main/guardian.mjs --realtime     # Use real time (recommended for frontend testing)
  *   node scripts/main/guardian.mjs --speed 60     # 60x acceleration (1 min = 1 hour chain time)
+ *   node scripts/main/guardian.mjs --alerts alerts.json
+ *   node scripts/main/guardian.mjs --keeper       # Also call tryUpdateIUSD/tryUpdateRates/updateTWAPAll/...
+ *   node scripts/main/guardian.mjs --metrics-port 9464
+ *   node scripts/main/guardian.mjs --keeper --until +3mo   # "three months after launch" demo state
+ *   SEPOLIA_RPC_URL=... node scripts/main/guardian.mjs --network sepolia
+ *   node scripts/main/guardian.mjs --json | jq -c 'select(.event == "refresh")'
+ *
+ * Keys (when attached to a terminal):
+ *   p / space  pause or resume block production      t  toggle realtime / accelerated
+ *   + / -      next / previous acceleration step      s  take an evm_snapshot
+ *   h d m      jump forward 1 hour / 1 day / 30 days  r  revert to the last snapshot
+ *   n          jump to the next BRS halving
+ *
+ * Alert rules file format:
+ *   [{ "name": "CR below 120%", "metric": "cr", "below": 1.2 },
+ *    { "metric": "btbPrice", "below": "minBTBPriceUSD" }]
+ *   Metrics: cr, btbPrice, minBTBPrice (in BTD), minBTBPriceUSD, totalWBTC, totalBTD, totalStBTD
+ *
+ * Keeper defaults (chain time): iusd 1d, rates 1h, twapAll 30m, twapPairs 30m, buyback 1h
+ * Keeper transactions are signed with KEEPER_PRIVATE_KEY (default: Hardhat account #3).
+ *
+ * JSON events: start, time_advance, time_sync, refresh, alert, protocol_event, farming, keeper, control,
+ *              fast_forward_progress, fast_forward_done, error
  */
 
 import fs from "fs";
-import path from "path";
+import readline from "readline";
 import { createPublicClient, createWalletClient, http, formatUnits } from "viem";
-import { hardhat } from "viem/chains";
+import { privateKeyToAccount } from "viem/accounts";
+import {
+  DEFAULT_ALERT_RULES,
+  REGIMES,
+  createAlertMonitor,
+  createTrendTracker,
+  loadAlertRules,
+  logCrossing,
+  readCollateralSnapshot,
+  snapshotMetrics,
+} from "../lib/collateral.mjs";
+import { diffAccrual, readAccrualSnapshot } from "../lib/accrual.mjs";
+import { eraAt, nextHalvingTime, projectEmissions } from "../lib/emission.mjs";
+import { createEventFeed } from "../lib/events.mjs";
+import { farmingReportJson, formatFarmingTable, readFarmingPools } from "../lib/farming.mjs";
+import { createKeeper, loadCadences } from "../lib/keeper.mjs";
+import { createRegistry, startMetricsServer } from "../lib/metrics.mjs";
+import { getNetwork, loadAddresses } from "../lib/network.mjs";
+import { createJsonLogger } from "../lib/output.mjs";
+import { formatDuration, parseDuration } from "../lib/time.mjs";
 
-const RPC_URL = process.env.RPC_URL || "http://localhost:8545";
-const ADDR_FILE = path.join(process.cwd(), "ignition/deployments/chain-31337/deployed_addresses.json");
+// Hardhat default account #3 (not used by init-full-system or price-sync, so nonces never clash)
+const KEEPER_PRIVATE_KEY =
+  process.env.KEEPER_PRIVATE_KEY || "0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6";
 
 // Parse arguments
 const args = process.argv.slice(2);
 let timeSpeed = 60; // 60x speed: 1 real second = 60 chain seconds
 let useRealTime = false; // Use real system time instead of acceleration
+let alertsFile = null;
+let alertLogFile = "guardian-alerts.log";
+let eventCount = 8;
+let farmingEnabled = false;
+let keeperEnabled = false;
+let keeperConfigFile = null;
+let keeperLogFile = "guardian-keeper.log";
+let metricsPort = null;
+let metricsHost = "0.0.0.0";
+let controlLogFile = "guardian-control.log";
+let networkName = "local";
+let untilValue = null;
+let untilStep = "1h";
+let jsonMode = false;
+let paused = false;
 for (let i = 0; i < args.length; i++) {
   if (args[i] === "--speed" && args[i + 1]) {
     timeSpeed = parseInt(args[i + 1]);
@@ -36,10 +118,71 @@ for (let i = 0; i < args.length; i++) {
   if (args[i] === "--realtime") {
     useRealTime = true;
   }
+  if (args[i] === "--alerts" && args[i + 1]) {
+    alertsFile = args[i + 1];
+  }
+  if (args[i] === "--alert-log" && args[i + 1]) {
+    alertLogFile = args[i + 1];
+  }
+  if (args[i] === "--events" && args[i + 1]) {
+    eventCount = parseInt(args[i + 1]);
+  }
+  if (args[i] === "--farming") {
+    farmingEnabled = true;
+  }
+  if (args[i] === "--keeper") {
+    keeperEnabled = true;
+  }
+  if (args[i] === "--keeper-config" && args[i + 1]) {
+    keeperConfigFile = args[i + 1];
+  }
+  if (args[i] === "--keeper-log" && args[i + 1]) {
+    keeperLogFile = args[i + 1];
+  }
+  if (args[i] === "--metrics-port" && args[i + 1]) {
+    metricsPort = parseInt(args[i + 1]);
+  }
+  if (args[i] === "--metrics-host" && args[i + 1]) {
+    metricsHost = args[i + 1];
+  }
+  if (args[i] === "--until" && args[i + 1]) {
+    untilValue = args[i + 1];
+  }
+  if (args[i] === "--until-step" && args[i + 1]) {
+    untilStep = args[i + 1];
+  }
+  if (args[i] === "--network" && args[i + 1]) {
+    networkName = args[i + 1];
+  }
+  if (args[i] === "--control-log" && args[i + 1]) {
+    controlLogFile = args[i + 1];
+  }
+  if (args[i] === "--json") {
+    jsonMode = true;
+  }
 }
 
-const REFRESH_INTERVAL_MS = 2000;
+const network = getNetwork(networkName);
+const RPC_URL = network.rpcUrl();
+const readOnly = network.readOnly;
+
+// Sepolia produces a block roughly every 12s, so refresh less often against public RPCs
+const REFRESH_INTERVAL_MS = readOnly ? 12000 : 2000;
 const MINING_INTERVAL_MS = 2000;
+const KEEPER_INTERVAL_MS = 1000;
+// The farming report costs ~50 reads, so refresh it every few dashboard refreshes
+const FARMING_REFRESH_EVERY = 5;
+
+// Acceleration steps for the +/- keys
+const SPEED_STEPS = [1, 10, 60, 360, 1440, 3600, 86400];
+
+// JSON-lines emitter (null in dashboard mode)
+const emit = jsonMode ? createJsonLogger() : null;
+
+// Human-readable startup output, suppressed in JSON mode
+const say = (...parts) => {
+  if (!emit) console.log(...parts);
+};
 
 const colors = {
   reset: "\x1b[0m",
@@ -51,18 +194,6 @@ const colors = {
   red: "\x1b[31m",
 };
 
-function loadAddresses() {
-  if (!fs.existsSync(ADDR_FILE)) {
-    throw new Error("deployed_addresses.json not found. Run Ignition deployment first.");
-  }
-  const raw = JSON.parse(fs.readFileSync(ADDR_FILE, "utf8"));
-  const map = {};
-  for (const [k, v] of Object.entries(raw)) {
-    map[k.replace("FullSystemLocal#", "")] = v;
-  }
-  return map;
-}
-
 async function rpcCall(method, params = []) {
   const response = await fetch(RPC_URL, {
     method: "POST",
@@ -74,7 +205,7 @@ async function rpcCall(method, params = []) {
 }
 
 async function enableAutoMining() {
-  console.log("\n⛏️  Enabling interval mining...");
+  say("\n⛏️  Enabling interval mining...");
   try {
     await rpcCall("evm_setAutomine", [true]);
   } catch {}
@@ -82,14 +213,20 @@ async function enableAutoMining() {
   // In realtime mode, we control mining ourselves to prevent double-mining
   if (!useRealTime) {
     await rpcCall("evm_setIntervalMining", [MINING_INTERVAL_MS]);
-    console.log(`   ✓ Blocks mined every ${MINING_INTERVAL_MS}ms`);
+    say(`   ✓ Blocks mined every ${MINING_INTERVAL_MS}ms`);
   } else {
     // Disable interval mining in realtime mode to prevent timestamp drift
     await rpcCall("evm_setIntervalMining", [0]);
-    console.log(`   ✓ Manual mining enabled (realtime mode)`);
+    say(`   ✓ Manual mining enabled (realtime mode)`);
   }
 }
 
+// Apply the current mode: automine plus interval mining in accelerated mode, nothing while paused
+async function applyMiningMode() {
+  await rpcCall("evm_setAutomine", [!paused]);
+  await rpcCall("evm_setIntervalMining", [paused || useRealTime ? 0 : MINING_INTERVAL_MS]);
+}
+
 async function advanceTime(seconds) {
   await rpcCall("evm_increaseTime", [seconds]);
   await rpcCall("evm_mine", []);
@@ -103,6 +240,21 @@ async function syncToRealTime() {
   await rpcCall("evm_mine", []);
 }
 
+// Resolve --until: "+90d" is relative to the current chain time, anything else is parsed as a date
+function resolveUntil(value, chainTime) {
+  if (value.startsWith("+")) return chainTime + parseDuration(value.slice(1));
+  const parsed = Date.parse(value);
+  if (Number.isNaN(parsed)) {
+    throw new Error(`Invalid --until "${value}" (expected an ISO date or +duration such as +90d)`);
+  }
+  return Math.floor(parsed / 1000);
+}
+
+const progressBar = (fraction, width = 30) => {
+  const filled = Math.round(Math.min(1, Math.max(0, fraction)) * width);
+  return `${"█".repeat(filled)}${"░".repeat(width - filled)}`;
+};
+
 const formatNum = (value, decimals = 18) => {
   const num = Number(formatUnits(BigInt(value || 0), decimals));
   return num.toLocaleString("en-US", { maximumFractionDigits: 2 });
@@ -116,11 +268,49 @@ const formatCompact = (value, decimals = 18) => {
   return num.toFixed(2);
 };
 
+const formatRatio = (value) =>
+  value === null ? "n/a" : `${Number(formatUnits(value, 16)).toFixed(2)}%`;
+
+const formatTrend = (delta) => {
+  const pct = delta * 100;
+  if (Math.abs(pct) < 0.005) return `${colors.cyan}→ 0.00%${colors.reset}`;
+  return pct > 0
+    ? `${colors.green}▲ +${pct.toFixed(2)}%${colors.reset}`
+    : `${colors.red}▼ ${pct.toFixed(2)}%${colors.reset}`;
+};
+
+// Prometheus gauges mirroring what the dashboard shows
+function createGuardianMetrics() {
+  const registry = createRegistry();
+  return {
+    registry,
+    blockNumber: registry.gauge("bitres_block_number", "Latest block number"),
+    blockTime: registry.gauge("bitres_block_timestamp_seconds", "Latest block timestamp (chain time, unix seconds)"),
+    brsSupply: registry.gauge("bitres_brs_total_supply", "BRS total supply (tokens)"),
+    brsFarming: registry.gauge("bitres_brs_farming_pool_balance", "BRS held by FarmingPool (tokens)"),
+    brsMinted: registry.gauge("bitres_farming_minted", "BRS distributed by FarmingPool (tokens)"),
+    rewardPerSecond: registry.gauge("bitres_farming_reward_per_second", "FarmingPool currentRewardPerSecond (BRS/s)"),
+    price: registry.gauge("bitres_price_usd", "PriceOracle price in USD", ["token"]),
+    collateralRatio: registry.gauge("bitres_collateral_ratio", "Minter collateral ratio (1 = 100%)"),
+    wbtcReserve: registry.gauge("bitres_wbtc_reserve", "Minter.totalWBTC (WBTC)"),
+    stBTDEquivalent: registry.gauge("bitres_stbtd_equivalent", "Minter.totalStBTDEquivalent (BTD)"),
+    tokenSupply: registry.gauge("bitres_token_total_supply", "Token total supply (tokens)", ["token"]),
+    alertActive: registry.gauge("bitres_alert_active", "1 while the alert rule is triggered", ["rule"]),
+    keeperOutcomes: registry.counter("bitres_keeper_outcomes_total", "Keeper job outcomes", ["job", "outcome"]),
+  };
+}
+
 async function main() {
-  const addr = loadAddresses();
+  if (readOnly && keeperEnabled) {
+    throw new Error(`--keeper sends transactions and is not available on ${network.name} (read-only)`);
+  }
+  if (readOnly && untilValue) {
+    throw new Error(`--until needs evm_* time control and is not available on ${network.name} (read-only)`);
+  }
+  const addr = loadAddresses(network);
   const client = createPublicClient({
-    chain: { ...hardhat, id: 31337 },
-    transport: http(RPC_URL),
+    chain: network.chain,
+    transport: http(RPC_URL, { timeout: 60000 }),
   });
 
   // ABIs
@@ -141,35 +331,294 @@ async function main() {
     { inputs: [], name: "getBRSPrice", outputs: [{ type: "uint256" }], stateMutability: "view", type: "function" },
   ];
 
-  await enableAutoMining();
+  // Set once in the FarmingPool constructor; anchors the halving schedule
+  const farmingStartTime = await client.readContract({ address: addr.FarmingPool, abi: farmingAbi, functionName: "startTime" });
+
+  const alertRules = alertsFile ? loadAlertRules(alertsFile) : DEFAULT_ALERT_RULES;
+  const alertMonitor = createAlertMonitor(alertRules);
+  const crTrend = createTrendTracker(30); // 30 refreshes = 1 minute of samples
+  const recentCrossings = [];
+  let farmingReport = null;
+  let refreshCount = 0;
+  const eventFeed = eventCount > 0 || jsonMode ? createEventFeed({ client, addr, size: Math.max(eventCount, 1) }) : null;
+
+  let metrics = null;
+  if (metricsPort) {
+    metrics = createGuardianMetrics();
+    await startMetricsServer(metrics.registry, metricsPort, metricsHost);
+    say(`\n📈 Metrics: http://${metricsHost}:${metricsPort}/metrics`);
+  }
+
+  let keeper = null;
+  let fastForwardOutcomes = null; // keeper outcome counts while --until is running
+  if (keeperEnabled) {
+    const walletClient = createWalletClient({
+      account: privateKeyToAccount(KEEPER_PRIVATE_KEY),
+      chain: network.chain,
+      transport: http(RPC_URL),
+    });
+    keeper = createKeeper({
+      publicClient: client,
+      walletClient,
+      addr,
+      cadences: loadCadences(keeperConfigFile),
+      logFile: keeperLogFile,
+      onOutcome: (entry) => {
+        metrics?.keeperOutcomes.inc({ job: entry.job, outcome: entry.outcome });
+        emit?.("keeper", entry.block, entry);
+        if (fastForwardOutcomes) fastForwardOutcomes[entry.outcome] = (fastForwardOutcomes[entry.outcome] ?? 0) + 1;
+      },
+    });
+  }
+
+  if (readOnly) {
+    say(`\n🔒 Read-only: monitoring ${network.label} via ${RPC_URL} (time controls disabled)`);
+  } else {
+    await enableAutoMining();
+  }
 
   // Sync to real time first if using realtime mode
-  if (useRealTime) {
-    console.log(`\n⏰ Real-Time Mode: Block time synced to system time`);
+  if (readOnly) {
+    // Block production is not ours to control
+  } else if (useRealTime) {
+    say(`\n⏰ Real-Time Mode: Block time synced to system time`);
     await syncToRealTime();
-    console.log(`   ✓ Block time synchronized to ${new Date().toLocaleString()}`);
+    say(`   ✓ Block time synchronized to ${new Date().toLocaleString()}`);
   } else {
-    console.log(`\n⏰ Time Acceleration: ${timeSpeed}x (1 real second = ${timeSpeed} chain seconds)`);
+    say(`\n⏰ Time Acceleration: ${timeSpeed}x (1 real second = ${timeSpeed} chain seconds)`);
   }
-  console.log(`${colors.magenta}Press Ctrl+C to exit${colors.reset}\n`);
+  say(`${colors.magenta}Press Ctrl+C to exit${colors.reset}\n`);
+  emit?.("start", await client.getBlockNumber(), {
+    network: network.name,
+    rpc: RPC_URL,
+    mode: readOnly ? "read-only" : useRealTime ? "realtime" : "accelerated",
+    speed: readOnly || useRealTime ? 1 : timeSpeed,
+    keeper: keeperEnabled,
+    metricsPort,
+    alertRules: alertRules.map((rule) => rule.name),
+  });
 
   let startRealTime = Date.now();
   let totalAdvanced = 0;
+  let snapshotId = null;
+  const recentControls = [];
 
-  // Time management loop
+  // Record a control action in the log, the JSON stream and the dashboard
+  const logControl = async (action, detail = {}) => {
+    const block = await client.getBlock({ blockTag: "latest" });
+    const description = Object.entries(detail)
+      .map(([key, value]) => `${key}=${value}`)
+      .join(" ");
+    fs.appendFileSync(
+      controlLogFile,
+      [
+        new Date().toISOString(),
+        `block=${block.number}`,
+        `chainTime=${new Date(Number(block.timestamp) * 1000).toISOString()}`,
+        `action=${action}`,
+        description,
+      ].join(" ").trim() + "\n"
+    );
+    emit?.("control", block.number, { action, ...detail });
+    recentControls.unshift({ at: Date.now(), action, description });
+    if (recentControls.length > 3) recentControls.pop();
+  };
+
+  const jump = async (seconds, label) => {
+    await advanceTime(seconds);
+    totalAdvanced += seconds;
+    await logControl("jump", { by: label, seconds });
+  };
+
+  const controls = {
+    async togglePause() {
+      paused = !paused;
+      await applyMiningMode();
+      await logControl(paused ? "pause" : "resume");
+    },
+    async speed(direction) {
+      const next =
+        direction > 0
+          ? SPEED_STEPS.find((step) => step > timeSpeed) ?? timeSpeed
+          : [...SPEED_STEPS].reverse().find((step) => step < timeSpeed) ?? timeSpeed;
+      if (next === timeSpeed) return;
+      const previous = timeSpeed;
+      timeSpeed = next;
+      await logControl("speed", { from: previous, to: timeSpeed });
+    },
+    async toggleRealtime() {
+      useRealTime = !useRealTime;
+      await applyMiningMode();
+      await logControl("mode", { mode: useRealTime ? "realtime" : "accelerated", speed: timeSpeed });
+    },
+    hour: () => jump(3600, "1h"),
+    day: () => jump(86400, "1d"),
+    month: () => jump(30 * 86400, "30d"),
+    async halving() {
+      const block = await client.getBlock({ blockTag: "latest" });
+      const era = eraAt(farmingStartTime, block.timestamp);
+      await jump(nextHalvingTime(farmingStartTime, block.timestamp) - Number(block.timestamp), `halving ${era + 1}`);
+    },
+    async snapshot() {
+      snapshotId = await rpcCall("evm_snapshot");
+      await logControl("snapshot", { id: snapshotId });
+    },
+    async revert() {
+      if (snapshotId === null) {
+        await logControl("revert", { error: "no snapshot taken" });
+        return;
+      }
+      const before = await client.getBlock({ blockTag: "latest" });
+      const reverted = await rpcCall("evm_revert", [snapshotId]);
+      const after = await client.getBlock({ blockTag: "latest" });
+      totalAdvanced -= Number(before.timestamp) - Number(after.timestamp);
+      eventFeed?.rewind(after.number);
+      const id = snapshotId;
+      // A snapshot can only be reverted once; take a new one so "r" keeps working
+      snapshotId = reverted ? await rpcCall("evm_snapshot") : null;
+      await logControl("revert", { id, success: reverted === true, block: after.number });
+    },
+  };
+
+  const KEYS = {
+    p: controls.togglePause,
+    space: controls.togglePause,
+    "+": () => controls.speed(1),
+    "=": () => controls.speed(1),
+    "-": () => controls.speed(-1),
+    h: controls.hour,
+    d: controls.day,
+    m: controls.month,
+    n: controls.halving,
+    s: controls.snapshot,
+    r: controls.revert,
+    t: controls.toggleRealtime,
+  };
+
+  // Fast-forward to --until, then switch to realtime and print what accrued
+  const fastForward = async () => {
+    const stepSeconds = parseDuration(untilStep);
+    const before = await readAccrualSnapshot(client, addr);
+    const target = resolveUntil(untilValue, before.timestamp);
+    if (target <= before.timestamp) {
+      throw new Error(`--until target ${new Date(target * 1000).toISOString()} is not after chain time ${new Date(before.timestamp * 1000).toISOString()}`);
+    }
+    const totalSeconds = target - before.timestamp;
+    const keeperCounts = {};
+    fastForwardOutcomes = keeperCounts;
+    await logControl("fast_forward", { until: new Date(target * 1000).toISOString(), step: stepSeconds });
+    say(`\n⏩ Fast-forwarding ${formatDuration(totalSeconds)} to ${new Date(target * 1000).toISOString()} (${formatDuration(stepSeconds)} per block)`);
+
+    const startedAt = Date.now();
+    let lastReportedPct = -1;
+    let chainTime = before.timestamp;
+    while (chainTime < target) {
+      const seconds = Math.min(stepSeconds, target - chainTime);
+      await advanceTime(seconds);
+      totalAdvanced += seconds;
+      const block = await client.getBlock({ blockTag: "latest" });
+      chainTime = Number(block.timestamp);
+      if (keeper) await keeper.tick(block);
+
+      const fraction = (chainTime - before.timestamp) / totalSeconds;
+      const pct = Math.floor(fraction * 100);
+      if (emit) {
+        if (pct >= lastReportedPct + 5) {
+          lastReportedPct = pct;
+          emit("fast_forward_progress", block.number, { pct, chainTime, target });
+        }
+      } else {
+        process.stdout.write(
+          `\r  ${progressBar(fraction)} ${String(pct).padStart(3)}%  ${new Date(chainTime * 1000).toISOString().slice(0, 16)}  block #${block.number}`
+        );
+      }
+    }
+
+    fastForwardOutcomes = null;
+    const after = await readAccrualSnapshot(client, addr);
+    const rows = diffAccrual(before, after);
+    const elapsedReal = Math.round((Date.now() - startedAt) / 1000);
+    useRealTime = true;
+    await applyMiningMode();
+    await logControl("mode", { mode: "realtime", reason: "fast-forward complete" });
+
+    if (emit) {
+      emit("fast_forward_done", after.block, {
+        target,
+        realSeconds: elapsedReal,
+        keeper: keeperCounts,
+        accrued: rows.map(({ label, before: from, after: to, change, unit }) => ({ label, before: from, after: to, change, unit })),
+      });
+      return;
+    }
+    const fmt = (value) => (value === null ? "n/a" : value.toLocaleString("en-US", { maximumFractionDigits: 6 }));
+    console.log(`\n\n${colors.bright}  Fast-forward complete${colors.reset} in ${formatDuration(elapsedReal)} (now in realtime mode)`);
+    console.log(`  ─────────────────────────────────────────────────────────────────────`);
+    for (const { label, before: from, after: to, change, unit } of rows) {
+      const delta = change === null ? "" : `  (${change >= 0 ? "+" : ""}${fmt(change)}${unit ? ` ${unit}` : ""})`;
+      console.log(`  ${label.padEnd(20)} ${fmt(from).padStart(18)} → ${fmt(to).padEnd(18)}${delta}`);
+    }
+    if (keeper) {
+      const counts = Object.entries(keeperCounts).map(([outcome, count]) => `${outcome} ${count}`).join(", ");
+      console.log(`  ${"Keeper calls".padEnd(20)} ${counts || "none"}`);
+    }
+    // Leave the summary readable before the dashboard starts clearing the screen
+    await new Promise((resolve) => setTimeout(resolve, 5000));
+  };
+
+  // Runs before the regular loops start so nothing else moves the clock meanwhile
+  if (untilValue) {
+    await fastForward();
+  }
+
+  if (process.stdin.isTTY && !readOnly) {
+    readline.emitKeypressEvents(process.stdin);
+    process.stdin.setRawMode(true);
+    process.stdin.on("keypress", (str, key) => {
+      // Raw mode swallows SIGINT, so handle Ctrl+C here
+      if (key?.ctrl && key.name === "c") process.exit(0);
+      const handler = KEYS[key?.name === "space" ? "space" : str];
+      if (!handler) return;
+      handler().catch((err) =>
+        logControl("error", { key: str, message: JSON.stringify(err.shortMessage || err.message) }).catch(() => {})
+      );
+    });
+  }
+
+  // Time management loop (local only)
   setInterval(async () => {
+    if (paused || readOnly) return;
     try {
       if (useRealTime) {
         // Keep block time in sync with real time
         await syncToRealTime();
+        if (emit) emit("time_sync", await client.getBlockNumber(), { timestamp: Math.floor(Date.now() / 1000) });
       } else {
         // Accelerate time
         await advanceTime(timeSpeed);
         totalAdvanced += timeSpeed;
+        if (emit) emit("time_advance", await client.getBlockNumber(), { seconds: timeSpeed, totalAdvanced });
       }
-    } catch {}
+    } catch (err) {
+      emit?.("error", null, { source: "time", message: err.shortMessage || err.message });
+    }
   }, 1000);
 
+  // Keeper loop (jobs are scheduled in chain time, so this just polls the latest block)
+  if (keeper) {
+    setInterval(async () => {
+      // Keeper transactions would never be mined while paused
+      if (paused) return;
+      try {
+        const block = await client.getBlock({ blockTag: "latest" });
+        await keeper.tick(block);
+      } catch (err) {
+        if (emit) emit("error", null, { source: "keeper", message: err.shortMessage || err.message });
+        else console.error("Keeper error:", err.shortMessage || err.message);
+      }
+    }, KEEPER_INTERVAL_MS);
+  }
+
   // Display loop
   setInterval(async () => {
     try {
@@ -187,39 +636,211 @@ async function main() {
           client.readContract({ address: addr.PriceOracle, abi: priceOracleAbi, functionName: "getBTDPrice" }).catch(() => 0n),
           client.readContract({ address: addr.PriceOracle, abi: priceOracleAbi, functionName: "getBRSPrice" }).catch(() => 0n),
         ]);
+      const emission = projectEmissions({ startTime: farmingStartTime, minted, rate: rewardPerSec, timestamp: blockTime }, 0);
+      const collateral = await readCollateralSnapshot(client, addr);
+      const collateralMetrics = snapshotMetrics(collateral);
+      crTrend.push(collateralMetrics.cr);
+
+      const crossings = alertMonitor.evaluate(collateralMetrics);
+      for (const crossing of crossings) {
+        logCrossing(alertLogFile, crossing, block);
+        recentCrossings.unshift({ ...crossing, blockTime });
+        if (recentCrossings.length > 5) recentCrossings.pop();
+        emit?.("alert", block.number, {
+          rule: crossing.rule.name,
+          metric: crossing.rule.metric,
+          state: crossing.state,
+          value: crossing.value,
+          threshold: crossing.threshold,
+        });
+      }
+
+      if (farmingEnabled && refreshCount++ % FARMING_REFRESH_EVERY === 0) {
+        farmingReport = await readFarmingPools(client, addr);
+        emit?.("farming", block.number, farmingReportJson(farmingReport));
+      }
+
+      if (eventFeed) {
+        const fresh = await eventFeed.poll(block.number);
+        for (const entry of fresh) {
+          emit?.("protocol_event", entry.block, {
+            contract: entry.contract,
+            name: entry.event,
+            actor: entry.actor,
+            summary: entry.summary,
+            tx: entry.tx,
+            args: entry.args,
+          });
+        }
+      }
+
+      if (metrics) {
+        const supplies = await Promise.all(
+          ["BTD", "BTB", "stBTD", "stBTB"].map((token) =>
+            client.readContract({ address: addr[token], abi: erc20Abi, functionName: "totalSupply" }).catch(() => null)
+          )
+        );
+        const toNumber = (value, decimals = 18) => Number(formatUnits(value, decimals));
+        metrics.blockNumber.set(Number(block.number));
+        metrics.blockTime.set(blockTime);
+        metrics.brsSupply.set(toNumber(totalSupply));
+        metrics.brsFarming.set(toNumber(farmingBalance));
+        metrics.brsMinted.set(toNumber(minted));
+        metrics.rewardPerSecond.set(toNumber(rewardPerSec));
+        // Reverting oracle getters return 0n above; drop the series rather than export a fake $0
+        for (const [token, price] of [["WBTC", wbtcPrice], ["BTD", btdPrice], ["BRS", brsPrice], ["BTB", collateral.btbPrice]]) {
+          if (price) metrics.price.set(toNumber(price), { token });
+          else metrics.price.remove({ token });
+        }
+        if (collateralMetrics.cr !== null) metrics.collateralRatio.set(collateralMetrics.cr);
+        if (collateralMetrics.totalWBTC !== null) metrics.wbtcReserve.set(collateralMetrics.totalWBTC);
+        if (collateralMetrics.totalStBTD !== null) metrics.stBTDEquivalent.set(collateralMetrics.totalStBTD);
+        metrics.tokenSupply.set(toNumber(totalSupply), { token: "BRS" });
+        ["BTD", "BTB", "stBTD", "stBTB"].forEach((token, i) => {
+          if (supplies[i] !== null) metrics.tokenSupply.set(toNumber(supplies[i]), { token });
+        });
+        const active = new Set(alertMonitor.activeRules().map((rule) => rule.name));
+        for (const rule of alertRules) {
+          metrics.alertActive.set(active.has(rule.name) ? 1 : 0, { rule: rule.name });
+        }
+      }
 
       const distributed = totalSupply - farmingBalance;
       const distributedPct = (Number(distributed) / Number(totalSupply) * 100).toFixed(4);
 
+      if (emit) {
+        const toNumber = (value, decimals = 18) => (value ? Number(formatUnits(value, decimals)) : null);
+        emit("refresh", block.number, {
+          blockTime,
+          brs: {
+            totalSupply: toNumber(totalSupply),
+            farmingBalance: toNumber(farmingBalance),
+            minted: toNumber(minted),
+            rewardPerSecond: toNumber(rewardPerSec),
+          },
+          emission: {
+            era: emission.era,
+            nextHalving: emission.nextHalving,
+            secondsToHalving: emission.secondsToHalving,
+            projectedMinted: toNumber(emission.projectedMinted),
+          },
+          prices: { WBTC: toNumber(wbtcPrice), BTD: toNumber(btdPrice), BRS: toNumber(brsPrice), BTB: toNumber(collateral.btbPrice) },
+          collateral: { ...collateralMetrics, regime: collateral.regime },
+          activeAlerts: alertMonitor.activeRules().map((rule) => rule.name),
+          totalAdvanced,
+        });
+        return;
+      }
+
       const chainHours = Math.floor(totalAdvanced / 3600);
       const chainMins = Math.floor((totalAdvanced % 3600) / 60);
 
       console.clear();
       console.log(`${colors.bright}═══════════════════════════════════════════════════════════════════════${colors.reset}`);
-      console.log(`${colors.bright}  BRS Guardian - Local Network Monitor${colors.reset}`);
+      console.log(`${colors.bright}  BRS Guardian - ${network.label} Monitor${colors.reset}`);
       console.log(`${colors.bright}═══════════════════════════════════════════════════════════════════════${colors.reset}`);
       console.log();
       console.log(`  Block #${block.number}  |  ${new Date(blockTime * 1000).toLocaleString()}`);
-      const timeMode = useRealTime
+      const timeMode = readOnly
+        ? `${colors.yellow}Read-only${colors.reset}`
+        : useRealTime
         ? `${colors.green}Real-Time${colors.reset}`
-        : `${colors.cyan}${timeSpeed}x${colors.reset}`;
-      console.log(`  Mode: ${timeMode}  |  Chain elapsed: ${colors.cyan}${chainHours}h ${chainMins}m${colors.reset}`);
+        : `${colors.cyan}Accelerated ${timeSpeed}x${colors.reset}`;
+      const pauseState = paused ? `  ${colors.red}${colors.bright}⏸ PAUSED${colors.reset}` : "";
+      const ahead = useRealTime && blockTime - Date.now() / 1000 > 60
+        ? `  (${formatDuration(Math.floor(blockTime - Date.now() / 1000))} ahead of wall clock)`
+        : "";
+      if (readOnly) {
+        console.log(`  Mode: ${timeMode}  |  RPC: ${RPC_URL}`);
+      } else {
+        console.log(`  Mode: ${timeMode}${pauseState}${ahead}  |  Chain elapsed: ${colors.cyan}${chainHours}h ${chainMins}m${colors.reset}`);
+      }
+      if (snapshotId !== null) console.log(`  Snapshot: ${colors.magenta}${snapshotId}${colors.reset}`);
+      for (const { at, action, description } of recentControls) {
+        console.log(`  ${colors.magenta}${new Date(at).toLocaleTimeString()}  ${action} ${description}${colors.reset}`);
+      }
       console.log();
       console.log(`${colors.bright}  BRS Token${colors.reset}`);
       console.log(`  ─────────────────────────────────────────────────────────────────────`);
       console.log(`  Total Supply:     ${colors.cyan}${formatCompact(totalSupply)}${colors.reset}`);
       console.log(`  In FarmingPool:   ${colors.green}${formatCompact(farmingBalance)}${colors.reset}`);
       console.log(`  Distributed:      ${colors.yellow}${formatCompact(distributed)}${colors.reset} (${distributedPct}%)`);
-      console.log(`  Mining Rate:      ${colors.magenta}${formatNum(rewardPerSec)} BRS/sec${colors.reset}`);
+      console.log(`  Mining Rate:      ${colors.magenta}${formatNum(rewardPerSec)} BRS/sec${colors.reset}  (era ${emission.era})`);
+      console.log(`  Next Halving:     ${colors.yellow}${formatDuration(emission.secondsToHalving)}${colors.reset}  (${new Date(emission.nextHalving * 1000).toLocaleDateString()})`);
+      console.log(`  Minted/Schedule:  ${formatCompact(minted)} / ${formatCompact(emission.projectedMinted)} (${emission.actualPct}% vs ${emission.projectedPct}% of supply)`);
       console.log();
       console.log(`${colors.bright}  Prices${colors.reset}`);
       console.log(`  ─────────────────────────────────────────────────────────────────────`);
       console.log(`  WBTC: ${colors.yellow}$${formatNum(wbtcPrice)}${colors.reset}  |  BTD: ${colors.green}$${formatNum(btdPrice)}${colors.reset}  |  BRS: ${colors.cyan}$${formatNum(brsPrice)}${colors.reset}`);
       console.log();
+      console.log(`${colors.bright}  Collateral${colors.reset}`);
+      console.log(`  ─────────────────────────────────────────────────────────────────────`);
+      const regime = collateral.regime
+        ? `${collateral.regime === "A" ? colors.green : colors.red}${collateral.regime}${colors.reset} (${REGIMES[collateral.regime]})`
+        : `${colors.yellow}unknown${colors.reset}`;
+      console.log(`  Collateral Ratio: ${colors.cyan}${formatRatio(collateral.cr)}${colors.reset}  ${formatTrend(crTrend.delta())} (${crTrend.size() * REFRESH_INTERVAL_MS / 1000}s)`);
+      console.log(`  Regime:           ${regime}`);
+      console.log(`  WBTC Reserve:     ${colors.yellow}${formatNum(collateral.totalWBTC, 8)} WBTC${colors.reset}`);
+      console.log(`  BTD Supply:       ${colors.green}${formatCompact(collateral.totalBTD)}${colors.reset}  |  stBTD Equiv: ${colors.green}${formatCompact(collateral.totalStBTD)}${colors.reset}`);
+      console.log(`  BTB Price:        $${formatNum(collateral.btbPrice)}  (min ${formatNum(collateral.minBTBPrice)} BTD = $${formatNum(collateral.minBTBPriceUSD)})`);
+      console.log();
+      const activeAlerts = alertMonitor.activeRules();
+      if (activeAlerts.length > 0 || recentCrossings.length > 0) {
+        console.log(`${colors.bright}${colors.red}  ⚠ Alerts${colors.reset}`);
+        console.log(`  ─────────────────────────────────────────────────────────────────────`);
+        for (const rule of activeAlerts) {
+          console.log(`  ${colors.red}${colors.bright}▶ ${rule.name}${colors.reset}`);
+        }
+        for (const { rule, state, value, threshold, blockTime: at } of recentCrossings) {
+          const color = state === "triggered" ? colors.red : colors.green;
+          console.log(`  ${color}${new Date(at * 1000).toLocaleString()}  ${state.padEnd(9)} ${rule.name} (${rule.metric}=${value.toFixed(4)}, threshold ${threshold.toFixed(4)})${colors.reset}`);
+        }
+        console.log(`  ${colors.magenta}Crossings logged to ${alertLogFile}${colors.reset}`);
+        console.log();
+      }
+      if (farmingReport) {
+        console.log(`${colors.bright}  Farming Pools${colors.reset}`);
+        console.log(`  ─────────────────────────────────────────────────────────────────────`);
+        for (const line of formatFarmingTable(farmingReport)) {
+          console.log(`  ${line}`);
+        }
+        console.log();
+      }
+      if (eventFeed && eventCount > 0) {
+        console.log(`${colors.bright}  Recent Events${colors.reset}`);
+        console.log(`  ─────────────────────────────────────────────────────────────────────`);
+        const recentEvents = eventFeed.recent(eventCount);
+        if (recentEvents.length === 0) {
+          console.log(`  ${colors.yellow}No protocol events yet${colors.reset}`);
+        }
+        for (const entry of recentEvents) {
+          const actor = entry.actor ? `${entry.actor.slice(0, 6)}…${entry.actor.slice(-4)}` : entry.contract;
+          console.log(`  #${String(entry.block).padEnd(7)} ${colors.cyan}${entry.event.padEnd(20)}${colors.reset} ${actor.padEnd(13)} ${entry.summary}`);
+        }
+        console.log();
+      }
+      if (keeper) {
+        const outcomeColor = { executed: colors.green, skipped: colors.cyan, reverted: colors.red };
+        console.log(`${colors.bright}  Keeper${colors.reset}`);
+        console.log(`  ─────────────────────────────────────────────────────────────────────`);
+        for (const { job, cadence, last, dueIn } of keeper.status(blockTime)) {
+          const outcome = last
+            ? `${outcomeColor[last.outcome]}${last.outcome}${colors.reset}${last.reason ? ` (${last.reason})` : ""}`
+            : `${colors.yellow}pending${colors.reset}`;
+          console.log(`  ${job.padEnd(10)} every ${formatDuration(cadence).padEnd(8)} next in ${formatDuration(dueIn).padEnd(10)} ${outcome}`);
+        }
+        console.log(`  ${colors.magenta}Outcomes logged to ${keeperLogFile}${colors.reset}`);
+        console.log();
+      }
       console.log(`${colors.bright}═══════════════════════════════════════════════════════════════════════${colors.reset}`);
-      console.log(`  ${colors.magenta}Ctrl+C to exit${colors.reset}`);
+      if (process.stdin.isTTY && !readOnly) {
+        console.log(`  ${colors.magenta}[p] pause  [+/-] speed  [h/d/m] +1h/+1d/+30d  [n] halving  [s/r] snapshot/revert  [t] realtime  Ctrl+C exit${colors.reset}`);
+      } else {
+        console.log(`  ${colors.magenta}Ctrl+C to exit${colors.reset}`);
+      }
     } catch (err) {
-      console.error("Refresh error:", err.message);
+      if (emit) emit("error", null, { source: "refresh", message: err.shortMessage || err.message });
+      else console.error("Refresh error:", err.message);
     }
   }, REFRESH_INTERVAL_MS);
 
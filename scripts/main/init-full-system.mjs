@@ -2,11 +2,31 @@
  * Initialize local system after deployment:
  * - Set oracle prices (Chainlink/Pyth/Redstone)
  * - Add real UniswapV2Pair liquidity and mint LP
- * - Configure 10 farming pools (same weights as legacy script)
- * - Fund FarmingPool with BRS rewards
+ * - Configure farming pools and seed stakes
+ * - Fund test recipients and the market-maker inventory
+ * Amounts, pools and recipients come from an init profile (scripts/main/init-profiles.json),
+ * validated against the Constants.sol limits before any transaction is sent.
+ *
+ * Init runs as steps (roles, oracle, mint, liquidity, twap, vaults, pools, stakes,
+ * recipients, marketMaker). Each step checks on-chain whether it is already done and skips if so,
+ * and progress is recorded in ignition/deployments/chain-31337/init-checkpoint.json,
+ * so a failed run can simply be rerun.
  *
  * Run:
  *   npx hardhat run scripts/main/init-full-system.mjs --network localhost
+ *   INIT_PROFILE=stress npx hardhat run scripts/main/init-full-system.mjs --network localhost
+ *   INIT_FROM_STEP=twap npx hardhat run scripts/main/init-full-system.mjs --network localhost
+ *
+ * Options (`hardhat run` does not pass script arguments, so the flags only apply when the
+ * script is run without it; under `hardhat run` use the environment variables):
+ *   --from-step <name>  INIT_FROM_STEP     start at this step
+ *   --only-step <name>  INIT_ONLY_STEP     run only this step
+ * Neither repeats a completed step: a step whose on-chain check passes is still skipped.
+ *
+ * Environment:
+ *   INIT_PROFILE        profile name (default: demo)
+ *   INIT_PROFILE_FILE   profile file (default: scripts/main/init-profiles.json)
+ *   MM_ADDRESS          market-maker account to fund (default: Hardhat account #4)
  *
  * Prerequisite: deployed via Ignition; addresses stored in ignition/deployments/chain-31337/deployed_addresses.json
  */
@@ -14,19 +34,29 @@
 import fs from "fs";
 import path from "path";
 import hre from "hardhat";
-import { createPublicClient, http, keccak256, parseEther, parseUnits, stringToHex } from "viem";
+import { createPublicClient, http, keccak256, stringToHex } from "viem";
 import { hardhat as viemHardhat } from "viem/chains";
+import { loadInitProfile, profileBtcUsd, resolveInitProfile } from "../lib/init-profile.mjs";
+import { runSteps } from "../lib/init-steps.mjs";
 
 const ADDR_FILE = path.join(
   process.cwd(),
   "ignition/deployments/chain-31337/deployed_addresses.json"
 );
 
+const CHECKPOINT_FILE = path.join(path.dirname(ADDR_FILE), "init-checkpoint.json");
+
+const argValue = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
 const DEFAULTS = {
-  btcPriceChainlink: 102_000n * 10n ** 8n, // Chainlink 8 decimals
-  pythPrice: 102_000n * 10n ** 8n,
+  fromStep: argValue("--from-step") || process.env.INIT_FROM_STEP || undefined,
+  onlyStep: argValue("--only-step") || process.env.INIT_ONLY_STEP || undefined,
+  profile: process.env.INIT_PROFILE || "demo",
+  profileFile: process.env.INIT_PROFILE_FILE || undefined,
   pythExpo: -8n,
-  redstonePrice: 102_000n * 10n ** 18n,
   pythPriceId:
     "0x505954485f575442430000000000000000000000000000000000000000000000", // "PYTH_WTBC"
   redstoneFeedId:
@@ -102,272 +132,338 @@ async function main() {
   const pairBTDUSDC = await get("PairBTDUSDC", "contracts/local/UniswapV2Pair.sol:UniswapV2Pair");
   const pairBTBBTD = await get("PairBTBBTD", "contracts/local/UniswapV2Pair.sol:UniswapV2Pair");
   const pairBRSBTD = await get("PairBRSBTD", "contracts/local/UniswapV2Pair.sol:UniswapV2Pair");
-  const pairAbi = loadAbi("contracts/local/UniswapV2Pair.sol/UniswapV2Pair.json");
 
-  // 0) enable automine (transactions are mined immediately)
+  // Profile tokens and pairs by deployment id
+  const contracts = {
+    BRS: brs, BTD: btd, BTB: btb, WBTC: wbtc, USDC: usdc, USDT: usdt, WETH: weth, stBTD, stBTB,
+    PairWBTCUSDC: pairWBTCUSDC, PairBTDUSDC: pairBTDUSDC, PairBTBBTD: pairBTBBTD, PairBRSBTD: pairBRSBTD,
+  };
+
+  // Resolve and validate the init profile before sending anything
+  const profile = loadInitProfile(DEFAULTS.profile, DEFAULTS.profileFile);
+  const btcUsd = profileBtcUsd(profile) ?? (await chainlinkBtcUsd.read.latestRoundData())[1];
+  const plan = resolveInitProfile(profile, btcUsd);
+  const recipientTokens = Object.keys(plan.recipientAmounts).filter((token) => token !== "ETH");
+  const ids = [...plan.liquidity.map((seed) => seed.pair), ...plan.pools.map((pool) => pool.token), ...recipientTokens];
+  for (const id of [...ids, ...Object.keys(plan.marketMaker)]) {
+    if (!contracts[id]) throw new Error(`Init profile "${plan.name}": ${id} is not a known token or pair`);
+  }
+  console.log(`=> init profile "${plan.name}" (${profile.description ?? "no description"}), BTC/USD ${Number(btcUsd) / 1e8}`);
+
+  // enable automine (transactions are mined immediately)
   // Note: interval mining is NOT enabled here to prevent timestamp drift
   // Guardian will control mining after init completes
   const provider = hre.network?.provider ?? connection.provider;
-  if (provider?.request) {
-    await provider.request({ method: "evm_setAutomine", params: [true] });
-  } else if (provider?.send) {
-    await provider.send("evm_setAutomine", [true]);
-  }
+  const rpc = async (method, params = []) => {
+    if (provider?.request) return provider.request({ method, params });
+    if (provider?.send) return provider.send(method, params);
+  };
+  await rpc("evm_setAutomine", [true]);
 
-  // 0.5) roles configuration
-  console.log("=> configure roles...");
   const MINTER_ROLE = keccak256(stringToHex("MINTER_ROLE"));
   const btdAbi = loadAbi("contracts/BTD.sol/BTD.json");
   const btbAbi = loadAbi("contracts/BTB.sol/BTB.json");
-  console.log("   -> Grant BTD MINTER to owner");
-  await owner.writeContract({
-    address: addresses.BTD,
-    abi: btdAbi,
-    functionName: "grantRole",
-    args: [MINTER_ROLE, owner.account.address],
-    account: owner.account,
-  });
-  console.log("   -> Grant BTB MINTER to owner");
-  await owner.writeContract({
-    address: addresses.BTB,
-    abi: btbAbi,
-    functionName: "grantRole",
-    args: [MINTER_ROLE, owner.account.address],
-    account: owner.account,
-  });
-  console.log("   -> Grant BTD MINTER to Minter");
-  await owner.writeContract({
-    address: addresses.BTD,
-    abi: btdAbi,
-    functionName: "grantRole",
-    args: [MINTER_ROLE, minter.address],
-    account: owner.account,
-  });
-  console.log("   -> Grant BTB MINTER to Minter");
-  await owner.writeContract({
-    address: addresses.BTB,
-    abi: btbAbi,
-    functionName: "grantRole",
-    args: [MINTER_ROLE, minter.address],
-    account: owner.account,
-  });
-  // Temporarily disable TWAP during LP setup (will enable after TWAP observations)
-  await priceOracle.write.setUseTWAP([false], { account: owner.account });
-
-  // 1) oracle prices
-  console.log("=> set oracle prices...");
-  await chainlinkBtcUsd.write.setAnswer([DEFAULTS.btcPriceChainlink], { account: owner.account });
-  await chainlinkWbtcBtc.write.setAnswer([1n * 10n ** 8n], { account: owner.account });
-  await mockPyth.write.setPrice([DEFAULTS.pythPriceId, DEFAULTS.pythPrice, DEFAULTS.pythExpo], {
-    account: owner.account,
-  });
-  await mockRedstone.write.setValue([DEFAULTS.redstoneFeedId, DEFAULTS.redstonePrice], {
-    account: owner.account,
-  });
-
-  // 1.5) mint BTD/BTB needed for LP (using system minimum amounts + buffer for MINIMUM_LIQUIDITY)
-  // BTD: 0.01 (BTD/USDC) + 0.001 (BTB/BTD) + 0.001 (BRS/BTD) + 0.001 vault = ~0.013
-  // BTB: 0.001 (BTB/BTD) + 0.001 vault = ~0.002
-  // Use 0.02 each for safety buffer
-  const mintBtdAmount = parseEther("0.02");
-  const mintBtbAmount = parseEther("0.02");
-  await owner.writeContract({
-    address: addresses.BTD,
-    abi: btdAbi,
-    functionName: "mint",
-    args: [owner.account.address, mintBtdAmount],
-    account: owner.account,
-  });
-  await owner.writeContract({
-    address: addresses.BTB,
-    abi: btbAbi,
-    functionName: "mint",
-    args: [owner.account.address, mintBtbAmount],
-    account: owner.account,
-  });
-
-  // 2) add real LP liquidity and mint LP
-  // Use system minimum amounts: both tokens must meet their minimum requirements
-  // MIN_BTC_AMOUNT = 1 satoshi, MIN_STABLECOIN_6_AMOUNT = 1000, MIN_STABLECOIN_18_AMOUNT = 1e15
-  // Also sqrt(amt0 * amt1) > 1000 for Uniswap MINIMUM_LIQUIDITY
-  console.log("=> add LP liquidity and mint LP (using system minimum amounts)...");
-  const addLP = async (pair, token0, token1, amt0, amt1, label) => {
-    await token0.write.transfer([pair.address, amt0], { account: owner.account });
-    await token1.write.transfer([pair.address, amt1], { account: owner.account });
-    await pair.write.mint([owner.account.address], { account: owner.account });
-    const lpBal = await publicClient.readContract({
-      address: pair.address,
-      abi: pairAbi,
-      functionName: "balanceOf",
-      args: [owner.account.address],
-    });
-    console.log(`   ✓ ${label} LP minted: ${lpBal.toString()}`);
-    return lpBal;
-  };
-  // LP amounts: use minimum that satisfies both tokens' limits
-  // WBTC/USDC: 1000 satoshi (>= MIN_BTC_AMOUNT=1) + 1020000 USDC units (>= MIN_STABLECOIN_6_AMOUNT=1000)
-  // Price ratio ~$102k/BTC to match oracle
-  const lpWBTCUSDC = await addLP(
-    pairWBTCUSDC,
-    wbtc,
-    usdc,
-    1000n,                 // 1000 satoshi (0.00001 WBTC) - meets MIN_BTC_AMOUNT
-    1020000n,              // 1.02 USDC - meets MIN_STABLECOIN_6_AMOUNT, matches $102k/BTC
-    "WBTC/USDC"
-  );
-  // BTD/USDC: Need extra buffer due to different decimals (18 vs 6)
-  // The LP liquidity = sqrt(btd * usdc) is small, so underlying validation needs more tokens
-  // Use 0.01 BTD and 0.01 USDC + buffer for MINIMUM_LIQUIDITY burn
-  const lpBTDUSDC = await addLP(
-    pairBTDUSDC,
-    btd,
-    usdc,
-    1n * 10n ** 16n + 1001n,  // 0.01 BTD + buffer for MINIMUM_LIQUIDITY
-    10001n,                   // 0.01 USDC + buffer for MINIMUM_LIQUIDITY
-    "BTD/USDC"
-  );
-  // BTB/BTD: slightly over 1e15 each to account for MINIMUM_LIQUIDITY burn
-  const lpBTBBTD = await addLP(
-    pairBTBBTD,
-    btb,
-    btd,
-    1n * 10n ** 15n + 1001n,  // 0.001 BTB + buffer
-    1n * 10n ** 15n + 1001n,  // 0.001 BTD + buffer
-    "BTB/BTD"
-  );
-  // BRS/BTD: slightly over 1e15 each to account for MINIMUM_LIQUIDITY burn
-  const lpBRSBTD = await addLP(
-    pairBRSBTD,
-    brs,
-    btd,
-    1n * 10n ** 15n + 1001n,  // 0.001 BRS + buffer
-    1n * 10n ** 15n + 1001n,  // 0.001 BTD + buffer
-    "BRS/BTD"
-  );
-
-  // 2.3) Initialize TWAP Oracle (take observations and advance time)
-  console.log("=> initialize TWAP Oracle...");
+  const tokenAbis = { BTD: btdAbi, BTB: btbAbi };
   const twapOracle = await get("TWAPOracle", "contracts/UniswapV2TWAPOracle.sol:UniswapV2TWAPOracle");
-  const pairs = [pairWBTCUSDC, pairBTDUSDC, pairBTBBTD, pairBRSBTD];
-
-  // Take first TWAP observation for all pairs
-  console.log("   -> Taking first TWAP observation...");
-  for (const pair of pairs) {
-    await twapOracle.write.updateIfNeeded([pair.address], { account: owner.account });
-  }
-
-  // Advance time by 31 minutes (TWAP requires 30 min between observations)
-  console.log("   -> Advancing time by 31 minutes...");
-  if (provider?.request) {
-    await provider.request({ method: "evm_increaseTime", params: [31 * 60] });
-    await provider.request({ method: "evm_mine", params: [] });
-  } else if (provider?.send) {
-    await provider.send("evm_increaseTime", [31 * 60]);
-    await provider.send("evm_mine", []);
-  }
-
-  // Take second TWAP observation for all pairs
-  console.log("   -> Taking second TWAP observation...");
-  for (const pair of pairs) {
-    await twapOracle.write.updateIfNeeded([pair.address], { account: owner.account });
-  }
-
-  // Enable TWAP now that observations are ready
-  console.log("   -> Enabling TWAP...");
-  await priceOracle.write.setUseTWAP([true], { account: owner.account });
-  console.log("   ✓ TWAP Oracle initialized and enabled");
+  const farmingAbi = loadAbi("contracts/FarmingPool.sol/FarmingPool.json");
+  const ownerAddress = owner.account.address;
 
-  // 2.5) init stBTD/stBTB vaults (using system minimum amounts)
-  console.log("=> init stBTD/stBTB vaults (using MIN_STABLECOIN_18_AMOUNT)...");
-  const minStake = 1n * 10n ** 15n; // MIN_STABLECOIN_18_AMOUNT = 0.001 tokens
-  await write("contracts/BTD.sol/BTD.json", addresses.BTD, "mint", [owner.account.address, minStake]);
-  await write("contracts/BTD.sol/BTD.json", addresses.BTD, "approve", [stBTD.address, minStake]);
-  await write("contracts/stBTD.sol/stBTD.json", addresses.stBTD, "deposit", [minStake, owner.account.address]);
-  await write("contracts/BTB.sol/BTB.json", addresses.BTB, "mint", [owner.account.address, minStake]);
-  await write("contracts/BTB.sol/BTB.json", addresses.BTB, "approve", [stBTB.address, minStake]);
-  await write("contracts/stBTB.sol/stBTB.json", addresses.stBTB, "deposit", [minStake, owner.account.address]);
+  // Hardhat account #4, the default market-maker signer (scripts/main/market-maker.mjs)
+  const marketMakerAddress = process.env.MM_ADDRESS || wallets[4].account.address;
 
-  // 3) configure farming pools (same weights)
-  console.log("=> configure FarmingPool pools...");
-  const tokens = [
-    pairBRSBTD, // 0: LP
-    pairBTDUSDC, // 1: LP
-    pairBTBBTD, // 2: LP
-    usdc, // 3: Single
-    usdt, // 4: Single
-    wbtc, // 5: Single
-    weth, // 6: Single
-    stBTD, // 7: Single
-    stBTB, // 8: Single
-    brs, // 9: Single
+  const balanceOf = (id, account = ownerAddress) => contracts[id].read.balanceOf([account]);
+  const recipientBalance = (token, account) =>
+    token === "ETH" ? publicClient.getBalance({ address: account }) : balanceOf(token, account);
+  const pairSeeded = async (seed) => (await contracts[seed.pair].read.totalSupply()) > 0n;
+  const stakedIn = async (pid) =>
+    (
+      await publicClient.readContract({
+        address: farming.address,
+        abi: farmingAbi,
+        functionName: "userInfo",
+        args: [BigInt(pid), ownerAddress],
+      })
+    )[0];
+  const roleGrants = [
+    ["BTD", ownerAddress, "owner"],
+    ["BTB", ownerAddress, "owner"],
+    ["BTD", minter.address, "Minter"],
+    ["BTB", minter.address, "Minter"],
   ];
-  const allocPoints = [15, 15, 15, 1, 1, 1, 1, 3, 3, 5];
-  // PoolKind: 0 Single, 1 LP
-  const kinds = [1, 1, 1, 0, 0, 0, 0, 0, 0, 0];
 
-  await farming.write.addPools([tokens.map((t) => t.address), allocPoints, kinds], {
-    account: owner.account,
-  });
-
-  // 3.5) stake using system minimum amounts
-  // MIN_BTC_AMOUNT = 1, MIN_STABLECOIN_6_AMOUNT = 1000, MIN_STABLECOIN_18_AMOUNT = 1e15, MIN_ETH_AMOUNT = 1e10
-  console.log("=> seed staking for pools (using system minimum amounts)...");
-
-  // System minimum amounts for each token type
-  const MIN_BTC = 1n;                    // 1 satoshi
-  const MIN_STABLE_6 = 1000n;            // 0.001 USDC/USDT
-  const MIN_STABLE_18 = 1n * 10n ** 15n; // 0.001 BTD/BTB/BRS/stBTD/stBTB
-  const MIN_ETH = 1n * 10n ** 10n;       // 0.00000001 ETH
-
-  // For LP pools, stake all LP tokens (they're already minimal)
-  const stakePlans = [
-    { id: 0, token: pairBRSBTD, amount: lpBRSBTD, name: "BRS/BTD LP" },
-    { id: 1, token: pairBTDUSDC, amount: lpBTDUSDC, name: "BTD/USDC LP" },
-    { id: 2, token: pairBTBBTD, amount: lpBTBBTD, name: "BTB/BTD LP" },
-    { id: 3, token: usdc, amount: MIN_STABLE_6, name: "USDC" },
-    { id: 4, token: usdt, amount: MIN_STABLE_6, name: "USDT" },
-    { id: 5, token: wbtc, amount: MIN_BTC, name: "WBTC" },
-    { id: 6, token: weth, amount: MIN_ETH, name: "WETH" },
-    { id: 7, token: stBTD, amount: MIN_STABLE_18, name: "stBTD" },
-    { id: 8, token: stBTB, amount: MIN_STABLE_18, name: "stBTB" },
-    { id: 9, token: brs, amount: MIN_STABLE_18, name: "BRS" },
-  ];
-
-  for (const plan of stakePlans) {
-    try {
-      await plan.token.write.approve([farming.address, plan.amount], { account: owner.account });
-      await farming.write.deposit([plan.id, plan.amount], { account: owner.account });
-      console.log(`   ✓ pool ${plan.id} (${plan.name}) staked ${plan.amount.toString()}`);
-    } catch (err) {
-      console.log(`   ⚠️  pool ${plan.id} (${plan.name}) stake skipped/failed: ${err.message || err}`);
-    }
-  }
-
-  // 4) BRS rewards already funded via Ignition deployment (all 2.1B BRS transferred to FarmingPool)
-  console.log("=> BRS rewards already in FarmingPool (from Ignition deployment)");
-
-  // 5) distribute test tokens to 4 specific addresses (large amounts for testing)
-  console.log("=> distribute test tokens to 4 specified addresses...");
-  const testRecipients = [
-    "0x8F78bE5c6b41C2d7634d25C7db22b26409671ca9",
-    "0xb53f41e806ab204b2525bd8b43909d47b32a04ac",
-    "0x9b7cd6e80158361a513673b43ed6decc42a70eba",
-    "0xc593617408c1de3561bec95cdbc316b3cb823c8d",
+  const steps = [
+    {
+      name: "roles",
+      description: "grant BTD/BTB MINTER_ROLE to the owner and Minter",
+      done: async () => {
+        for (const [token, account] of roleGrants) {
+          if (!(await contracts[token].read.hasRole([MINTER_ROLE, account]))) return false;
+        }
+        return "MINTER_ROLE granted";
+      },
+      run: async () => {
+        for (const [token, account, label] of roleGrants) {
+          if (await contracts[token].read.hasRole([MINTER_ROLE, account])) continue;
+          console.log(`   -> Grant ${token} MINTER to ${label}`);
+          await owner.writeContract({
+            address: addresses[token],
+            abi: tokenAbis[token],
+            functionName: "grantRole",
+            args: [MINTER_ROLE, account],
+            account: owner.account,
+          });
+        }
+      },
+    },
+    {
+      name: "oracle",
+      description: "set mock oracle prices",
+      done: async () => {
+        const [[, btcUsdAnswer], [, wbtcBtcAnswer], pyth] = await Promise.all([
+          chainlinkBtcUsd.read.latestRoundData(),
+          chainlinkWbtcBtc.read.latestRoundData(),
+          mockPyth.read.getPriceUnsafe([DEFAULTS.pythPriceId]),
+        ]);
+        const set = btcUsdAnswer === plan.btcUsd && wbtcBtcAnswer === 10n ** 8n && BigInt(pyth.price) === plan.btcUsd;
+        return set && `BTC/USD ${Number(plan.btcUsd) / 1e8}`;
+      },
+      run: async () => {
+        await chainlinkBtcUsd.write.setAnswer([plan.btcUsd], { account: owner.account });
+        await chainlinkWbtcBtc.write.setAnswer([1n * 10n ** 8n], { account: owner.account });
+        await mockPyth.write.setPrice([DEFAULTS.pythPriceId, plan.btcUsd, DEFAULTS.pythExpo], {
+          account: owner.account,
+        });
+        // Redstone uses 18 decimals
+        await mockRedstone.write.setValue([DEFAULTS.redstoneFeedId, plan.btcUsd * 10n ** 10n], {
+          account: owner.account,
+        });
+      },
+    },
+    {
+      // The profile covers the LP seeds; vaults mint their own
+      name: "mint",
+      description: "mint BTD/BTB for the LP seeds",
+      done: async () => {
+        const unseeded = [];
+        for (const seed of plan.liquidity) if (!(await pairSeeded(seed))) unseeded.push(seed);
+        for (const token of Object.keys(plan.mint)) {
+          const needed = unseeded.reduce((sum, seed) => sum + (seed.amounts[token] ?? 0n), 0n);
+          if ((await balanceOf(token)) < needed) return false;
+        }
+        return "owner holds enough BTD/BTB for the remaining LP seeds";
+      },
+      run: async () => {
+        for (const [token, amount] of Object.entries(plan.mint)) {
+          await owner.writeContract({
+            address: addresses[token],
+            abi: tokenAbis[token],
+            functionName: "mint",
+            args: [ownerAddress, amount],
+            account: owner.account,
+          });
+        }
+      },
+    },
+    {
+      // The profile was checked against MIN_* amounts and sqrt(amt0 * amt1) > MINIMUM_LIQUIDITY
+      name: "liquidity",
+      description: "add LP liquidity and mint LP",
+      done: async () => {
+        for (const seed of plan.liquidity) if (!(await pairSeeded(seed))) return false;
+        return `${plan.liquidity.length} pairs have liquidity`;
+      },
+      run: async () => {
+        // Disable TWAP during LP setup (the twap step enables it after two observations)
+        if (await priceOracle.read.useTWAP()) {
+          await priceOracle.write.setUseTWAP([false], { account: owner.account });
+        }
+        for (const seed of plan.liquidity) {
+          const [tokenA, tokenB] = Object.keys(seed.amounts);
+          const label = `${tokenA}/${tokenB}`;
+          if (await pairSeeded(seed)) {
+            console.log(`   skip ${label} already has liquidity`);
+            continue;
+          }
+          const pair = contracts[seed.pair];
+          await contracts[tokenA].write.transfer([pair.address, seed.amounts[tokenA]], { account: owner.account });
+          await contracts[tokenB].write.transfer([pair.address, seed.amounts[tokenB]], { account: owner.account });
+          await pair.write.mint([ownerAddress], { account: owner.account });
+          console.log(`   ✓ ${label} LP minted: ${(await balanceOf(seed.pair)).toString()}`);
+        }
+      },
+    },
+    {
+      name: "twap",
+      description: "initialize and enable the TWAP oracle",
+      done: async () => {
+        if (!(await priceOracle.read.useTWAP())) return false;
+        for (const seed of plan.liquidity) {
+          if (!(await twapOracle.read.isTWAPReady([addresses[seed.pair]]))) return false;
+        }
+        return "TWAP enabled and ready";
+      },
+      run: async () => {
+        const pairs = plan.liquidity.map((seed) => addresses[seed.pair]);
+        console.log("   -> Taking first TWAP observation...");
+        for (const pair of pairs) {
+          await twapOracle.write.updateIfNeeded([pair], { account: owner.account });
+        }
+        // TWAP requires 30 min between observations
+        console.log("   -> Advancing time by 31 minutes...");
+        await rpc("evm_increaseTime", [31 * 60]);
+        await rpc("evm_mine");
+        console.log("   -> Taking second TWAP observation...");
+        for (const pair of pairs) {
+          await twapOracle.write.updateIfNeeded([pair], { account: owner.account });
+        }
+        console.log("   -> Enabling TWAP...");
+        await priceOracle.write.setUseTWAP([true], { account: owner.account });
+      },
+    },
+    {
+      name: "vaults",
+      description: "seed the stBTD/stBTB vaults",
+      done: async () => {
+        for (const vault of Object.keys(plan.vaults)) {
+          if ((await contracts[vault].read.totalSupply()) === 0n) return false;
+        }
+        return "vaults have supply";
+      },
+      run: async () => {
+        for (const [vault, amount] of Object.entries(plan.vaults)) {
+          if ((await contracts[vault].read.totalSupply()) > 0n) {
+            console.log(`   skip ${vault} already has supply`);
+            continue;
+          }
+          const asset = vault.slice(2);
+          const assetArtifact = `contracts/${asset}.sol/${asset}.json`;
+          await write(assetArtifact, addresses[asset], "mint", [ownerAddress, amount]);
+          await write(assetArtifact, addresses[asset], "approve", [addresses[vault], amount]);
+          await write(`contracts/${vault}.sol/${vault}.json`, addresses[vault], "deposit", [amount, ownerAddress]);
+          console.log(`   ✓ ${vault} seeded with ${amount.toString()}`);
+        }
+      },
+    },
+    {
+      // addPools is atomic: either no pools or all of them exist
+      name: "pools",
+      description: "configure FarmingPool pools",
+      done: async () => {
+        const length = await farming.read.poolLength();
+        if (length === 0n) return false;
+        if (length !== BigInt(plan.pools.length)) {
+          console.log(`   ⚠️  FarmingPool has ${length} pools, profile "${plan.name}" defines ${plan.pools.length}`);
+        }
+        return `${length} pools configured`;
+      },
+      run: async () => {
+        // pid order follows the profile; PoolKind: 0 Single, 1 LP
+        await farming.write.addPools(
+          [
+            plan.pools.map((pool) => contracts[pool.token].address),
+            plan.pools.map((pool) => BigInt(pool.allocPoint)),
+            plan.pools.map((pool) => pool.kind),
+          ],
+          { account: owner.account }
+        );
+      },
+    },
+    {
+      name: "stakes",
+      description: "seed staking for pools",
+      done: async () => {
+        for (const pool of plan.pools) {
+          if (pool.stake !== null && (await stakedIn(pool.pid)) === 0n) return false;
+        }
+        return "every seeded pool has a stake";
+      },
+      run: async () => {
+        const failed = [];
+        for (const pool of plan.pools) {
+          if (pool.stake === null) continue;
+          if ((await stakedIn(pool.pid)) > 0n) {
+            console.log(`   skip pool ${pool.pid} (${pool.token}) already staked`);
+            continue;
+          }
+          // LP pools stake the LP the owner holds
+          const amount = pool.kind === 1 ? await balanceOf(pool.token) : pool.stake;
+          try {
+            await contracts[pool.token].write.approve([farming.address, amount], { account: owner.account });
+            await farming.write.deposit([BigInt(pool.pid), amount], { account: owner.account });
+            console.log(`   ✓ pool ${pool.pid} (${pool.token}) staked ${amount.toString()}`);
+          } catch (err) {
+            console.log(`   ⚠️  pool ${pool.pid} (${pool.token}) stake failed: ${err.shortMessage || err.message || err}`);
+            failed.push(pool.pid);
+          }
+        }
+        if (failed.length > 0) throw new Error(`stake failed for pool(s) ${failed.join(", ")}`);
+      },
+    },
+    {
+      // Recipients may spend what they got, so a completed run is taken from the checkpoint;
+      // otherwise each recipient/token pair already at its amount is skipped
+      name: "recipients",
+      description: `distribute test tokens to ${plan.recipients.length} recipient(s)`,
+      done: async ({ checkpointed }) => {
+        if (plan.recipients.length === 0) return "no recipients";
+        if (checkpointed) return "funded in an earlier run";
+        for (const recipient of plan.recipients) {
+          for (const [token, amount] of Object.entries(plan.recipientAmounts)) {
+            if ((await recipientBalance(token, recipient)) < amount) return false;
+          }
+        }
+        return "every recipient holds its amounts";
+      },
+      run: async () => {
+        for (const recipient of plan.recipients) {
+          const sent = [];
+          for (const [token, amount] of Object.entries(plan.recipientAmounts)) {
+            if ((await recipientBalance(token, recipient)) >= amount) continue;
+            if (token === "ETH") {
+              // Send native ETH instead of WETH
+              await owner.sendTransaction({ to: recipient, value: amount });
+            } else {
+              await contracts[token].write.transfer([recipient, amount], { account: owner.account });
+            }
+            sent.push(`${profile.recipientAmounts[token]} ${token}`);
+          }
+          console.log(`   ${sent.length > 0 ? `✓ ${recipient}: ${sent.join(", ")}` : `skip ${recipient} already funded`}`);
+        }
+      },
+    },
+    {
+      name: "marketMaker",
+      description: `fund the market-maker inventory at ${marketMakerAddress}`,
+      done: async () => {
+        for (const [token, amount] of Object.entries(plan.marketMaker)) {
+          if ((await balanceOf(token, marketMakerAddress)) < amount) return false;
+        }
+        return Object.keys(plan.marketMaker).length === 0 ? "no market-maker inventory" : "inventory funded";
+      },
+      run: async () => {
+        // Top up to the profile amounts, so a rerun never funds twice
+        for (const [token, amount] of Object.entries(plan.marketMaker)) {
+          const shortfall = amount - (await balanceOf(token, marketMakerAddress));
+          if (shortfall <= 0n) continue;
+          if (tokenAbis[token]) {
+            await write(`contracts/${token}.sol/${token}.json`, addresses[token], "mint", [marketMakerAddress, shortfall]);
+          } else {
+            await contracts[token].write.transfer([marketMakerAddress, shortfall], { account: owner.account });
+          }
+          console.log(`   ✓ ${token} +${shortfall.toString()}`);
+        }
+      },
+    },
   ];
-  const wbtcAmount = parseUnits("1000", 8);        // 1000 WBTC
-  const usdcAmount = parseUnits("100000000", 6);   // 100M USDC
-  const usdtAmount = parseUnits("100000000", 6);   // 100M USDT
-  const ethAmount = parseEther("1000");            // 1000 ETH
-
-  for (const recipient of testRecipients) {
-    await wbtc.write.transfer([recipient, wbtcAmount], { account: owner.account });
-    await usdc.write.transfer([recipient, usdcAmount], { account: owner.account });
-    await usdt.write.transfer([recipient, usdtAmount], { account: owner.account });
-    // Send native ETH instead of WETH
-    await owner.sendTransaction({ to: recipient, value: ethAmount });
-    console.log(`   ✓ ${recipient}: 1000 WBTC, 100M USDC, 100M USDT, 1000 ETH`);
-  }
 
+  // BRS rewards are funded by the Ignition deployment (2.1B BRS transferred to FarmingPool)
+  await runSteps(steps, {
+    checkpointFile: CHECKPOINT_FILE,
+    marker: addresses.FarmingPool,
+    fromStep: DEFAULTS.fromStep,
+    onlyStep: DEFAULTS.onlyStep,
+    extra: { profile: plan.name },
+  });
   console.log("✅ init done");
 }
 
@@ -0,0 +1,252 @@
+/**
+ * Market Maker Daemon
+ *
+ * Holds BTD/USDC, BTB/BTD and BRS/BTD at configurable targets on the local network
+ * (see scripts/lib/market-maker.mjs for the target modes). Each cycle reads the pairs,
+ * swaps any pair outside its band back to target through UniswapV2Pair.swap using the
+ * maker's own inventory, and reports inventory and PnL. BTB and BRS prices feed the
+ * InterestPool rate curves, so this keeps them controlled during local runs.
+ *
+ * Run: node scripts/main/market-maker.mjs [--config mm.json]
+ *
+ * Options:
+ *   --config <file>    JSON overrides, e.g. { "pairs": { "BTB/BTD": { "discountBps": 300 }, "BRS/BTD": null } }
+ *   --interval <ms>    Delay between cycles (default: 5000)
+ *   --report-every <n> Print inventory and PnL every n cycles (default: 12)
+ *   --once             Run a single cycle and exit
+ *   --json             One JSON line per event (start, mm_trade, mm_skip, mm_inventory, error, shutdown)
+ *
+ * Trades are signed with MM_PRIVATE_KEY (default: Hardhat account #4, which no other script
+ * signs with). init-full-system funds its BTD/BTB/USDC/BRS inventory from the profile's
+ * marketMaker amounts. Pairs the inventory cannot move are reported, not forced.
+ */
+
+import { createPublicClient, createWalletClient, formatUnits, http } from "viem";
+import { privateKeyToAccount } from "viem/accounts";
+import {
+  computePnl,
+  createTargets,
+  erc20Abi,
+  executeTrade,
+  loadMarketMakerConfig,
+  markPrices,
+  planTrade,
+  readIUSD,
+  readPairState,
+} from "../lib/market-maker.mjs";
+import { getNetwork, loadAddresses } from "../lib/network.mjs";
+import { createJsonLogger } from "../lib/output.mjs";
+import { revertReason } from "../lib/revert.mjs";
+
+// Hardhat default account #4 (price-sync uses #0 and the guardian keeper #3, so nonces never clash)
+const MM_PRIVATE_KEY =
+  process.env.MM_PRIVATE_KEY || "0x47e179ec197488593b187f80a00eb0da91f1b9d0b13f8733639f19c30a34926a";
+
+const args = process.argv.slice(2);
+let configFile = null;
+let intervalMs = 5000;
+let reportEvery = 12;
+let once = false;
+let jsonMode = false;
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--config" && args[i + 1]) {
+    configFile = args[i + 1];
+  }
+  if (args[i] === "--interval" && args[i + 1]) {
+    intervalMs = parseInt(args[i + 1]);
+  }
+  if (args[i] === "--report-every" && args[i + 1]) {
+    reportEvery = parseInt(args[i + 1]);
+  }
+  if (args[i] === "--once") {
+    once = true;
+  }
+  if (args[i] === "--json") {
+    jsonMode = true;
+  }
+}
+
+const emit = jsonMode ? createJsonLogger() : null;
+const say = (...parts) => {
+  if (!emit) console.log(...parts);
+};
+
+let running = true;
+
+const fmt = (value, decimals = 18, digits = 6) =>
+  value === null ? "n/a" : Number(formatUnits(value, decimals)).toLocaleString("en-US", { maximumFractionDigits: digits });
+const usd = (value) => `${value < 0n ? "-" : ""}$${fmt(value < 0n ? -value : value, 18, 2)}`;
+
+async function main() {
+  const pairs = loadMarketMakerConfig(configFile);
+  const network = getNetwork("local");
+  const addr = loadAddresses(network);
+  const transport = http(network.rpcUrl(), { timeout: 60000 });
+  const client = createPublicClient({ chain: network.chain, transport });
+  const wallet = createWalletClient({ account: privateKeyToAccount(MM_PRIVATE_KEY), chain: network.chain, transport });
+  const ctx = { client, wallet, addr };
+
+  for (const config of Object.values(pairs)) {
+    if (!addr[config.pair]) throw new Error(`${config.pair} is not in the deployment`);
+  }
+  const symbols = [...new Set(Object.values(pairs).flatMap((config) => [config.base, config.quote]))];
+  const decimals = {};
+  for (const symbol of symbols) {
+    decimals[symbol] = Number(await client.readContract({ address: addr[symbol], abi: erc20Abi, functionName: "decimals" }));
+  }
+
+  const readBalances = async () => {
+    const balances = {};
+    for (const symbol of symbols) {
+      balances[symbol] = await client.readContract({
+        address: addr[symbol],
+        abi: erc20Abi,
+        functionName: "balanceOf",
+        args: [wallet.account.address],
+      });
+    }
+    return balances;
+  };
+  const readStates = async () => {
+    const states = {};
+    for (const [label, config] of Object.entries(pairs)) {
+      states[label] = await readPairState(client, addr, config, decimals);
+    }
+    return states;
+  };
+
+  const initialStates = await readStates();
+  const initial = {
+    balances: await readBalances(),
+    marks: markPrices(initialStates),
+  };
+  if (Object.values(initial.balances).every((balance) => balance === 0n)) {
+    say(`⚠ ${wallet.account.address} holds no inventory - run init-full-system (marketMaker step) or fund it`);
+  }
+  const targets = createTargets(
+    pairs,
+    Object.fromEntries(Object.entries(initialStates).map(([label, state]) => [label, state.price]))
+  );
+
+  const reportInventory = async (cycle) => {
+    const states = await readStates();
+    const current = { balances: await readBalances() };
+    const marks = markPrices(states);
+    const pnl = computePnl(initial, current, marks, decimals);
+    if (emit) {
+      emit("mm_inventory", await client.getBlockNumber(), {
+        cycle,
+        balances: Object.fromEntries(symbols.map((symbol) => [symbol, formatUnits(current.balances[symbol], decimals[symbol])])),
+        marks: Object.fromEntries(Object.entries(marks).map(([symbol, mark]) => [symbol, mark === null ? null : formatUnits(mark, 18)])),
+        value: formatUnits(pnl.value, 18),
+        totalPnl: formatUnits(pnl.totalPnl, 18),
+        tradingPnl: formatUnits(pnl.tradingPnl, 18),
+      });
+      return;
+    }
+    console.log(`💼 Inventory after cycle ${cycle}:`);
+    for (const symbol of symbols) {
+      const change = current.balances[symbol] - initial.balances[symbol];
+      const sign = change < 0n ? "-" : "+";
+      console.log(
+        `   ${symbol.padEnd(5)} ${fmt(current.balances[symbol], decimals[symbol]).padStart(22)}  (${sign}${fmt(change < 0n ? -change : change, decimals[symbol])})  @ ${marks[symbol] === null ? "n/a" : `$${fmt(marks[symbol], 18, 4)}`}`
+      );
+    }
+    console.log(`   Value ${usd(pnl.value)} | PnL ${usd(pnl.totalPnl)} since start, ${usd(pnl.tradingPnl)} vs holding`);
+    console.log("");
+  };
+
+  say("🤖 Market Maker Started");
+  say("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+  say(`   Account: ${wallet.account.address}`);
+  for (const [label, config] of Object.entries(pairs)) {
+    const detail =
+      config.target === "discount" ? ` ${config.discountBps / 100}% below par`
+        : config.target === "fixed" ? ` ${config.price}`
+          : config.target === "randomWalk" ? ` σ ${config.volatilityBps / 100}%/cycle in [${config.min}, ${config.max}]`
+            : "";
+    say(`   ${label.padEnd(9)} ${config.target}${detail} ±${config.bandBps / 100}%`);
+  }
+  say("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+  say("");
+  emit?.("start", await client.getBlockNumber(), {
+    account: wallet.account.address,
+    pairs: Object.values(pairs),
+    intervalMs,
+  });
+
+  for (let cycle = 1; running; cycle++) {
+    try {
+      const iusd = await readIUSD(client, addr);
+      const cycleTargets = targets.next(iusd);
+      const balances = await readBalances();
+
+      for (const [label, config] of Object.entries(pairs)) {
+        const state = await readPairState(client, addr, config, decimals);
+        const target = cycleTargets[label];
+        const trade = planTrade(state, target, config, decimals, balances);
+        if (!trade) continue;
+
+        const priceText = `${fmt(state.price, 18, 6)} → ${fmt(target, 18, 6)} ${config.quote}`;
+        if (trade.amountIn === 0n || trade.amountOut === 0n) {
+          if (emit) {
+            emit("mm_skip", null, { cycle, pair: label, reason: `no ${trade.tokenIn} inventory`, price: formatUnits(state.price, 18), target: formatUnits(target, 18) });
+          } else {
+            console.log(`⚠️  ${label} ${priceText}: no ${trade.tokenIn} inventory, skipped`);
+          }
+          continue;
+        }
+
+        const receipt = await executeTrade(ctx, state, trade);
+        balances[trade.tokenIn] -= trade.amountIn;
+        balances[trade.tokenOut] += trade.amountOut;
+        const after = await readPairState(client, addr, config, decimals);
+        if (emit) {
+          emit("mm_trade", receipt.blockNumber, {
+            cycle,
+            pair: label,
+            side: trade.side,
+            deviationBps: trade.deviationBps,
+            tokenIn: trade.tokenIn,
+            amountIn: formatUnits(trade.amountIn, decimals[trade.tokenIn]),
+            tokenOut: trade.tokenOut,
+            amountOut: formatUnits(trade.amountOut, decimals[trade.tokenOut]),
+            clipped: trade.clipped,
+            priceBefore: formatUnits(state.price, 18),
+            priceAfter: formatUnits(after.price, 18),
+            target: formatUnits(target, 18),
+          });
+        } else {
+          const clipped = trade.clipped ? " (clipped to inventory)" : "";
+          console.log(
+            `${trade.side === "buy" ? "📈" : "📉"} ${label} ${priceText}: ${trade.side} ${fmt(trade.side === "buy" ? trade.amountOut : trade.amountIn, decimals[config.base])} ${config.base} for ${fmt(trade.side === "buy" ? trade.amountIn : trade.amountOut, decimals[config.quote])} ${config.quote}, now ${fmt(after.price, 18, 6)}${clipped}`
+          );
+        }
+      }
+
+      if (once || cycle % reportEvery === 0) await reportInventory(cycle);
+    } catch (error) {
+      if (emit) emit("error", null, { cycle, message: revertReason(error) });
+      else console.error(`❌ Cycle ${cycle}: ${revertReason(error)}`);
+    }
+
+    if (once) break;
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
+
+function shutdown() {
+  say("\n🛑 Shutting down Market Maker...");
+  emit?.("shutdown", null, {});
+  running = false;
+  process.exit(0);
+}
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
+
+main().catch((error) => {
+  if (emit) emit("error", null, { stage: "fatal", message: error.shortMessage || error.message });
+  else console.error(error);
+  process.exitCode = 1;
+});
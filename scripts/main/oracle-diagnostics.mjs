@@ -0,0 +1,125 @@
+/**
+ * Oracle Diagnostics
+ *
+ * Explains why PriceOracle.getWBTCPrice() reverts (or shows that it would not):
+ * reads Chainlink WBTC/BTC and BTC/USD, Pyth, the WBTC/USDC TWAP and spot price
+ * separately, prints their ages and deviations against the contract limits and
+ * replays the contract's checks to name the one that fails.
+ *
+ * Run: node scripts/main/oracle-diagnostics.mjs [--network sepolia]
+ *
+ * Options:
+ *   --network <name>  local (default) or sepolia
+ *   --block <n>       Diagnose an earlier block (needs an archive RPC on Sepolia)
+ *   --json            Print the diagnosis as JSON
+ *
+ * Exits with 1 when getWBTCPrice() is expected to revert.
+ */
+
+import { createPublicClient, formatUnits, http } from "viem";
+import { LIMITS, diagnoseOracle, formatUsd, readOracleInputs } from "../lib/oracle-diagnostics.mjs";
+import { getNetwork, loadAddresses } from "../lib/network.mjs";
+
+const args = process.argv.slice(2);
+let networkName = "local";
+let blockNumber = null;
+let jsonMode = false;
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--network" && args[i + 1]) {
+    networkName = args[i + 1];
+  }
+  if (args[i] === "--block" && args[i + 1]) {
+    blockNumber = BigInt(args[i + 1]);
+  }
+  if (args[i] === "--json") {
+    jsonMode = true;
+  }
+}
+
+const replacer = (_key, value) => (typeof value === "bigint" ? value.toString() : value);
+
+const age = (seconds) => (seconds >= 120 ? `${Math.floor(seconds / 60)} min` : `${seconds}s`);
+
+async function main() {
+  const network = getNetwork(networkName);
+  const addr = loadAddresses(network);
+  const client = createPublicClient({
+    chain: network.chain,
+    transport: http(network.rpcUrl(), { timeout: 60000 }),
+  });
+
+  const inputs = await readOracleInputs(client, addr, blockNumber ?? (await client.getBlockNumber()));
+  const diagnosis = diagnoseOracle(inputs);
+  process.exitCode = diagnosis.verdict ? 1 : 0;
+
+  if (jsonMode) {
+    console.log(JSON.stringify({ network: network.name, ...inputs, ...diagnosis }, replacer, 2));
+    return;
+  }
+
+  const { chainlinkWbtcBtc: wbtcBtc, chainlinkBtcUsd: btcUsd, pyth, pool } = inputs;
+  const problems = new Map(diagnosis.steps.map((s) => [s.name, s.reason]));
+  const mark = (name) => (problems.get(name) ? `✗ ${problems.get(name)}` : "✓");
+
+  console.log(`Oracle diagnostics on ${network.label} at block #${inputs.block} (${new Date(inputs.timestamp * 1000).toLocaleString()})`);
+  console.log(`maxDeviationBps ${inputs.maxDeviationBps}, TWAP ${inputs.useTWAP ? "enabled" : "disabled (spot price used)"}`);
+  console.log();
+
+  console.log("Sources");
+  console.log("-".repeat(70));
+  const row = (label, value, detail, status = "") =>
+    console.log(`  ${label.padEnd(20)} ${value.padEnd(18)} ${detail.padEnd(34)} ${status}`);
+  const feedRow = (label, feed, value) =>
+    feed.error
+      ? row(label, "n/a", "", `✗ ${feed.error}`)
+      : row(label, value(feed), `updated ${age(feed.age)} ago (max ${age(LIMITS.chainlinkMaxStaleness)})`, mark(label));
+  feedRow("Chainlink WBTC/BTC", wbtcBtc, (feed) => Number(formatUnits(feed.price ?? 0n, 18)).toFixed(6));
+  feedRow("Chainlink BTC/USD", btcUsd, (feed) => formatUsd(feed.price));
+  row("Chainlink WBTC/USD", formatUsd(diagnosis.prices.chainlink), "WBTC/BTC x BTC/USD");
+  if (pyth.error) {
+    row("Pyth WBTC/USD", "n/a", "", `✗ ${pyth.error}`);
+  } else {
+    row(
+      "Pyth WBTC/USD",
+      formatUsd(pyth.price),
+      `± ${formatUsd(pyth.confPrice)} (${pyth.confBps} bps), ${age(pyth.age)} old`,
+      mark("Pyth WBTC/USD")
+    );
+    console.log(`  ${"".padEnd(20)} publishTime ${pyth.publishTime}, max age ${LIMITS.pythMaxStaleness}s, max conf ${Number(10000n / LIMITS.pythMaxConfRatio)} bps`);
+  }
+  if (pool.error) {
+    row("Uniswap WBTC/USDC", "n/a", "", `✗ ${pool.error}`);
+  } else {
+    const twapDetail = pool.twap.error ?? (pool.twap.ready ? "getTWAP, window >= 30 min" : "not ready");
+    row("Uniswap TWAP", formatUsd(pool.twap.price), twapDetail, inputs.useTWAP ? "(used)" : "");
+    row("Uniswap spot", formatUsd(pool.spot), `reserves ${formatUnits(pool.reserveWbtc, 8)} WBTC`, inputs.useTWAP ? "" : "(used)");
+  }
+  row("Reference", formatUsd(diagnosis.prices.reference), "(Chainlink + Pyth) / 2");
+  console.log();
+
+  console.log(`Deviations (limit ${inputs.maxDeviationBps} bps, relative to the first source)`);
+  console.log("-".repeat(70));
+  for (const d of diagnosis.deviations) {
+    console.log(`  ${`${d.a} vs ${d.b}`.padEnd(24)} ${String(d.bps).padStart(6)} bps  ${d.withinLimit ? "✓" : "✗"}`);
+  }
+  console.log();
+
+  console.log("getWBTCPrice() checks, in contract order");
+  console.log("-".repeat(70));
+  for (const s of diagnosis.steps) {
+    console.log(`  ${s.ok ? "✓" : "✗"} ${s.name.padEnd(28)} ${s.detail ?? ""}${s.ok ? "" : `  → "${s.reason}"`}`);
+  }
+  console.log();
+
+  const onChain = inputs.actual.error ? `reverts with "${inputs.actual.error}"` : `returns ${formatUsd(inputs.actual.price)}`;
+  if (diagnosis.verdict) {
+    console.log(`Verdict: getWBTCPrice() fails at "${diagnosis.verdict}" (on-chain call ${onChain})`);
+  } else {
+    console.log(`Verdict: all checks pass (on-chain call ${onChain})`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -4,19 +4,44 @@
  * Monitors Uniswap DEX prices and syncs mock oracle prices to match.
  * This ensures the oracle price deviation check passes during local development.
  *
- * Usage: node scripts/main/price-sync.mjs
+ * Usage: node scripts/main/price-sync.mjs [--json]
+ *        node scripts/main/price-sync.mjs --replay btc-2020-2022.csv [--time-scale 24] [--step-delay 500]
+ *        node scripts/main/price-sync.mjs --faults scripts/main/oracle-faults.example.json [--report faults.json]
  *
  * Features:
  * - Monitors WBTC/USDC pair price on Uniswap
- * - Updates Chainlink, Pyth, and Redstone mock oracles
+ * - Updates Chainlink, Pyth, and Redstone mock oracles atomically in one block (scripts/lib/atomic-block.mjs)
  * - Runs continuously with configurable polling interval
  * - Graceful shutdown on SIGINT/SIGTERM
+ * - --json: one JSON line per event (start, oracle_update, replay_step, replay_done, fault_result,
+ *   faults_done, error, shutdown)
+ *
+ * Replay mode (--replay <file>):
+ * Walks a historical (timestamp, price) series from CSV or JSON (see scripts/lib/price-series.mjs).
+ * For each point it swaps the WBTC/USDC pair to the price with real swaps from the owner's
+ * inventory, sets Chainlink BTC/USD and Pyth, then advances chain time to the next point so the
+ * TWAP follows. TWAP observations and InterestPool rates are refreshed after every step and CR,
+ * oracle price and rates are reported. --time-scale divides the gaps between points (24 turns
+ * daily closes into hourly steps); --step-delay pauses between steps in real milliseconds.
+ *
+ * Fault-injection mode (--faults <file>):
+ * Syncs the oracles to the pool once, then runs each scenario from the file (see
+ * scripts/lib/oracle-faults.mjs) inside an evm_snapshot: Chainlink/Pyth divergence, frozen
+ * feeds, zero or negative answers, WBTC/BTC depeg. Every PriceOracle getter is called and its
+ * value or revert reason recorded; the snapshot is reverted before the next scenario.
+ * --report writes all results as JSON. Exits non-zero if a scenario's `expect` is not met.
  */
 
-import { createPublicClient, createWalletClient, http, parseAbi } from 'viem';
+import { createPublicClient, createWalletClient, formatUnits, http, parseAbi } from 'viem';
 import { hardhat } from 'viem/chains';
 import { privateKeyToAccount } from 'viem/accounts';
 import fs from 'fs';
+import { swapToRatio } from '../lib/amm.mjs';
+import { sendInOneBlock } from '../lib/atomic-block.mjs';
+import { readCollateralSnapshot } from '../lib/collateral.mjs';
+import { applyFault, checkExpectations, loadFaultScenarios, probeOracle } from '../lib/oracle-faults.mjs';
+import { createJsonLogger } from '../lib/output.mjs';
+import { loadPriceSeries } from '../lib/price-series.mjs';
 
 // Configuration
 const POLL_INTERVAL_MS = 3000;  // Check price every 3 seconds
@@ -24,6 +49,21 @@ const PRICE_CHANGE_THRESHOLD = 0.001;  // 0.1% change triggers update
 const RPC_URL = process.env.RPC_URL || 'http://localhost:8545';
 const DEPLOYMENT_FILE = './ignition/deployments/chain-31337/deployed_addresses.json';
 
+// JSON-lines output replaces the console log when --json is passed
+const emit = process.argv.includes('--json') ? createJsonLogger() : null;
+const argValue = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+const REPLAY_FILE = argValue('--replay');
+const TIME_SCALE = Number(argValue('--time-scale') || 1);
+const STEP_DELAY_MS = Number(argValue('--step-delay') || 0);
+const FAULTS_FILE = argValue('--faults');
+const REPORT_FILE = argValue('--report');
+const say = (...parts) => {
+  if (!emit) console.log(...parts);
+};
+
 // Hardhat default account #0 private key
 const OWNER_PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
 
@@ -50,13 +90,31 @@ const redstoneAbi = parseAbi([
 ]);
 
 const oracleAbi = parseAbi([
-  'function getWBTCPrice() view returns (uint256)'
+  'function getWBTCPrice() view returns (uint256)',
+  'function getBTDPrice() view returns (uint256)',
+  'function updateTWAPAll()'
+]);
+
+const swapPairAbi = parseAbi([
+  'function swap(uint256 amount0Out, uint256 amount1Out, address to, bytes data)'
+]);
+
+const erc20Abi = parseAbi([
+  'function balanceOf(address account) view returns (uint256)',
+  'function transfer(address to, uint256 amount) returns (bool)'
+]);
+
+const interestPoolAbi = parseAbi([
+  'function btdPool() view returns (address token, uint256 totalStaked, uint256 accInterestPerShare, uint256 lastAccrual, uint256 annualRateBps)',
+  'function btbPool() view returns (address token, uint256 totalStaked, uint256 accInterestPerShare, uint256 lastAccrual, uint256 annualRateBps)',
+  'function tryUpdateRates() returns (bool btdUpdated, bool btbUpdated)'
 ]);
 
 // State
 let lastPrice = 0n;
 let isRunning = true;
 let updateCount = 0;
+let lastSyncBlock = null;
 
 // Clients
 const publicClient = createPublicClient({
@@ -74,8 +132,12 @@ const walletClient = createWalletClient({
 // Load deployment addresses
 function loadAddresses() {
   if (!fs.existsSync(DEPLOYMENT_FILE)) {
-    console.error('❌ Deployment file not found:', DEPLOYMENT_FILE);
-    console.error('   Please deploy contracts first.');
+    if (emit) {
+      emit('error', null, { stage: 'startup', message: `Deployment file not found: ${DEPLOYMENT_FILE}` });
+    } else {
+      console.error('❌ Deployment file not found:', DEPLOYMENT_FILE);
+      console.error('   Please deploy contracts first.');
+    }
     process.exit(1);
   }
   return JSON.parse(fs.readFileSync(DEPLOYMENT_FILE, 'utf8'));
@@ -131,43 +193,33 @@ async function updateOracles(addresses, priceUSD) {
   const redstonePrice = priceUSD;
   const REDSTONE_FEED_ID = '0x52454453544f4e455f5754424300000000000000000000000000000000000000';
 
-  try {
-    // Update Chainlink BTC/USD
-    await walletClient.writeContract({
-      address: chainlinkBtcUsd,
-      abi: chainlinkAbi,
-      functionName: 'setAnswer',
-      args: [chainlinkPrice]
-    });
-
-    // Update Chainlink WBTC/BTC (keep at 1.0)
-    await walletClient.writeContract({
-      address: chainlinkWbtcBtc,
-      abi: chainlinkAbi,
-      functionName: 'setAnswer',
-      args: [100000000n]  // 1.0 with 8 decimals
-    });
-
-    // Update Pyth
-    await walletClient.writeContract({
-      address: mockPyth,
-      abi: pythAbi,
-      functionName: 'setPrice',
-      args: [PYTH_PRICE_ID, pythPrice, -8]
-    });
+  const updates = [
+    // Chainlink BTC/USD
+    { address: chainlinkBtcUsd, abi: chainlinkAbi, functionName: 'setAnswer', args: [chainlinkPrice] },
+    // Chainlink WBTC/BTC (keep at 1.0 with 8 decimals)
+    { address: chainlinkWbtcBtc, abi: chainlinkAbi, functionName: 'setAnswer', args: [100000000n] },
+    // Pyth
+    { address: mockPyth, abi: pythAbi, functionName: 'setPrice', args: [PYTH_PRICE_ID, pythPrice, -8] }
+  ];
+  // Redstone (not part of every deployment)
+  if (mockRedstone) {
+    updates.push({ address: mockRedstone, abi: redstoneAbi, functionName: 'setValue', args: [REDSTONE_FEED_ID, redstonePrice] });
+  }
 
-    // Update Redstone
-    await walletClient.writeContract({
-      address: mockRedstone,
-      abi: redstoneAbi,
-      functionName: 'setValue',
-      args: [REDSTONE_FEED_ID, redstonePrice]
-    });
+  try {
+    // All feeds move in the same block so PriceOracle never sees them diverged
+    const batch = await sendInOneBlock(publicClient, walletClient, updates);
+    lastSyncBlock = batch.blockNumber;
+    if (!batch.atomic) {
+      if (emit) emit('error', batch.blockNumber, { stage: 'update', message: `Oracle updates split across blocks ${batch.blocks.join(', ')}` });
+      else console.warn(`⚠️  Oracle updates split across blocks ${batch.blocks.join(', ')}`);
+    }
 
     updateCount++;
     return true;
   } catch (e) {
-    console.error('❌ Error updating oracles:', e.shortMessage || e.message);
+    if (emit) emit('error', await publicClient.getBlockNumber().catch(() => null), { stage: 'update', message: e.shortMessage || e.message });
+    else console.error('❌ Error updating oracles:', e.shortMessage || e.message);
     return false;
   }
 }
@@ -201,35 +253,311 @@ function priceChangePercent(oldPrice, newPrice) {
   return Math.abs(Number(newPrice - oldPrice) / Number(oldPrice) * 100);
 }
 
+// Emit one oracle_update record (JSON mode only)
+async function emitUpdate(previousPrice, dexPrice, success, oraclePrice) {
+  emit('oracle_update', lastSyncBlock ?? await publicClient.getBlockNumber().catch(() => null), {
+    syncBlock: success ? lastSyncBlock : null,
+    dexPrice: formatUnits(dexPrice, 18),
+    previousPrice: previousPrice === 0n ? null : formatUnits(previousPrice, 18),
+    changePct: priceChangePercent(previousPrice, dexPrice),
+    success,
+    oraclePrice: oraclePrice ? formatUnits(oraclePrice, 18) : null,
+    updates: updateCount
+  });
+}
+
+// Send a transaction and wait for it so replay steps never overlap
+async function send(request) {
+  const hash = await walletClient.writeContract(request);
+  return publicClient.waitForTransactionReceipt({ hash });
+}
+
+// Move the WBTC/USDC pair to priceUSD (18 decimals) with a real swap from the owner's inventory
+async function swapToPrice(addresses, priceUSD) {
+  const pairAddr = addresses['FullSystemLocal#PairWBTCUSDC'];
+  const wbtcAddr = addresses['FullSystemLocal#WBTC'];
+  const usdcAddr = addresses['FullSystemLocal#USDC'];
+
+  const [[reserve0, reserve1], token0] = await Promise.all([
+    publicClient.readContract({ address: pairAddr, abi: pairAbi, functionName: 'getReserves' }),
+    publicClient.readContract({ address: pairAddr, abi: pairAbi, functionName: 'token0' })
+  ]);
+  const wbtcIsToken0 = token0.toLowerCase() === wbtcAddr.toLowerCase();
+  const reserveWbtc = wbtcIsToken0 ? reserve0 : reserve1;
+  const reserveUsdc = wbtcIsToken0 ? reserve1 : reserve0;
+
+  // Raw reserve ratio USDC/WBTC = priceUSD * 1e6 / (1e8 * 1e18) = priceUSD / 1e20
+  const PRICE_SCALE = 10n ** 20n;
+  const buyWbtc = reserveUsdc * PRICE_SCALE < priceUSD * reserveWbtc;
+  const { amountIn, amountOut } = buyWbtc
+    ? swapToRatio(reserveUsdc, reserveWbtc, priceUSD, PRICE_SCALE)
+    : swapToRatio(reserveWbtc, reserveUsdc, PRICE_SCALE, priceUSD);
+  if (amountIn === 0n || amountOut === 0n) return null;
+
+  const tokenIn = buyWbtc ? usdcAddr : wbtcAddr;
+  const symbolIn = buyWbtc ? 'USDC' : 'WBTC';
+  const balance = await publicClient.readContract({
+    address: tokenIn,
+    abi: erc20Abi,
+    functionName: 'balanceOf',
+    args: [account.address]
+  });
+  if (balance < amountIn) {
+    throw new Error(`Insufficient ${symbolIn} inventory: need ${amountIn}, have ${balance}`);
+  }
+
+  // WBTC leaves the pool when buying it, USDC otherwise
+  const wbtcOut = buyWbtc ? amountOut : 0n;
+  const usdcOut = buyWbtc ? 0n : amountOut;
+  await send({ address: tokenIn, abi: erc20Abi, functionName: 'transfer', args: [pairAddr, amountIn] });
+  await send({
+    address: pairAddr,
+    abi: swapPairAbi,
+    functionName: 'swap',
+    args: [wbtcIsToken0 ? wbtcOut : usdcOut, wbtcIsToken0 ? usdcOut : wbtcOut, account.address, '0x']
+  });
+  return { tokenIn: symbolIn, amountIn, amountOut };
+}
+
+async function advanceChainTime(seconds) {
+  if (seconds > 0) await publicClient.request({ method: 'evm_increaseTime', params: [seconds] });
+  await publicClient.request({ method: 'evm_mine', params: [] });
+}
+
+// Permissionless maintenance so TWAP and interest rates follow the replayed price
+async function refreshProtocol(addresses) {
+  const calls = [
+    { address: addresses['FullSystemLocal#PriceOracle'], abi: oracleAbi, functionName: 'updateTWAPAll' },
+    { address: addresses['FullSystemLocal#InterestPool'], abi: interestPoolAbi, functionName: 'tryUpdateRates' }
+  ];
+  for (const call of calls) {
+    try {
+      await send(call);
+    } catch (e) {
+      if (emit) emit('error', null, { stage: call.functionName, message: e.shortMessage || e.message });
+    }
+  }
+}
+
+// Replay a historical price series against the local deployment
+async function replayPrices(file) {
+  const addresses = loadAddresses();
+  const series = loadPriceSeries(file);
+  const addr = Object.fromEntries(
+    Object.entries(addresses).map(([key, value]) => [key.replace('FullSystemLocal#', ''), value])
+  );
+
+  say('⏪ Price Replay Started');
+  say('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  say(`   Series: ${file} (${series.length} points)`);
+  say(`   Range: ${new Date(series[0].timestamp * 1000).toISOString().slice(0, 10)} → ${new Date(series[series.length - 1].timestamp * 1000).toISOString().slice(0, 10)}`);
+  say(`   Time scale: 1/${TIME_SCALE}`);
+  say('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  say('');
+  emit?.('start', await publicClient.getBlockNumber().catch(() => null), {
+    rpc: RPC_URL,
+    mode: 'replay',
+    file,
+    points: series.length,
+    timeScale: TIME_SCALE
+  });
+
+  for (let i = 0; i < series.length && isRunning; i++) {
+    const point = series[i];
+    const next = series[i + 1];
+    const target = BigInt(Math.round(point.price * 1e6)) * 10n ** 12n;
+    const date = new Date(point.timestamp * 1000).toISOString().slice(0, 10);
+
+    try {
+      const swap = await swapToPrice(addresses, target);
+      const poolPrice = await getUniswapPrice(addresses);
+      await updateOracles(addresses, poolPrice);
+      lastPrice = poolPrice;
+
+      // Hold the price until the next point so the 30-minute TWAP catches up
+      const gap = next ? Math.floor((next.timestamp - point.timestamp) / TIME_SCALE) : 0;
+      await advanceChainTime(gap);
+      await refreshProtocol(addresses);
+
+      const [oraclePrice, btdPrice, collateral, btdPool, btbPool, block] = await Promise.all([
+        verifyOraclePrice(addresses),
+        publicClient.readContract({ address: addr.PriceOracle, abi: oracleAbi, functionName: 'getBTDPrice' }).catch(() => null),
+        readCollateralSnapshot(publicClient, addr),
+        publicClient.readContract({ address: addr.InterestPool, abi: interestPoolAbi, functionName: 'btdPool' }).catch(() => null),
+        publicClient.readContract({ address: addr.InterestPool, abi: interestPoolAbi, functionName: 'btbPool' }).catch(() => null),
+        publicClient.getBlock({ blockTag: 'latest' })
+      ]);
+      const btdRateBps = btdPool ? Number(btdPool[4]) : null;
+      const btbRateBps = btbPool ? Number(btbPool[4]) : null;
+
+      if (emit) {
+        emit('replay_step', block.number, {
+          step: i + 1,
+          seriesTime: point.timestamp,
+          chainTime: Number(block.timestamp),
+          targetPrice: point.price,
+          poolPrice: formatUnits(poolPrice, 18),
+          oraclePrice: oraclePrice ? formatUnits(oraclePrice, 18) : null,
+          btdPrice: btdPrice ? formatUnits(btdPrice, 18) : null,
+          swap,
+          cr: collateral.cr === null ? null : formatUnits(collateral.cr, 18),
+          regime: collateral.regime,
+          btdRateBps,
+          btbRateBps
+        });
+      } else {
+        const cr = collateral.cr === null ? 'n/a' : `${(Number(collateral.cr) / 1e16).toFixed(2)}%`;
+        const oracle = oraclePrice ? `$${formatPrice(oraclePrice)}` : 'reverts';
+        const rates = `BTD ${btdRateBps === null ? 'n/a' : (btdRateBps / 100).toFixed(2)}% BTB ${btbRateBps === null ? 'n/a' : (btbRateBps / 100).toFixed(2)}%`;
+        console.log(`📅 ${date}  $${point.price.toLocaleString('en-US')} → pool $${formatPrice(poolPrice)} | oracle ${oracle} | CR ${cr} (${collateral.regime ?? '?'}) | ${rates}`);
+      }
+    } catch (e) {
+      if (emit) emit('error', null, { stage: 'replay', step: i + 1, message: e.shortMessage || e.message });
+      else console.error(`❌ ${date}: ${e.shortMessage || e.message}`);
+    }
+
+    if (STEP_DELAY_MS > 0) await new Promise(resolve => setTimeout(resolve, STEP_DELAY_MS));
+  }
+
+  say('');
+  say(`✅ Replay finished (${updateCount} oracle updates)`);
+  emit?.('replay_done', await publicClient.getBlockNumber().catch(() => null), { points: series.length, updates: updateCount });
+}
+
+// Plain-JSON view of probeOracle results
+function probeJson(results) {
+  return Object.fromEntries(
+    Object.entries(results).map(([getter, result]) => [
+      getter,
+      result.ok ? { ok: true, value: formatUnits(result.value, 18) } : { ok: false, error: result.error }
+    ])
+  );
+}
+
+function printProbe(results) {
+  for (const [getter, result] of Object.entries(results)) {
+    const outcome = result.ok ? `✅ $${formatPrice(result.value)}` : `❌ ${result.error}`;
+    console.log(`   ${getter.padEnd(20)} ${outcome}`);
+  }
+}
+
+// Run each fault scenario in its own snapshot and record which getters revert
+async function injectFaults(file) {
+  const addresses = loadAddresses();
+  const scenarios = loadFaultScenarios(file);
+  const addr = Object.fromEntries(
+    Object.entries(addresses).map(([key, value]) => [key.replace('FullSystemLocal#', ''), value])
+  );
+  const ctx = { publicClient, send, addr };
+
+  say('💥 Oracle Fault Injection');
+  say('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  say(`   Scenarios: ${file} (${scenarios.length})`);
+  say('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  say('');
+  emit?.('start', await publicClient.getBlockNumber().catch(() => null), {
+    rpc: RPC_URL,
+    mode: 'faults',
+    file,
+    scenarios: scenarios.length
+  });
+
+  // Healthy reference point: all feeds agree with the pool
+  const poolPrice = await getUniswapPrice(addresses);
+  await updateOracles(addresses, poolPrice);
+  const baseline = await probeOracle(publicClient, addr.PriceOracle);
+  say(`📊 Baseline (pool $${formatPrice(poolPrice)})`);
+  if (!emit) printProbe(baseline);
+  say('');
+
+  const report = { file, poolPrice: formatUnits(poolPrice, 18), baseline: probeJson(baseline), scenarios: [] };
+  let failedScenarios = 0;
+
+  for (const scenario of scenarios) {
+    const snapshotId = await publicClient.request({ method: 'evm_snapshot', params: [] });
+    let entry;
+    try {
+      const applied = [];
+      for (const fault of scenario.faults) applied.push(await applyFault(ctx, fault));
+      const results = await probeOracle(publicClient, addr.PriceOracle);
+      const failures = checkExpectations(scenario.expect, results);
+      if (failures.length > 0) failedScenarios++;
+      entry = {
+        name: scenario.name,
+        faults: scenario.faults,
+        applied,
+        reverted: Object.keys(results).filter(getter => !results[getter].ok),
+        results: probeJson(results),
+        failures
+      };
+
+      if (!emit) {
+        console.log(`🧪 ${scenario.name}: ${applied.join(', ')}`);
+        printProbe(results);
+        for (const failure of failures) {
+          console.log(`   ⚠️  expected ${failure.getter} → ${failure.expected}, got ${failure.actual}`);
+        }
+        console.log('');
+      }
+    } catch (e) {
+      failedScenarios++;
+      entry = { name: scenario.name, faults: scenario.faults, error: e.shortMessage || e.message };
+      if (!emit) console.error(`❌ ${scenario.name}: ${entry.error}\n`);
+    } finally {
+      await publicClient.request({ method: 'evm_revert', params: [snapshotId] });
+    }
+    report.scenarios.push(entry);
+    emit?.('fault_result', await publicClient.getBlockNumber().catch(() => null), entry);
+  }
+
+  if (REPORT_FILE) {
+    fs.writeFileSync(REPORT_FILE, JSON.stringify(report, null, 2));
+    say(`📝 Report written to ${REPORT_FILE}`);
+  }
+  say(failedScenarios === 0
+    ? `✅ ${scenarios.length} scenarios run, all expectations met`
+    : `⚠️  ${failedScenarios} of ${scenarios.length} scenarios failed or missed expectations`);
+  emit?.('faults_done', null, { scenarios: scenarios.length, failed: failedScenarios });
+  if (failedScenarios > 0) process.exitCode = 1;
+}
+
 // Main monitoring loop
 async function monitorPrices() {
   const addresses = loadAddresses();
 
-  console.log('🔄 Price Sync Service Started');
-  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.log(`   RPC: ${RPC_URL}`);
-  console.log(`   Poll Interval: ${POLL_INTERVAL_MS}ms`);
-  console.log(`   Change Threshold: ${PRICE_CHANGE_THRESHOLD * 100}%`);
-  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.log('');
+  say('🔄 Price Sync Service Started');
+  say('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  say(`   RPC: ${RPC_URL}`);
+  say(`   Poll Interval: ${POLL_INTERVAL_MS}ms`);
+  say(`   Change Threshold: ${PRICE_CHANGE_THRESHOLD * 100}%`);
+  say('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  say('');
+  emit?.('start', await publicClient.getBlockNumber().catch(() => null), {
+    rpc: RPC_URL,
+    pollIntervalMs: POLL_INTERVAL_MS,
+    changeThresholdPct: PRICE_CHANGE_THRESHOLD * 100
+  });
 
   // Initial sync
   try {
     const initialPrice = await getUniswapPrice(addresses);
-    console.log(`📊 Initial DEX price: $${formatPrice(initialPrice)}`);
+    say(`📊 Initial DEX price: $${formatPrice(initialPrice)}`);
 
-    await updateOracles(addresses, initialPrice);
+    const success = await updateOracles(addresses, initialPrice);
     lastPrice = initialPrice;
 
     const oraclePrice = await verifyOraclePrice(addresses);
-    if (oraclePrice) {
-      console.log(`✅ Oracle synced: $${formatPrice(oraclePrice)}`);
+    if (emit) {
+      await emitUpdate(0n, initialPrice, success, oraclePrice);
+    } else if (oraclePrice) {
+      console.log(`✅ Oracle synced: $${formatPrice(oraclePrice)} (block #${lastSyncBlock})`);
     } else {
       console.log('⚠️  Oracle price verification failed');
     }
-    console.log('');
+    say('');
   } catch (e) {
-    console.error('❌ Initial sync failed:', e.message);
+    if (emit) emit('error', null, { stage: 'initial_sync', message: e.shortMessage || e.message });
+    else console.error('❌ Initial sync failed:', e.message);
   }
 
   // Continuous monitoring
@@ -240,21 +568,23 @@ async function monitorPrices() {
 
       if (changePercent >= PRICE_CHANGE_THRESHOLD * 100) {
         const direction = currentPrice > lastPrice ? '📈' : '📉';
-        console.log(`${direction} DEX price changed: $${formatPrice(lastPrice)} → $${formatPrice(currentPrice)} (${changePercent.toFixed(2)}%)`);
+        say(`${direction} DEX price changed: $${formatPrice(lastPrice)} → $${formatPrice(currentPrice)} (${changePercent.toFixed(2)}%)`);
 
         const success = await updateOracles(addresses, currentPrice);
-        if (success) {
-          const oraclePrice = await verifyOraclePrice(addresses);
-          if (oraclePrice) {
-            console.log(`   ✅ Oracles synced (#${updateCount})`);
-          }
+        const oraclePrice = success ? await verifyOraclePrice(addresses) : null;
+        if (emit) {
+          await emitUpdate(lastPrice, currentPrice, success, oraclePrice);
+        } else if (oraclePrice) {
+          console.log(`   ✅ Oracles synced (#${updateCount}) in block #${lastSyncBlock}`);
         }
 
         lastPrice = currentPrice;
       }
     } catch (e) {
-      // Silently handle connection errors during polling
-      if (!e.message.includes('fetch failed')) {
+      // Silently handle connection errors during polling (still recorded in JSON mode)
+      if (emit) {
+        emit('error', null, { stage: 'poll', message: e.shortMessage || e.message });
+      } else if (!e.message.includes('fetch failed')) {
         console.error('⚠️  Poll error:', e.shortMessage || e.message);
       }
     }
@@ -265,8 +595,9 @@ async function monitorPrices() {
 
 // Graceful shutdown
 function shutdown() {
-  console.log('\n🛑 Shutting down Price Sync Service...');
-  console.log(`   Total updates: ${updateCount}`);
+  say('\n🛑 Shutting down Price Sync Service...');
+  say(`   Total updates: ${updateCount}`);
+  emit?.('shutdown', null, { updates: updateCount });
   isRunning = false;
   process.exit(0);
 }
@@ -274,8 +605,10 @@ function shutdown() {
 process.on('SIGINT', shutdown);
 process.on('SIGTERM', shutdown);
 
-// Start monitoring
-monitorPrices().catch(e => {
-  console.error('❌ Fatal error:', e);
+// Start fault injection, replay or monitoring
+const mode = FAULTS_FILE ? injectFaults(FAULTS_FILE) : REPLAY_FILE ? replayPrices(REPLAY_FILE) : monitorPrices();
+mode.catch(e => {
+  if (emit) emit('error', null, { stage: 'fatal', message: e.shortMessage || e.message });
+  else console.error('❌ Fatal error:', e);
   process.exit(1);
 });
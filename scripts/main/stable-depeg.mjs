@@ -0,0 +1,248 @@
+/**
+ * Stablecoin Depeg Simulation
+ *
+ * Walks the local ChainlinkUSDCUSD or ChainlinkUSDTUSD mock along a price path over
+ * a span of chain time and reports how the protocol reacts at every step:
+ *   - getUSDCPrice / getUSDTPrice (reverts once the feed leaves the 1% band)
+ *   - getBTDPrice, which is quoted against USDC
+ *   - InterestPool BTD/BTB rates (refreshed with tryUpdateRates each step)
+ *   - FarmingPool TVL as valued through PriceOracle (pools that cannot be priced drop out)
+ *
+ * Path points are spread evenly over --duration and interpolated linearly; chain time
+ * advances by duration/steps between steps. The feed is reset to 1.00 afterwards unless
+ * --keep is passed.
+ *
+ * Run: node scripts/main/stable-depeg.mjs --token usdc --path 1.00,0.87,0.98 --duration 7d
+ *
+ * Options:
+ *   --token <usdc|usdt>  Feed to move (default: usdc)
+ *   --path <p0,p1,...>   USD prices to walk through (default: 1.00,0.87,0.98)
+ *   --duration <dur>     Chain time covered by the path (default: 7d)
+ *   --steps <n>          Number of steps (default: 14)
+ *   --keep               Leave the feed at the last price
+ *   --json               One JSON line per step instead of the table
+ */
+
+import { createPublicClient, createWalletClient, formatUnits, http, parseAbi } from "viem";
+import { privateKeyToAccount } from "viem/accounts";
+import { readFarmingPools } from "../lib/farming.mjs";
+import { getNetwork, loadAddresses } from "../lib/network.mjs";
+import { createJsonLogger } from "../lib/output.mjs";
+import { revertReason } from "../lib/revert.mjs";
+import { formatDuration, parseDuration } from "../lib/time.mjs";
+
+// Hardhat account #0 owns the mocks
+const OWNER_PRIVATE_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+const FEED_DECIMALS = 8;
+
+const FEEDS = {
+  usdc: { symbol: "USDC", feed: "ChainlinkUSDCUSD", getter: "getUSDCPrice" },
+  usdt: { symbol: "USDT", feed: "ChainlinkUSDTUSD", getter: "getUSDTPrice" },
+};
+
+const aggregatorAbi = parseAbi([
+  "function setAnswer(int256 answer)",
+]);
+
+const oracleAbi = parseAbi([
+  "function getUSDCPrice() view returns (uint256)",
+  "function getUSDTPrice() view returns (uint256)",
+  "function getBTDPrice() view returns (uint256)",
+  "function updateTWAPAll()",
+]);
+
+const interestPoolAbi = parseAbi([
+  "function btdPool() view returns (address token, uint256 totalStaked, uint256 accInterestPerShare, uint256 lastAccrual, uint256 annualRateBps)",
+  "function btbPool() view returns (address token, uint256 totalStaked, uint256 accInterestPerShare, uint256 lastAccrual, uint256 annualRateBps)",
+  "function tryUpdateRates() returns (bool btdUpdated, bool btbUpdated)",
+]);
+
+const args = process.argv.slice(2);
+let tokenName = "usdc";
+let pathSpec = "1.00,0.87,0.98";
+let duration = "7d";
+let steps = 14;
+let keep = false;
+let jsonMode = false;
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--token" && args[i + 1]) {
+    tokenName = args[i + 1].toLowerCase();
+  }
+  if (args[i] === "--path" && args[i + 1]) {
+    pathSpec = args[i + 1];
+  }
+  if (args[i] === "--duration" && args[i + 1]) {
+    duration = args[i + 1];
+  }
+  if (args[i] === "--steps" && args[i + 1]) {
+    steps = parseInt(args[i + 1]);
+  }
+  if (args[i] === "--keep") {
+    keep = true;
+  }
+  if (args[i] === "--json") {
+    jsonMode = true;
+  }
+}
+
+const emit = jsonMode ? createJsonLogger() : null;
+
+/**
+ * Price at fraction f (0..1) of a path whose points are evenly spaced in time
+ */
+function priceAt(points, f) {
+  if (points.length === 1) return points[0];
+  const position = f * (points.length - 1);
+  const index = Math.min(Math.floor(position), points.length - 2);
+  const t = position - index;
+  return points[index] + (points[index + 1] - points[index]) * t;
+}
+
+const usd = (value, digits = 4) => (value === null ? "n/a" : `$${Number(formatUnits(value, 18)).toFixed(digits)}`);
+const usdWhole = (value) =>
+  "$" + Number(formatUnits(value, 18)).toLocaleString("en-US", { maximumFractionDigits: 0 });
+const pct = (bps) => (bps === null ? "n/a" : `${(Number(bps) / 100).toFixed(2)}%`);
+
+async function main() {
+  const feed = FEEDS[tokenName];
+  if (!feed) throw new Error(`Unknown token "${tokenName}" (expected ${Object.keys(FEEDS).join(", ")})`);
+  const points = pathSpec.split(",").map((value) => Number(value.trim()));
+  if (points.some((value) => !(value > 0))) throw new Error(`Invalid --path "${pathSpec}"`);
+  if (!(steps > 0)) throw new Error(`Invalid --steps "${steps}"`);
+  const span = parseDuration(duration);
+  const stepSeconds = Math.floor(span / steps);
+
+  const network = getNetwork("local");
+  const addr = loadAddresses(network);
+  if (!addr[feed.feed]) throw new Error(`${feed.feed} is not in the deployment`);
+  const transport = http(network.rpcUrl(), { timeout: 60000 });
+  const client = createPublicClient({ chain: network.chain, transport });
+  const wallet = createWalletClient({ account: privateKeyToAccount(OWNER_PRIVATE_KEY), chain: network.chain, transport });
+
+  const send = async (request) => client.waitForTransactionReceipt({ hash: await wallet.writeContract(request) });
+  const setFeed = (price) =>
+    send({ address: addr[feed.feed], abi: aggregatorAbi, functionName: "setAnswer", args: [BigInt(Math.round(price * 10 ** FEED_DECIMALS))] });
+  const oracleRead = (functionName) =>
+    client
+      .readContract({ address: addr.PriceOracle, abi: oracleAbi, functionName })
+      .then((value) => ({ value, error: null }))
+      .catch((err) => ({ value: null, error: revertReason(err) }));
+  // Permissionless refreshes; a revert here is part of what the simulation shows
+  const refresh = async () => {
+    const failures = {};
+    for (const [address, abi, functionName] of [
+      [addr.PriceOracle, oracleAbi, "updateTWAPAll"],
+      [addr.InterestPool, interestPoolAbi, "tryUpdateRates"],
+    ]) {
+      await send({ address, abi, functionName }).catch((err) => {
+        failures[functionName] = revertReason(err);
+      });
+    }
+    return failures;
+  };
+
+  const sample = async () => {
+    const [stable, btd, btdPool, btbPool, farming, block] = await Promise.all([
+      oracleRead(feed.getter),
+      oracleRead("getBTDPrice"),
+      client.readContract({ address: addr.InterestPool, abi: interestPoolAbi, functionName: "btdPool" }).catch(() => null),
+      client.readContract({ address: addr.InterestPool, abi: interestPoolAbi, functionName: "btbPool" }).catch(() => null),
+      readFarmingPools(client, addr),
+      client.getBlock({ blockTag: "latest" }),
+    ]);
+    return {
+      block: block.number,
+      timestamp: Number(block.timestamp),
+      stable,
+      btd,
+      btdRateBps: btdPool ? btdPool[4] : null,
+      btbRateBps: btbPool ? btbPool[4] : null,
+      farmingTvl: farming.totalTvl,
+      unpricedPools: farming.pools.filter((pool) => pool.tvl === null).map((pool) => pool.symbol),
+    };
+  };
+
+  const sampleJson = (state) => ({
+    [feed.getter]: state.stable.value === null ? null : formatUnits(state.stable.value, 18),
+    [`${feed.getter}Error`]: state.stable.error,
+    btdPrice: state.btd.value === null ? null : formatUnits(state.btd.value, 18),
+    btdPriceError: state.btd.error,
+    btdRateBps: state.btdRateBps,
+    btbRateBps: state.btbRateBps,
+    farmingTvl: formatUnits(state.farmingTvl, 18),
+    unpricedPools: state.unpricedPools,
+  });
+
+  const printRow = (label, feedPrice, state, failures = {}) => {
+    const stable = state.stable.error ? `reverts (${state.stable.error})` : usd(state.stable.value);
+    const btd = state.btd.error ? `reverts (${state.btd.error})` : usd(state.btd.value);
+    const unpriced = state.unpricedPools.length > 0 ? `  [unpriced: ${state.unpricedPools.join(", ")}]` : "";
+    console.log(
+      `${label.padEnd(14)} feed $${feedPrice.toFixed(4)} | ${feed.getter} ${stable} | BTD ${btd} | rates BTD ${pct(state.btdRateBps)} BTB ${pct(state.btbRateBps)} | farming TVL ${usdWhole(state.farmingTvl)}${unpriced}`
+    );
+    for (const [call, reason] of Object.entries(failures)) {
+      console.log(`${"".padEnd(14)} ${call} reverted: ${reason}`);
+    }
+  };
+
+  await setFeed(points[0]);
+  await refresh();
+  const baseline = await sample();
+  if (emit) {
+    emit("start", baseline.block, { token: feed.symbol, path: points, durationSeconds: span, steps, ...sampleJson(baseline) });
+  } else {
+    console.log(`${feed.symbol} depeg on ${network.label}: ${points.join(" → ")} over ${formatDuration(span)} in ${steps} steps`);
+    console.log();
+    printRow("start", points[0], baseline);
+  }
+
+  const history = [];
+  for (let step = 1; step <= steps; step++) {
+    const price = priceAt(points, step / steps);
+    await client.request({ method: "evm_increaseTime", params: [stepSeconds] });
+    await setFeed(price);
+    const failures = await refresh();
+    const state = await sample();
+    history.push({ price, state });
+
+    if (emit) {
+      emit("depeg_step", state.block, { step, chainTime: state.timestamp, feedPrice: price, refreshFailures: failures, ...sampleJson(state) });
+    } else {
+      printRow(`+${formatDuration(state.timestamp - baseline.timestamp)}`, price, state, failures);
+    }
+  }
+
+  // Summary: how long the getter was unusable and how far valuations fell
+  const reverted = history.filter(({ state }) => state.stable.error !== null).length;
+  const btdReverted = history.filter(({ state }) => state.btd.error !== null).length;
+  const minTvl = history.reduce((min, { state }) => (state.farmingTvl < min ? state.farmingTvl : min), baseline.farmingTvl);
+  const rates = history.map(({ state }) => state.btdRateBps).filter((value) => value !== null);
+  const summary = {
+    stableRevertedSteps: reverted,
+    btdRevertedSteps: btdReverted,
+    btdRateMinBps: rates.length > 0 ? rates.reduce((a, b) => (b < a ? b : a)) : null,
+    btdRateMaxBps: rates.length > 0 ? rates.reduce((a, b) => (b > a ? b : a)) : null,
+    farmingTvlStart: formatUnits(baseline.farmingTvl, 18),
+    farmingTvlMin: formatUnits(minTvl, 18),
+  };
+
+  if (!keep) {
+    await setFeed(1);
+  }
+
+  if (emit) {
+    emit("depeg_done", null, { token: feed.symbol, steps, restored: !keep, ...summary });
+    return;
+  }
+  console.log();
+  console.log(`${feed.getter} reverted in ${reverted}/${steps} steps, getBTDPrice in ${btdReverted}/${steps}`);
+  console.log(`BTD rate range: ${pct(summary.btdRateMinBps)} – ${pct(summary.btdRateMaxBps)}`);
+  console.log(`Farming TVL: ${usdWhole(baseline.farmingTvl)} at start, ${usdWhole(minTvl)} at the lowest point`);
+  console.log(keep ? `${feed.feed} left at $${points[points.length - 1]}` : `${feed.feed} reset to $1.00`);
+}
+
+main().catch((error) => {
+  if (emit) emit("error", null, { message: error.shortMessage || error.message });
+  else console.error(error);
+  process.exitCode = 1;
+});
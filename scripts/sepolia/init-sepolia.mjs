@@ -5,18 +5,26 @@
  * - Add liquidity to LP pairs (deployed via Ignition)
  * - Configure farming pools
  * - Initialize staking vaults
+ * Amounts, pools and recipients come from an init profile (scripts/main/init-profiles.json),
+ * validated against the Constants.sol limits before any transaction is sent. The profile
+ * must price from "chainlink": Sepolia uses the real BTC/USD feed.
  *
  * Run:
  *   npx hardhat run scripts/sepolia/init-sepolia.mjs --network sepolia
  *
+ * Environment:
+ *   INIT_PROFILE        profile name (default: testnet)
+ *   INIT_PROFILE_FILE   profile file (default: scripts/main/init-profiles.json)
+ *
  * Prerequisite: deployed via Ignition with FullSystemSepolia module
  */
 
 import fs from "fs";
 import path from "path";
 import hre from "hardhat";
-import { createPublicClient, http, keccak256, parseEther, stringToHex } from "viem";
+import { createPublicClient, http, keccak256, stringToHex } from "viem";
 import { sepolia } from "viem/chains";
+import { loadInitProfile, resolveInitProfile } from "../lib/init-profile.mjs";
 
 const CHAIN_ID = 11155111; // Sepolia
 const ADDR_FILE = path.join(
@@ -25,6 +33,8 @@ const ADDR_FILE = path.join(
 );
 
 const DEFAULTS = {
+  profile: process.env.INIT_PROFILE || "testnet",
+  profileFile: process.env.INIT_PROFILE_FILE || undefined,
   pythPriceId: "0x505954485f575442430000000000000000000000000000000000000000000000",
 };
 
@@ -115,6 +125,11 @@ async function main() {
   const addresses = loadAddresses();
   console.log("\n=> Loaded addresses from:", ADDR_FILE);
 
+  const profile = loadInitProfile(DEFAULTS.profile, DEFAULTS.profileFile);
+  if (profile.btcUsd !== "chainlink") {
+    throw new Error(`Init profile "${profile.name}" sets btcUsd ${profile.btcUsd}; Sepolia prices from the live Chainlink feed, use "chainlink"`);
+  }
+
   const connection = await hre.network.connect();
   const { viem } = connection;
   const wallets = await viem.getWalletClients();
@@ -134,15 +149,7 @@ async function main() {
   const get = (key, abiName = key) => viem.getContractAt(abiName, addresses[key]);
 
   // Load contracts
-  const brs = await get("BRS", "contracts/BRS.sol:BRS");
-  const btd = await get("BTD", "contracts/BTD.sol:BTD");
-  const btb = await get("BTB", "contracts/BTB.sol:BTB");
-  const wbtc = await get("WBTC", "contracts/local/MockWBTC.sol:MockWBTC");
-  const usdc = await get("USDC", "contracts/local/MockUSDC.sol:MockUSDC");
-  const usdt = await get("USDT", "contracts/local/MockUSDT.sol:MockUSDT");
   const weth = await get("WETH", "contracts/interfaces/IWETH9.sol:IWETH9");
-  const stBTD = await get("stBTD", "contracts/stBTD.sol:stBTD");
-  const stBTB = await get("stBTB", "contracts/stBTB.sol:stBTB");
   const farming = await get("FarmingPool", "contracts/FarmingPool.sol:FarmingPool");
   const priceOracle = await get("PriceOracle", "contracts/PriceOracle.sol:PriceOracle");
   const twapOracle = await get("TWAPOracle", "contracts/UniswapV2TWAPOracle.sol:UniswapV2TWAPOracle");
@@ -187,6 +194,14 @@ async function main() {
   });
   console.log(`   Real BTC/USD price: $${Number(btcPrice) / 1e8}`);
 
+  // Resolve and validate the init profile before sending anything
+  const plan = resolveInitProfile(profile, btcPrice);
+  const recipientTokens = Object.keys(plan.recipientAmounts).filter((token) => token !== "ETH");
+  for (const id of [...plan.liquidity.map((seed) => seed.pair), ...plan.pools.map((pool) => pool.token), ...recipientTokens]) {
+    if (!addresses[id]) throw new Error(`Init profile "${plan.name}": ${id} is not in the deployment`);
+  }
+  console.log(`   Init profile "${plan.name}" (${profile.description ?? "no description"})`);
+
   // =========================================================================
   // 2) Configure roles and disable TWAP initially
   // =========================================================================
@@ -236,26 +251,18 @@ async function main() {
   // 4) Mint BTD/BTB for LP initialization
   // =========================================================================
   console.log("\n=> Minting BTD/BTB for LP initialization...");
-  const mintBtdAmount = parseEther("1");
-  const mintBtbAmount = parseEther("0.1");
-
-  await owner.writeContract({
-    address: addresses.BTD,
-    abi: btdAbi,
-    functionName: "mint",
-    args: [owner.account.address, mintBtdAmount],
-    account: owner.account,
-  });
-  console.log(`   -> Minted ${Number(mintBtdAmount) / 1e18} BTD`);
-
-  await owner.writeContract({
-    address: addresses.BTB,
-    abi: btbAbi,
-    functionName: "mint",
-    args: [owner.account.address, mintBtbAmount],
-    account: owner.account,
-  });
-  console.log(`   -> Minted ${Number(mintBtbAmount) / 1e18} BTB`);
+  const tokenAbis = { BTD: btdAbi, BTB: btbAbi };
+  for (const [token, amount] of Object.entries(plan.mint)) {
+    const mintTx = await owner.writeContract({
+      address: addresses[token],
+      abi: tokenAbis[token],
+      functionName: "mint",
+      args: [owner.account.address, amount],
+      account: owner.account,
+    });
+    await publicClient.waitForTransactionReceipt({ hash: mintTx });
+    console.log(`   -> Minted ${Number(amount) / 1e18} ${token}`);
+  }
 
   // =========================================================================
   // 5) Add LP liquidity (direct transfer to pair + mint)
@@ -322,21 +329,25 @@ async function main() {
     return lpBalance;
   };
 
-  // LP amounts
-  const wbtcAmount = 10000n; // 0.0001 WBTC (10000 satoshi)
-  const usdcForWbtc = BigInt(Math.floor(Number(wbtcAmount) * btcPriceUsd / 100));
-  const usdcAmount = usdcForWbtc < 10000n ? 10000n : usdcForWbtc;
-
-  const lpWBTCUSDC = await addLP(pairWBTCUSDC, wbtc.address, usdc.address, wbtcAmount, usdcAmount, "WBTC/USDC");
-  const lpBTDUSDC = await addLP(pairBTDUSDC, btd.address, usdc.address, parseEther("0.01"), 10000n, "BTD/USDC");
-  const lpBTBBTD = await addLP(pairBTBBTD, btb.address, btd.address, parseEther("0.01"), parseEther("0.01"), "BTB/BTD");
-  const lpBRSBTD = await addLP(pairBRSBTD, brs.address, btd.address, parseEther("1"), parseEther("0.01"), "BRS/BTD");
+  // LP amounts come from the profile ("price" amounts are valued at the Chainlink price)
+  const lpBalances = {};
+  for (const seed of plan.liquidity) {
+    const [tokenA, tokenB] = Object.keys(seed.amounts);
+    lpBalances[seed.pair] = await addLP(
+      addresses[seed.pair],
+      addresses[tokenA],
+      addresses[tokenB],
+      seed.amounts[tokenA],
+      seed.amounts[tokenB],
+      `${tokenA}/${tokenB}`
+    );
+  }
 
   // =========================================================================
   // 6) Initialize TWAP Oracle
   // =========================================================================
   console.log("\n=> Initializing TWAP Oracle...");
-  const pairsList = [pairWBTCUSDC, pairBTDUSDC, pairBTBBTD, pairBRSBTD];
+  const pairsList = plan.liquidity.map((seed) => addresses[seed.pair]);
 
   for (const pairAddr of pairsList) {
     try {
@@ -362,10 +373,6 @@ async function main() {
   // 7) Initialize stBTD/stBTB vaults
   // =========================================================================
   console.log("\n=> Initializing stBTD/stBTB vaults...");
-  const minStake = parseEther("0.001");
-
-  const stBTDAbi = loadAbi("contracts/stBTD.sol/stBTD.json");
-  const stBTBAbi = loadAbi("contracts/stBTB.sol/stBTB.json");
 
   const writeAndWait = async (address, abi, functionName, args) => {
     const hash = await owner.writeContract({ address, abi, functionName, args, account: owner.account });
@@ -373,32 +380,22 @@ async function main() {
     return hash;
   };
 
-  const stBTDSupply = await publicClient.readContract({
-    address: stBTD.address,
-    abi: stBTDAbi,
-    functionName: "totalSupply",
-  });
-  if (stBTDSupply > 0n) {
-    console.log(`   skip stBTD vault already initialized (supply: ${stBTDSupply})`);
-  } else {
-    await writeAndWait(addresses.BTD, btdAbi, "mint", [owner.account.address, minStake]);
-    await writeAndWait(addresses.BTD, btdAbi, "approve", [stBTD.address, minStake]);
-    await writeAndWait(stBTD.address, stBTDAbi, "deposit", [minStake, owner.account.address]);
-    console.log("   ok stBTD vault initialized");
-  }
-
-  const stBTBSupply = await publicClient.readContract({
-    address: stBTB.address,
-    abi: stBTBAbi,
-    functionName: "totalSupply",
-  });
-  if (stBTBSupply > 0n) {
-    console.log(`   skip stBTB vault already initialized (supply: ${stBTBSupply})`);
-  } else {
-    await writeAndWait(addresses.BTB, btbAbi, "mint", [owner.account.address, minStake]);
-    await writeAndWait(addresses.BTB, btbAbi, "approve", [stBTB.address, minStake]);
-    await writeAndWait(stBTB.address, stBTBAbi, "deposit", [minStake, owner.account.address]);
-    console.log("   ok stBTB vault initialized");
+  for (const [vault, amount] of Object.entries(plan.vaults)) {
+    const asset = vault.slice(2);
+    const vaultAbi = loadAbi(`contracts/${vault}.sol/${vault}.json`);
+    const supply = await publicClient.readContract({
+      address: addresses[vault],
+      abi: vaultAbi,
+      functionName: "totalSupply",
+    });
+    if (supply > 0n) {
+      console.log(`   skip ${vault} vault already initialized (supply: ${supply})`);
+      continue;
+    }
+    await writeAndWait(addresses[asset], tokenAbis[asset], "mint", [owner.account.address, amount]);
+    await writeAndWait(addresses[asset], tokenAbis[asset], "approve", [addresses[vault], amount]);
+    await writeAndWait(addresses[vault], vaultAbi, "deposit", [amount, owner.account.address]);
+    console.log(`   ok ${vault} vault initialized`);
   }
 
   // =========================================================================
@@ -416,25 +413,17 @@ async function main() {
   if (poolLength > 0n) {
     console.log(`   skip Farming pools already configured (${poolLength} pools)`);
   } else {
-    const tokens = [
-      pairBRSBTD,     // 0: LP - BRS/BTD
-      pairBTDUSDC,    // 1: LP - BTD/USDC
-      pairBTBBTD,     // 2: LP - BTB/BTD
-      usdc.address,   // 3: Single
-      usdt.address,   // 4: Single
-      wbtc.address,   // 5: Single
-      weth.address,   // 6: Single
-      stBTD.address,  // 7: Single
-      stBTB.address,  // 8: Single
-      brs.address,    // 9: Single
-    ];
-    const allocPoints = [15, 15, 15, 1, 1, 1, 1, 3, 3, 5];
-    const kinds = [1, 1, 1, 0, 0, 0, 0, 0, 0, 0];
-
-    await farming.write.addPools([tokens, allocPoints, kinds], {
-      account: owner.account,
-    });
-    console.log("   ok 10 farming pools configured");
+    // pid order follows the profile; PoolKind: 0 Single, 1 LP
+    const addPoolsTx = await farming.write.addPools(
+      [
+        plan.pools.map((pool) => addresses[pool.token]),
+        plan.pools.map((pool) => BigInt(pool.allocPoint)),
+        plan.pools.map((pool) => pool.kind),
+      ],
+      { account: owner.account }
+    );
+    await publicClient.waitForTransactionReceipt({ hash: addPoolsTx });
+    console.log(`   ok ${plan.pools.length} farming pools configured`);
   }
 
   // =========================================================================
@@ -442,19 +431,15 @@ async function main() {
   // =========================================================================
   console.log("\n=> Seeding staking for farming pools...");
 
-  const MIN_BTC = 1n;
-  const MIN_STABLE_6 = 1000n;
-  const MIN_STABLE_18 = parseEther("0.001");
-  const MIN_ETH = 10n ** 10n;
-
-  // Deposit ETH to get WETH (official WETH9)
+  // Deposit ETH to get WETH (official WETH9) for the WETH pool's stake
+  const wethStake = plan.pools.find((pool) => pool.token === "WETH")?.stake ?? 0n;
   const wethBalance = await publicClient.readContract({
     address: weth.address,
     abi: ERC20_ABI,
     functionName: "balanceOf",
     args: [owner.account.address],
   });
-  if (wethBalance < MIN_ETH) {
+  if (wethBalance < wethStake) {
     console.log("   -> Depositing ETH to get WETH...");
     const WETH9_ABI = [{ inputs: [], name: "deposit", outputs: [], stateMutability: "payable", type: "function" }];
     const depositTx = await owner.writeContract({
@@ -462,32 +447,22 @@ async function main() {
       abi: WETH9_ABI,
       functionName: "deposit",
       args: [],
-      value: MIN_ETH,
+      value: wethStake - wethBalance,
       account: owner.account,
     });
     await publicClient.waitForTransactionReceipt({ hash: depositTx });
-    console.log(`   ok Deposited ${MIN_ETH} wei ETH -> WETH`);
+    console.log(`   ok Deposited ${wethStake - wethBalance} wei ETH -> WETH`);
   }
 
-  const stakePlans = [
-    { id: 0, token: { address: pairBRSBTD }, amount: lpBRSBTD, name: "BRS/BTD LP" },
-    { id: 1, token: { address: pairBTDUSDC }, amount: lpBTDUSDC, name: "BTD/USDC LP" },
-    { id: 2, token: { address: pairBTBBTD }, amount: lpBTBBTD, name: "BTB/BTD LP" },
-    { id: 3, token: usdc, amount: MIN_STABLE_6, name: "USDC" },
-    { id: 4, token: usdt, amount: MIN_STABLE_6, name: "USDT" },
-    { id: 5, token: wbtc, amount: MIN_BTC, name: "WBTC" },
-    { id: 6, token: weth, amount: MIN_ETH, name: "WETH" },
-    { id: 7, token: stBTD, amount: MIN_STABLE_18, name: "stBTD" },
-    { id: 8, token: stBTB, amount: MIN_STABLE_18, name: "stBTB" },
-    { id: 9, token: brs, amount: MIN_STABLE_18, name: "BRS" },
-  ];
-
   let successCount = 0;
   let skipCount = 0;
 
-  for (const plan of stakePlans) {
-    if (plan.amount === 0n) {
-      console.log(`   skip pool ${plan.id} (${plan.name}): no balance`);
+  for (const pool of plan.pools) {
+    if (pool.stake === null) continue;
+    // LP pools stake the LP held by the deployer
+    const amount = pool.kind === 1 ? lpBalances[pool.token] : pool.stake;
+    if (amount === 0n) {
+      console.log(`   skip pool ${pool.pid} (${pool.token}): no balance`);
       skipCount++;
       continue;
     }
@@ -496,40 +471,62 @@ async function main() {
       address: farming.address,
       abi: farmingAbi,
       functionName: "userInfo",
-      args: [plan.id, owner.account.address],
+      args: [BigInt(pool.pid), owner.account.address],
     });
 
     if (stakedAmount > 0n) {
-      console.log(`   skip pool ${plan.id} (${plan.name}) already staked: ${stakedAmount}`);
+      console.log(`   skip pool ${pool.pid} (${pool.token}) already staked: ${stakedAmount}`);
       skipCount++;
       continue;
     }
 
     try {
-      const tokenAddress = plan.token.address || plan.token;
       const approveTx = await owner.writeContract({
-        address: tokenAddress,
+        address: addresses[pool.token],
         abi: ERC20_ABI,
         functionName: "approve",
-        args: [farming.address, plan.amount],
+        args: [farming.address, amount],
         account: owner.account,
       });
       await publicClient.waitForTransactionReceipt({ hash: approveTx });
 
-      const depositTx = await farming.write.deposit([plan.id, plan.amount], {
+      const depositTx = await farming.write.deposit([BigInt(pool.pid), amount], {
         account: owner.account,
       });
       await publicClient.waitForTransactionReceipt({ hash: depositTx });
 
-      console.log(`   ok pool ${plan.id} (${plan.name}) staked: ${plan.amount}`);
+      console.log(`   ok pool ${pool.pid} (${pool.token}) staked: ${amount}`);
       successCount++;
     } catch (err) {
-      console.log(`   err pool ${plan.id} (${plan.name}) failed: ${err.message?.slice(0, 60) || err}`);
+      console.log(`   err pool ${pool.pid} (${pool.token}) failed: ${err.message?.slice(0, 60) || err}`);
     }
   }
 
   console.log(`\n   Staking complete: ${successCount} succeeded, ${skipCount} skipped`);
 
+  // =========================================================================
+  // 10) Fund test recipients
+  // =========================================================================
+  if (plan.recipients.length > 0) {
+    console.log(`\n=> Funding ${plan.recipients.length} test recipient(s)...`);
+    for (const recipient of plan.recipients) {
+      for (const [token, amount] of Object.entries(plan.recipientAmounts)) {
+        const hash =
+          token === "ETH"
+            ? await owner.sendTransaction({ to: recipient, value: amount, account: owner.account })
+            : await owner.writeContract({
+                address: addresses[token],
+                abi: ERC20_ABI,
+                functionName: "transfer",
+                args: [recipient, amount],
+                account: owner.account,
+              });
+        await publicClient.waitForTransactionReceipt({ hash });
+      }
+      console.log(`   ok ${recipient} funded`);
+    }
+  }
+
   // =========================================================================
   console.log("\n" + "=".repeat(60));
   console.log("  Sepolia initialization complete!");
@@ -8,6 +8,11 @@
  * - Continuous monitoring with configurable interval
  * - Auto-rebalancing when deviation exceeds threshold
  * - TWAP observation after each sync
+ * - Mock oracle updates sent as one batch and reported with the block they landed in
+ * - Inventory tracking: balances and rebalance runway are logged before each trade; low
+ *   balances are refilled from the Faucet or by removing owner LP, short trades are skipped
+ * - Transactions go through scripts/lib/tx-sender.mjs (nonce tracking, fee caps, stuck
+ *   transaction replacement, retries); the journal is reconciled on startup
  * - Graceful shutdown on SIGINT/SIGTERM
  *
  * Run modes:
@@ -18,6 +23,14 @@
  *   SYNC_INTERVAL      - Check interval in seconds (default: 300 = 5 minutes)
  *   DEVIATION_THRESHOLD - Price deviation % to trigger sync (default: 1.0)
  *   SINGLE_RUN         - Run once and exit (default: false)
+ *   TARGET_TOLERANCE   - % from the Chainlink price a full rebalance swap must land within (default: 0.1)
+ *   SLIPPAGE_BPS       - amountOutMin = quoted output minus this many bps (default: 50)
+ *   MAX_TRADE_USD      - Largest swap per cycle in USD; bigger moves continue next cycle (default: 10000)
+ *   LOW_INVENTORY_REBALANCES - Refill when a side can fund fewer rebalances than this (default: 3)
+ *   REFILL_LP_BPS      - Share of the owner's LP removed per refill, in bps (default: 1000 = 10%)
+ *   MIN_ETH            - Warn when the sync account holds less ETH for gas (default: 0.05)
+ *   TX_*               - Transaction sender settings (fee caps, replacement, retries, journal);
+ *                        see scripts/lib/tx-sender.mjs
  */
 
 import fs from "fs";
@@ -25,6 +38,9 @@ import path from "path";
 import hre from "hardhat";
 import { createPublicClient, http } from "viem";
 import { sepolia } from "viem/chains";
+import { getAmountOut, swapToRatio } from "../lib/amm.mjs";
+import { sendInOneBlock } from "../lib/atomic-block.mjs";
+import { createTxSender } from "../lib/tx-sender.mjs";
 
 const CHAIN_ID = 11155111;
 const ADDR_FILE = path.join(
@@ -46,6 +62,12 @@ const CONFIG = {
   SYNC_INTERVAL: parseInt(process.env.SYNC_INTERVAL || "300", 10), // 5 minutes
   DEVIATION_THRESHOLD: parseFloat(process.env.DEVIATION_THRESHOLD || "1.0"), // 1%
   SINGLE_RUN: process.env.SINGLE_RUN === "1" || process.env.SINGLE_RUN === "true",
+  TARGET_TOLERANCE: parseFloat(process.env.TARGET_TOLERANCE || "0.1"), // 0.1% after a full swap
+  SLIPPAGE_BPS: parseInt(process.env.SLIPPAGE_BPS || "50", 10), // 0.5% below the quoted output
+  MAX_TRADE_USD: parseFloat(process.env.MAX_TRADE_USD || "10000"), // per cycle
+  LOW_INVENTORY_REBALANCES: parseInt(process.env.LOW_INVENTORY_REBALANCES || "3", 10),
+  REFILL_LP_BPS: parseInt(process.env.REFILL_LP_BPS || "1000", 10), // remove 10% of owner LP per refill
+  MIN_ETH_WEI: BigInt(Math.round(parseFloat(process.env.MIN_ETH || "0.05") * 1e18)),
 };
 
 const ROUTER_ABI = [
@@ -124,6 +146,13 @@ const PAIR_ABI = [
     stateMutability: "view",
     type: "function",
   },
+  {
+    inputs: [],
+    name: "totalSupply",
+    outputs: [{ name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function",
+  },
   {
     inputs: [],
     name: "token0",
@@ -150,6 +179,23 @@ const ERC20_ABI = [
   },
 ];
 
+const FAUCET_ABI = [
+  {
+    inputs: [],
+    name: "claim",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [{ name: "account", type: "address" }],
+    name: "canClaim",
+    outputs: [{ name: "", type: "bool" }],
+    stateMutability: "view",
+    type: "function",
+  },
+];
+
 const CHAINLINK_ABI = [
   {
     inputs: [],
@@ -214,8 +260,162 @@ function log(msg) {
 let isRunning = true;
 let currentTimeout = null;
 
+// Chainlink answers have 8 decimals; raw USDC(6)/WBTC(8) reserve ratio = answer / 1e10
+const CHAINLINK_TO_RESERVE_RATIO = 10n ** 10n;
+
+/**
+ * Signed deviation of the pool price from the Chainlink answer, in basis points
+ */
+function deviationBps(usdcReserve, wbtcReserve, btcPrice) {
+  const poolValue = usdcReserve * CHAINLINK_TO_RESERVE_RATIO;
+  const targetValue = wbtcReserve * btcPrice;
+  return Number(((poolValue - targetValue) * 10000n) / targetValue);
+}
+
+/**
+ * Size one swap that moves the pool to the Chainlink price with exact Uniswap V2 math (0.3% fee)
+ * The input is capped at MAX_TRADE_USD; amountOutMin applies SLIPPAGE_BPS to the quoted output.
+ */
+function planRebalance(usdcReserve, wbtcReserve, btcPrice) {
+  const buyWbtc = deviationBps(usdcReserve, wbtcReserve, btcPrice) < 0;
+  const [reserveIn, reserveOut] = buyWbtc ? [usdcReserve, wbtcReserve] : [wbtcReserve, usdcReserve];
+  const sized = buyWbtc
+    ? swapToRatio(usdcReserve, wbtcReserve, btcPrice, CHAINLINK_TO_RESERVE_RATIO)
+    : swapToRatio(wbtcReserve, usdcReserve, CHAINLINK_TO_RESERVE_RATIO, btcPrice);
+  if (sized.amountIn === 0n) return null;
+
+  // MAX_TRADE_USD in input-token units: USDC has 6 decimals, WBTC 8 at the Chainlink price
+  const maxTradeUsd = BigInt(Math.round(CONFIG.MAX_TRADE_USD * 1e6));
+  const maxIn = buyWbtc ? maxTradeUsd : (maxTradeUsd * 10n ** 10n) / btcPrice;
+  const capped = sized.amountIn > maxIn;
+  const amountIn = capped ? maxIn : sized.amountIn;
+  const amountOut = capped ? getAmountOut(amountIn, reserveIn, reserveOut) : sized.amountOut;
+  if (amountIn === 0n || amountOut === 0n) return null;
+
+  const [newUsdc, newWbtc] = buyWbtc
+    ? [usdcReserve + amountIn, wbtcReserve - amountOut]
+    : [usdcReserve - amountOut, wbtcReserve + amountIn];
+  return {
+    buyWbtc,
+    amountIn,
+    amountOut,
+    amountOutMin: (amountOut * BigInt(10000 - CONFIG.SLIPPAGE_BPS)) / 10000n,
+    capped,
+    predictedBps: deviationBps(newUsdc, newWbtc, btcPrice),
+  };
+}
+
+/**
+ * Owner balances used by the sync: WBTC/USDC inventory plus ETH for gas
+ */
+async function readInventory(context) {
+  const { publicClient, owner } = context;
+  const { wbtcAddress, usdcAddress } = context.pool;
+  const balanceOf = (address) =>
+    publicClient.readContract({ address, abi: ERC20_ABI, functionName: "balanceOf", args: [owner.account.address] });
+  const [WBTC, USDC, ETH] = await Promise.all([
+    balanceOf(wbtcAddress),
+    balanceOf(usdcAddress),
+    publicClient.getBalance({ address: owner.account.address }),
+  ]);
+  return { WBTC, USDC, ETH };
+}
+
+// Remember recent trade sizes per input token to estimate the runway
+function recordTradeSize(context, symbol, amountIn) {
+  const sizes = context.tradeSizes[symbol];
+  sizes.push(amountIn);
+  if (sizes.length > 10) sizes.shift();
+}
+
+/**
+ * How many more average-sized rebalances each side of the inventory can fund
+ */
+function estimateRunway(context, inventory) {
+  const runway = {};
+  for (const symbol of ["WBTC", "USDC"]) {
+    const sizes = context.tradeSizes[symbol];
+    const average = sizes.length === 0 ? 0n : sizes.reduce((sum, size) => sum + size, 0n) / BigInt(sizes.length);
+    runway[symbol] = average === 0n ? Infinity : Number(inventory[symbol] / average);
+  }
+  return runway;
+}
+
+/**
+ * Top up a low balance: claim from the Faucet first, then remove part of the owner's LP
+ * Failures are logged; the caller re-checks balances and skips the trade if still short.
+ */
+async function refillInventory(context, symbol) {
+  const { publicClient, owner, addresses, tx } = context;
+  const { pairAddress, wbtcAddress, usdcAddress, isWbtcToken0 } = context.pool;
+  const before = (await readInventory(context))[symbol];
+
+  if (addresses.Faucet) {
+    try {
+      const canClaim = await publicClient.readContract({
+        address: addresses.Faucet,
+        abi: FAUCET_ABI,
+        functionName: "canClaim",
+        args: [owner.account.address],
+      });
+      if (canClaim) {
+        await tx.send({
+          address: addresses.Faucet,
+          abi: FAUCET_ABI,
+          functionName: "claim",
+        });
+        log(`   ✓ Claimed from Faucet`);
+      } else {
+        log(`   Faucet cooldown active, skipping claim`);
+      }
+    } catch (err) {
+      log(`⚠ Faucet claim failed: ${err.shortMessage || err.message?.slice(0, 60) || err}`);
+    }
+  }
+
+  // Faucet amounts are small; fall back to LP if the claim did not cover a rebalance
+  const afterClaim = (await readInventory(context))[symbol];
+  const sizes = context.tradeSizes[symbol];
+  if (afterClaim > before && afterClaim >= (sizes[sizes.length - 1] ?? 0n) * BigInt(CONFIG.LOW_INVENTORY_REBALANCES)) {
+    return;
+  }
+
+  try {
+    const [lpBalance, totalSupply, [reserve0, reserve1]] = await Promise.all([
+      publicClient.readContract({ address: pairAddress, abi: PAIR_ABI, functionName: "balanceOf", args: [owner.account.address] }),
+      publicClient.readContract({ address: pairAddress, abi: PAIR_ABI, functionName: "totalSupply" }),
+      publicClient.readContract({ address: pairAddress, abi: PAIR_ABI, functionName: "getReserves" }),
+    ]);
+    const liquidity = (lpBalance * BigInt(CONFIG.REFILL_LP_BPS)) / 10000n;
+    if (liquidity === 0n || totalSupply === 0n) {
+      log(`⚠ No owner LP to remove for refill`);
+      return;
+    }
+    const wbtcReserve = isWbtcToken0 ? reserve0 : reserve1;
+    const usdcReserve = isWbtcToken0 ? reserve1 : reserve0;
+    const minOut = (reserve) => (((reserve * liquidity) / totalSupply) * BigInt(10000 - CONFIG.SLIPPAGE_BPS)) / 10000n;
+    const deadline = BigInt(Math.floor(Date.now() / 1000) + 3600);
+
+    await tx.send({
+      address: pairAddress,
+      abi: ERC20_ABI,
+      functionName: "approve",
+      args: [UNISWAP_V2.ROUTER, liquidity],
+    });
+    await tx.send({
+      address: UNISWAP_V2.ROUTER,
+      abi: ROUTER_ABI,
+      functionName: "removeLiquidity",
+      args: [wbtcAddress, usdcAddress, liquidity, minOut(wbtcReserve), minOut(usdcReserve), owner.account.address, deadline],
+    });
+    log(`   ✓ Removed ${CONFIG.REFILL_LP_BPS / 100}% of owner LP (${liquidity} LP)`);
+  } catch (err) {
+    log(`⚠ LP removal failed: ${err.shortMessage || err.message?.slice(0, 60) || err}`);
+  }
+}
+
 async function checkAndSync(context) {
-  const { publicClient, owner, addresses, twapOracle, mockPythAddress, allPools } = context;
+  const { publicClient, owner, addresses, twapOracle, mockPythAddress, allPools, tx } = context;
   const { pairAddress, wbtcAddress, usdcAddress, isWbtcToken0 } = context.pool;
 
   const deadline = BigInt(Math.floor(Date.now() / 1000) + 3600);
@@ -229,18 +429,21 @@ async function checkAndSync(context) {
     });
     const btcPriceUsd = Number(btcPrice) / 1e8;
 
-    // 1.1) Sync MockPyth price with Chainlink
+    // 1.1) Sync mock oracles with Chainlink (batched so they land in one block)
     if (mockPythAddress) {
       try {
-        const setPriceTx = await owner.writeContract({
-          address: mockPythAddress,
-          abi: MOCK_PYTH_ABI,
-          functionName: "setPrice",
-          args: [PYTH_WBTC_PRICE_ID, btcPrice, -8],
-          account: owner.account,
-        });
-        await publicClient.waitForTransactionReceipt({ hash: setPriceTx });
-        log(`✓ MockPyth synced: $${btcPriceUsd.toLocaleString()}`);
+        const batch = await sendInOneBlock(publicClient, owner, [
+          {
+            address: mockPythAddress,
+            abi: MOCK_PYTH_ABI,
+            functionName: "setPrice",
+            args: [PYTH_WBTC_PRICE_ID, btcPrice, -8],
+          },
+        ], { sender: tx });
+        log(`✓ MockPyth synced: $${btcPriceUsd.toLocaleString()} (block #${batch.blockNumber})`);
+        if (!batch.atomic) {
+          log(`⚠ Oracle updates split across blocks ${batch.blocks.join(", ")}`);
+        }
       } catch (err) {
         log(`⚠ MockPyth sync failed: ${err.message?.slice(0, 60) || err}`);
       }
@@ -262,114 +465,78 @@ async function checkAndSync(context) {
     }
 
     const currentPoolPrice = (Number(usdcReserve) / 1e6) / (Number(wbtcReserve) / 1e8);
-    const priceDiff = Math.abs(currentPoolPrice - btcPriceUsd) / btcPriceUsd * 100;
+    const deviation = deviationBps(usdcReserve, wbtcReserve, btcPrice);
+    const priceDiff = Math.abs(deviation) / 100;
 
     log(`Chainlink: $${btcPriceUsd.toLocaleString()} | Pool: $${currentPoolPrice.toLocaleString()} | Deviation: ${priceDiff.toFixed(2)}%`);
 
     if (priceDiff < CONFIG.DEVIATION_THRESHOLD) {
       log(`✓ Price within ${CONFIG.DEVIATION_THRESHOLD}% tolerance`);
       // Update TWAP for all pools
-      await updateAllTWAP(twapOracle, allPools, owner, publicClient, log);
+      await updateAllTWAP(twapOracle, allPools, tx, log);
       return;
     }
 
     // 3) Rebalance needed
     log(`⚡ Rebalancing (deviation ${priceDiff.toFixed(2)}% > ${CONFIG.DEVIATION_THRESHOLD}%)...`);
 
-    const lpBalance = await publicClient.readContract({
-      address: pairAddress,
-      abi: PAIR_ABI,
-      functionName: "balanceOf",
-      args: [owner.account.address],
-    });
-
-    // Use swap to correct the price
-    // Pool price low = buy WBTC (sell USDC)
-    // Pool price high = sell WBTC (buy USDC)
-
-    // Calculate how much to swap using x*y=k formula
-    // Target: newUsdcReserve / newWbtcReserve = btcPriceUsd * 1e6 / 1e8
-    // Let's find the swap amount needed
-
-    // Price = (usdcReserve / 1e6) / (wbtcReserve / 1e8) = usdcReserve * 100 / wbtcReserve
-    // So: usdcReserve / wbtcReserve = price / 100
-    const targetRatio = btcPriceUsd / 100;
-    const currentRatio = Number(usdcReserve) / Number(wbtcReserve);
-
-    if (currentPoolPrice < btcPriceUsd) {
-      // Pool price too low -> buy WBTC with USDC
-      // After swap: (usdcReserve + usdcIn) * (wbtcReserve - wbtcOut) = k
-      // And: (usdcReserve + usdcIn) / (wbtcReserve - wbtcOut) = targetRatio
-
-      // Solve for usdcIn:
-      // Let k = usdcReserve * wbtcReserve
-      // newUsdc = sqrt(k * targetRatio), newWbtc = sqrt(k / targetRatio)
-      // usdcIn = newUsdc - usdcReserve
-
-      const k = Number(usdcReserve) * Number(wbtcReserve);
-      const newUsdcFloat = Math.sqrt(k * targetRatio);
-      const usdcIn = BigInt(Math.ceil(newUsdcFloat - Number(usdcReserve)));
-
-      if (usdcIn <= 0n) {
-        log(`⚠ Calculated usdcIn <= 0, skipping`);
-        return;
-      }
-
-      log(`   Swapping ${Number(usdcIn) / 1e6} USDC -> WBTC...`);
-
-      // Approve USDC
-      const approveTx = await owner.writeContract({
-        address: usdcAddress,
-        abi: ERC20_ABI,
-        functionName: "approve",
-        args: [UNISWAP_V2.ROUTER, usdcIn],
-        account: owner.account,
-      });
-      await publicClient.waitForTransactionReceipt({ hash: approveTx });
-
-      // Swap USDC -> WBTC
-      const swapTx = await owner.writeContract({
-        address: UNISWAP_V2.ROUTER,
-        abi: SWAP_ABI,
-        functionName: "swapExactTokensForTokens",
-        args: [usdcIn, 0n, [usdcAddress, wbtcAddress], owner.account.address, deadline],
-        account: owner.account,
-      });
-      await publicClient.waitForTransactionReceipt({ hash: swapTx });
-
-    } else {
-      // Pool price too high -> sell WBTC for USDC
-      const k = Number(usdcReserve) * Number(wbtcReserve);
-      const newWbtcFloat = Math.sqrt(k / targetRatio);
-      const wbtcIn = BigInt(Math.ceil(newWbtcFloat - Number(wbtcReserve)));
+    // Pool price low = buy WBTC (sell USDC); pool price high = sell WBTC (buy USDC)
+    const trade = planRebalance(usdcReserve, wbtcReserve, btcPrice);
+    if (!trade) {
+      log(`⚠ Calculated swap amount is 0, skipping`);
+      return;
+    }
+    const [tokenIn, tokenOut] = trade.buyWbtc ? [usdcAddress, wbtcAddress] : [wbtcAddress, usdcAddress];
+    const [symbolIn, symbolOut] = trade.buyWbtc ? ["USDC", "WBTC"] : ["WBTC", "USDC"];
+    const [decimalsIn, decimalsOut] = trade.buyWbtc ? [1e6, 1e8] : [1e8, 1e6];
+
+    // Inventory: refill when the input side runs low, skip rather than revert when it is short
+    let inventory = await readInventory(context);
+    recordTradeSize(context, symbolIn, trade.amountIn);
+    let runway = estimateRunway(context, inventory);
+    const runwayText = (symbol) => (runway[symbol] === Infinity ? "no trades yet" : `~${runway[symbol]} rebalances`);
+    log(
+      `   Inventory: ${Number(inventory.WBTC) / 1e8} WBTC (${runwayText("WBTC")}), ` +
+        `${Number(inventory.USDC) / 1e6} USDC (${runwayText("USDC")}), ${Number(inventory.ETH) / 1e18} ETH`
+    );
+    if (inventory.ETH < CONFIG.MIN_ETH_WEI) {
+      log(`⚠ Low ETH for gas: ${Number(inventory.ETH) / 1e18} ETH`);
+    }
+    if (runway[symbolIn] < CONFIG.LOW_INVENTORY_REBALANCES) {
+      log(`⚠ ${symbolIn} inventory low (~${runway[symbolIn]} rebalances left), refilling...`);
+      await refillInventory(context, symbolIn);
+      inventory = await readInventory(context);
+      runway = estimateRunway(context, inventory);
+      log(`   ${symbolIn} after refill: ${Number(inventory[symbolIn]) / decimalsIn} (~${runway[symbolIn]} rebalances)`);
+    }
+    if (inventory[symbolIn] < trade.amountIn) {
+      log(`⚠ Insufficient ${symbolIn}: need ${Number(trade.amountIn) / decimalsIn}, have ${Number(inventory[symbolIn]) / decimalsIn} - skipping trade`);
+      return;
+    }
 
-      if (wbtcIn <= 0n) {
-        log(`⚠ Calculated wbtcIn <= 0, skipping`);
-        return;
-      }
+    log(
+      `   Swapping ${Number(trade.amountIn) / decimalsIn} ${symbolIn} -> ${symbolOut} ` +
+        `(expect ${Number(trade.amountOut) / decimalsOut}, min ${Number(trade.amountOutMin) / decimalsOut})...`
+    );
+    if (trade.capped) {
+      log(`   Trade capped at $${CONFIG.MAX_TRADE_USD.toLocaleString()}; predicted deviation after swap ${(Math.abs(trade.predictedBps) / 100).toFixed(2)}%`);
+    }
 
-      log(`   Swapping ${Number(wbtcIn) / 1e8} WBTC -> USDC...`);
+    // Approve input token
+    await tx.send({
+      address: tokenIn,
+      abi: ERC20_ABI,
+      functionName: "approve",
+      args: [UNISWAP_V2.ROUTER, trade.amountIn],
+    });
 
-      // Approve WBTC
-      const approveTx = await owner.writeContract({
-        address: wbtcAddress,
-        abi: ERC20_ABI,
-        functionName: "approve",
-        args: [UNISWAP_V2.ROUTER, wbtcIn],
-        account: owner.account,
-      });
-      await publicClient.waitForTransactionReceipt({ hash: approveTx });
-
-      // Swap WBTC -> USDC
-      const swapTx = await owner.writeContract({
-        address: UNISWAP_V2.ROUTER,
-        abi: SWAP_ABI,
-        functionName: "swapExactTokensForTokens",
-        args: [wbtcIn, 0n, [wbtcAddress, usdcAddress], owner.account.address, deadline],
-        account: owner.account,
-      });
-      await publicClient.waitForTransactionReceipt({ hash: swapTx });
-    }
+    // Swap with amountOutMin from the slippage budget
+    await tx.send({
+      address: UNISWAP_V2.ROUTER,
+      abi: SWAP_ABI,
+      functionName: "swapExactTokensForTokens",
+      args: [trade.amountIn, trade.amountOutMin, [tokenIn, tokenOut], owner.account.address, deadline],
+    });
 
     // Verify new price
     const [newR0, newR1] = await publicClient.readContract({
@@ -380,31 +547,38 @@ async function checkAndSync(context) {
     const newWbtcReserve = isWbtcToken0 ? newR0 : newR1;
     const newUsdcReserve = isWbtcToken0 ? newR1 : newR0;
     const newPoolPrice = (Number(newUsdcReserve) / 1e6) / (Number(newWbtcReserve) / 1e8);
-    const newDeviation = Math.abs(newPoolPrice - btcPriceUsd) / btcPriceUsd * 100;
+    const newDeviation = Math.abs(deviationBps(newUsdcReserve, newWbtcReserve, btcPrice)) / 100;
 
     log(`✓ Synced: $${newPoolPrice.toLocaleString()} (deviation: ${newDeviation.toFixed(2)}%)`);
+    if (newDeviation > CONFIG.TARGET_TOLERANCE && !trade.capped) {
+      log(`⚠ Landed outside the ${CONFIG.TARGET_TOLERANCE}% target tolerance (pool moved between quote and swap?)`);
+    }
 
     // 4) Update TWAP for all pools
-    await updateAllTWAP(twapOracle, allPools, owner, publicClient, log);
+    await updateAllTWAP(twapOracle, allPools, tx, log);
 
   } catch (err) {
     log(`❌ Error: ${err.message || err}`);
   }
 }
 
-// Update TWAP observations for all pools
-async function updateAllTWAP(twapOracle, allPools, owner, publicClient, log) {
+// Update TWAP observations for the pools that are due
+async function updateAllTWAP(twapOracle, allPools, tx, log) {
   const poolNames = Object.keys(allPools);
   let updated = 0;
 
   for (const name of poolNames) {
     const poolAddr = allPools[name];
     try {
-      const updateTx = await twapOracle.write.updateIfNeeded([poolAddr], { account: owner.account });
-      await publicClient.waitForTransactionReceipt({ hash: updateTx });
+      // updateIfNeeded returns false instead of reverting, so skip pairs updated < 30 min ago
+      if (!(await twapOracle.read.needsUpdate([poolAddr]))) continue;
+      await tx.send(
+        { address: twapOracle.address, abi: twapOracle.abi, functionName: "updateIfNeeded", args: [poolAddr] },
+        `updateIfNeeded ${name}`
+      );
       updated++;
     } catch (err) {
-      // Silently skip if not needed (will throw if < 30 min since last update)
+      log(`⚠ TWAP update for ${name} failed: ${err.shortMessage || err.message}`);
     }
   }
 
@@ -426,6 +600,7 @@ async function main() {
   console.log(`  Mode: ${CONFIG.SINGLE_RUN ? "Single run" : "Daemon"}`);
   console.log(`  Check interval: ${CONFIG.SYNC_INTERVAL} seconds`);
   console.log(`  Deviation threshold: ${CONFIG.DEVIATION_THRESHOLD}%`);
+  console.log(`  Target tolerance: ${CONFIG.TARGET_TOLERANCE}% | Slippage: ${CONFIG.SLIPPAGE_BPS} bps | Max trade: $${CONFIG.MAX_TRADE_USD.toLocaleString()}`);
   console.log("=".repeat(60));
 
   const addresses = loadAddresses();
@@ -442,6 +617,16 @@ async function main() {
 
   log(`Syncing as: ${owner.account.address}`);
 
+  // Shared sender: local nonces, capped EIP-1559 fees, replacement and a journal
+  const tx = createTxSender({ publicClient, walletClient: owner, log });
+  const reconciled = await tx.reconcile();
+  if (reconciled.confirmed + reconciled.failed + reconciled.pending + reconciled.dropped > 0) {
+    log(
+      `Journal reconciled: ${reconciled.confirmed} confirmed, ${reconciled.failed} failed, ` +
+        `${reconciled.pending} still pending, ${reconciled.dropped} dropped`
+    );
+  }
+
   const get = (key, abiName = key) => viem.getContractAt(abiName, addresses[key]);
   const twapOracle = await get("TWAPOracle", "contracts/UniswapV2TWAPOracle.sol:UniswapV2TWAPOracle");
 
@@ -507,6 +692,8 @@ async function main() {
     twapOracle,
     mockPythAddress,
     allPools,
+    tx,
+    tradeSizes: { WBTC: [], USDC: [] },
     pool: {
       pairAddress,
       wbtcAddress,
@@ -12,11 +12,14 @@
  * Usage:
  *   npx hardhat run scripts/sepolia/warmup-twap.mjs --network sepolia
  *   npm run sepolia:warmup-twap
+ *
+ * Transactions go through scripts/lib/tx-sender.mjs (TX_* environment variables).
  */
 
 import fs from "fs";
 import path from "path";
 import hre from "hardhat";
+import { createTxSender } from "../lib/tx-sender.mjs";
 
 const ADDR_FILE = path.join(process.cwd(), "ignition/deployments/chain-11155111/deployed_addresses.json");
 
@@ -87,6 +90,13 @@ async function main() {
   const [walletClient] = await viem.getWalletClients();
   const publicClient = await viem.getPublicClient();
 
+  // Shared sender: local nonces, capped EIP-1559 fees, replacement and a journal
+  const tx = createTxSender({ publicClient, walletClient, log: (msg) => console.log(`   ${msg}`) });
+  const reconciled = await tx.reconcile();
+  if (reconciled.pending > 0) {
+    console.log(`=> ${reconciled.pending} journaled transaction(s) still pending from an earlier run`);
+  }
+
   console.log(`=> Deployer: ${walletClient.account.address}`);
   console.log(`=> TWAPOracle: ${addr.TWAPOracle}`);
   console.log(`=> ConfigCore: ${addr.ConfigCore}`);
@@ -185,14 +195,16 @@ async function main() {
       });
 
       if (needsUpdate) {
-        const hash = await walletClient.writeContract({
-          address: addr.TWAPOracle,
-          abi: TWAP_ABI,
-          functionName: "updateIfNeeded",
-          args: [pair.address],
-        });
-        await publicClient.waitForTransactionReceipt({ hash });
-        console.log(`   ✓ ${pair.name} updated (tx: ${hash.slice(0, 10)}...)`);
+        const receipt = await tx.send(
+          {
+            address: addr.TWAPOracle,
+            abi: TWAP_ABI,
+            functionName: "updateIfNeeded",
+            args: [pair.address],
+          },
+          `updateIfNeeded ${pair.name}`
+        );
+        console.log(`   ✓ ${pair.name} updated (tx: ${receipt.transactionHash.slice(0, 10)}..., block #${receipt.blockNumber})`);
       } else {
         console.log(`   - ${pair.name} already up to date`);
       }
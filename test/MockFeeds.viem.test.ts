@@ -0,0 +1,111 @@
+/**
+ * Mock Feed Fault Tests (Viem version)
+ * Tests the stale/low-confidence switches on the local oracle mocks
+ * (MockAggregatorV3.setUpdatedAt, MockPyth.setPublishTime / setConf)
+ * and that PriceOracle rejects the faulted feeds.
+ */
+
+import { describe, it, beforeEach } from "node:test";
+import { expect } from "chai";
+import { deployFullSystem, viem, networkHelpers } from "./helpers/setup-viem.js";
+
+describe("Mock Feed Faults (Viem)", function () {
+  let system: any;
+  let priceOracle: any;
+  let publicClient: any;
+
+  // Pyth price set by deployFullSystem: 50,000 with expo -8
+  const PYTH_PRICE = 5_000_000_000_000n;
+
+  async function deployFeedsFixture() {
+    const fullSystem = await deployFullSystem();
+    return { system: fullSystem, priceOracle: fullSystem.priceOracle };
+  }
+
+  async function latestTimestamp(): Promise<bigint> {
+    return (await publicClient.getBlock()).timestamp;
+  }
+
+  beforeEach(async function () {
+    const fixture = await networkHelpers.loadFixture(deployFeedsFixture);
+    system = fixture.system;
+    priceOracle = fixture.priceOracle;
+    publicClient = await viem.getPublicClient();
+  });
+
+  describe("MockAggregatorV3.setUpdatedAt", function () {
+    it("should make PriceOracle reject a frozen Chainlink feed", async function () {
+      // FeedValidation.MAX_STALENESS is 2 hours
+      await system.mockBtcUsd.write.setUpdatedAt([(await latestTimestamp()) - 7201n]);
+
+      try {
+        await priceOracle.read.getChainlinkBTCUSD();
+        expect.fail("Should have reverted");
+      } catch (error: any) {
+        expect(error.message).to.match(/Price data too old/);
+      }
+    });
+
+    it("should restore always-fresh data when reset to 0", async function () {
+      const freshPrice = await priceOracle.read.getChainlinkBTCUSD();
+      await system.mockBtcUsd.write.setUpdatedAt([(await latestTimestamp()) - 7201n]);
+      await system.mockBtcUsd.write.setUpdatedAt([0n]);
+
+      const [, , , updatedAt] = await system.mockBtcUsd.read.latestRoundData();
+      expect(updatedAt >= (await latestTimestamp())).to.be.true;
+      expect(await priceOracle.read.getChainlinkBTCUSD()).to.equal(freshPrice);
+    });
+  });
+
+  describe("MockPyth.setPublishTime", function () {
+    it("should make PriceOracle reject a frozen Pyth price", async function () {
+      // PriceOracle.PYTH_MAX_STALENESS is 60 seconds
+      await system.mockPyth.write.setPublishTime([system.pythId, (await latestTimestamp()) - 120n]);
+
+      try {
+        await priceOracle.read.getWBTCPrice();
+        expect.fail("Should have reverted");
+      } catch (error: any) {
+        expect(error.message).to.match(/Pyth price stale/);
+      }
+    });
+
+    it("should restore always-fresh data when reset to 0", async function () {
+      await system.mockPyth.write.setPublishTime([system.pythId, (await latestTimestamp()) - 120n]);
+      await system.mockPyth.write.setPublishTime([system.pythId, 0n]);
+
+      const price = await system.mockPyth.read.getPriceUnsafe([system.pythId]);
+      expect(price.publishTime >= (await latestTimestamp())).to.be.true;
+      expect((await priceOracle.read.getWBTCPrice()) > 0n).to.be.true;
+    });
+  });
+
+  describe("MockPyth.setConf", function () {
+    it("should accept a confidence interval of 1% of the price", async function () {
+      // PYTH_MAX_CONF_RATIO is 100: conf * 100 must not exceed the price
+      await system.mockPyth.write.setConf([system.pythId, PYTH_PRICE / 100n]);
+
+      expect((await priceOracle.read.getWBTCPrice()) > 0n).to.be.true;
+    });
+
+    it("should make PriceOracle reject a wider confidence interval", async function () {
+      await system.mockPyth.write.setConf([system.pythId, PYTH_PRICE / 100n + 1n]);
+
+      try {
+        await priceOracle.read.getWBTCPrice();
+        expect.fail("Should have reverted");
+      } catch (error: any) {
+        expect(error.message).to.match(/Pyth confidence too wide/);
+      }
+    });
+
+    it("should be reset to 0 by setPrice", async function () {
+      await system.mockPyth.write.setConf([system.pythId, PYTH_PRICE / 10n]);
+      await system.mockPyth.write.setPrice([system.pythId, PYTH_PRICE, -8]);
+
+      const price = await system.mockPyth.read.getPriceUnsafe([system.pythId]);
+      expect(price.conf).to.equal(0n);
+      expect((await priceOracle.read.getWBTCPrice()) > 0n).to.be.true;
+    });
+  });
+});